@@ -0,0 +1,87 @@
+const { CHAT } = require("../shared");
+
+// Control characters (newlines included) become spaces in a chat line
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/g;
+
+/**
+ * ChatService
+ * Validates and rate-limits room chat. It only builds messages: server.js
+ * decides who receives them (everyone in the room, or one team).
+ */
+class ChatService {
+  constructor() {
+    this.recent = {}; // playerId -> times of their messages inside the window
+    this.nextId = 1;
+  }
+
+  /**
+   * Turn a client request into a message, or say why it was refused
+   * @param {Object} sender - { id, name, team } (team is null for spectators)
+   * @param {Object} request - { channel, text } or { channel, quick } where
+   *   quick is a CHAT.QUICK key
+   * @returns {Object} { message } or { error }
+   */
+  compose(sender, request, now = Date.now()) {
+    const { channel, text, quick } = request || {};
+    if (!Object.values(CHAT.CHANNELS).includes(channel)) {
+      return { error: "Unknown channel" };
+    }
+    if (channel === CHAT.CHANNELS.TEAM && !sender.team) {
+      return { error: "Spectators have no team chat" };
+    }
+
+    let body;
+    if (quick != null) {
+      if (!Object.hasOwn(CHAT.QUICK, quick)) {
+        return { error: "Unknown quick chat" };
+      }
+      body = CHAT.QUICK[quick];
+    } else {
+      if (typeof text !== "string") return { error: "Empty message" };
+      body = text.replace(CONTROL_CHARS, " ").trim();
+      if (!body) return { error: "Empty message" };
+      if (body.length > CHAT.MAX_LENGTH) {
+        return {
+          error: `Messages are limited to ${CHAT.MAX_LENGTH} characters`,
+        };
+      }
+    }
+
+    if (!this.allow(sender.id, now)) {
+      return { error: "You're sending messages too fast" };
+    }
+
+    return {
+      message: {
+        id: this.nextId++,
+        from: sender.id,
+        name: sender.name,
+        team: sender.team,
+        channel,
+        text: body,
+        quick: quick != null ? quick : null,
+        ping: null, // Set by the caller for quick chat mid-match
+        time: now,
+      },
+    };
+  }
+
+  /**
+   * Sliding window: at most CHAT.RATE_LIMIT messages per CHAT.RATE_WINDOW
+   */
+  allow(playerId, now = Date.now()) {
+    const recent = (this.recent[playerId] || []).filter(
+      (time) => now - time < CHAT.RATE_WINDOW,
+    );
+    this.recent[playerId] = recent;
+    if (recent.length >= CHAT.RATE_LIMIT) return false;
+    recent.push(now);
+    return true;
+  }
+
+  forget(playerId) {
+    delete this.recent[playerId];
+  }
+}
+
+module.exports = ChatService;
@@ -0,0 +1,44 @@
+const fs = require("fs");
+const path = require("path");
+
+const SAVE_DELAY = 1000; // ms; changes within this window share one write
+
+/**
+ * JsonFile
+ * A plain object persisted to disk as JSON. Stores mutate `data` in place
+ * and call scheduleSave(); writes go through a temp file so a crash can't
+ * leave a truncated file behind.
+ */
+class JsonFile {
+  /**
+   * @param {string} file - Path of the JSON file (created on first save)
+   * @param {Object} defaults - Top-level keys to start with if missing
+   */
+  constructor(file, defaults = {}) {
+    this.file = file;
+    this.saveTimer = null;
+    const stored = fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, "utf8"))
+      : {};
+    this.data = { ...defaults, ...stored };
+  }
+
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+  }
+}
+
+module.exports = JsonFile;
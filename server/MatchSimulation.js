@@ -0,0 +1,971 @@
+/**
+ * MatchSimulation
+ * Server-authoritative match loop for a single room.
+ *
+ * Runs at a fixed tick: moves players from their input commands, moves the
+ * missile, resolves deflect attempts, applies damage and decides round/match
+ * ends. Clients only send input; everything else is broadcast from here using
+ * the same events the browser already understands (round_state,
+ * missile_update, missile_deflected, player_hit). The rules themselves come
+ * from shared/, the same code the client runs for local matches.
+ */
+
+const {
+  GAME,
+  OVERTIME,
+  DRAW,
+  MISSILE,
+  DEFLECTION,
+  TEAMS,
+  NETWORK,
+  vec,
+  sub,
+  normalize,
+  otherTeam,
+  randomElement,
+  missileSpeed,
+  missileDamage,
+  missileAimPoint,
+  steerMissile,
+  constrainMissile,
+  missileHitsTarget,
+  isInDeflectCone,
+  pickDeflectTarget,
+  roundWinner,
+  isMatchOver,
+  matchWinner,
+  scoreRound,
+  defaultMatchRules,
+  missileRules,
+  overtimeSpeedBonus,
+  applyMovementCommand,
+  applyJumpCommand,
+  MAX_COMMAND_DT,
+  spawnPoint,
+  PROTOCOLS,
+  SnapshotEncoder,
+  quantizeSnapshot,
+  StatsTracker,
+} = require("../shared");
+
+const TICK_RATE = 60; // Simulation steps per second
+// Network sends per second (NET_TICK_RATE=20|30|60); events and the
+// snapshot raised between two network ticks go out as one batch
+const NETWORK_TICK_RATE = NETWORK.TICK_RATES.includes(
+  Number(process.env.NET_TICK_RATE),
+)
+  ? Number(process.env.NET_TICK_RATE)
+  : NETWORK.DEFAULT_TICK_RATE;
+const MAX_INPUTS_PER_BATCH = 64; // Extra commands in one player_input are dropped
+// Seconds of movement a player may claim ahead of real time; covers the
+// commands a client buffers up during a lag spike
+const MAX_MOVE_BUDGET = 1;
+const HISTORY_DURATION = 1000; // ms of positions kept for lag compensation
+const MAX_REWIND = 400; // ms a deflect attempt may be rewound
+
+const PHASES = {
+  COUNTDOWN: "COUNTDOWN",
+  PLAYING: "PLAYING",
+  ROUND_END: "ROUND_END",
+  MATCH_END: "MATCH_END",
+};
+
+class MatchSimulation {
+  /**
+   * @param {Object} room - Room record from RoomManager
+   * @param {Object} io - socket.io server (broadcasts go to the room channel)
+   * @param {Function} onMatchEnd - Called once with the full result:
+   *   { winner, scores, rounds, duration, players } where rounds lists each
+   *   round's winning team and players is [{ id, team, left, ...stats }]
+   *   for everyone who played (see shared/stats.js)
+   */
+  constructor(room, io, onMatchEnd = null) {
+    this.room = room;
+    this.io = io;
+    this.onMatchEnd = onMatchEnd;
+    // Room rules (see MATCH_RULES), fixed for the whole match
+    this.rules = room.settings.rules || defaultMatchRules();
+    this.missileRules = missileRules(this.rules);
+    this.roundTime = 0; // ms of PLAYING this round, for rules.roundTimeLimit
+    this.overtime = false;
+    this.speedBonus = 0; // Overtime missile speed-up, on top of the curve
+
+    this.players = {};
+    this.missile = this.createMissile();
+    this.scores = { BLUE: 0, RED: 0 };
+    this.round = 0;
+    this.phase = null;
+    this.phaseTimer = 0; // ms left in COUNTDOWN / ROUND_END
+    this.respawnTimer = 0; // ms left before the next missile spawn
+    this.respawn = null; // { targetId, team } waiting for respawnTimer
+    this.networkTimer = 0;
+    this.outbox = []; // [[event, data]] waiting for the next network tick
+    this.interval = null;
+    this.history = []; // [{ time, missile, players }] for lag compensation
+    this.snapshotId = 0;
+    this.encoders = {}; // playerId -> SnapshotEncoder (binary clients)
+    this.disconnected = {}; // playerId -> reconnect deadline; pauses the match
+    this.stats = new StatsTracker();
+    this.roundWinners = [];
+    this.startedAt = null;
+
+    Object.values(room.players).forEach((p) => this.addPlayer(p));
+  }
+
+  createMissile() {
+    return {
+      isActive: false,
+      position: vec(0, MISSILE.SPAWN_HEIGHT, 0),
+      previousPosition: vec(0, MISSILE.SPAWN_HEIGHT, 0),
+      velocity: vec(0, 0, 1),
+      speed: this.missileRules.BASE_SPEED + this.speedBonus,
+      damage: this.missileRules.BASE_DAMAGE,
+      deflectionCount: 0,
+      targetId: null,
+      teamId: null,
+      graceTimer: 0,
+    };
+  }
+
+  addPlayer(roomPlayer) {
+    this.players[roomPlayer.id] = {
+      id: roomPlayer.id,
+      team: roomPlayer.team,
+      position: vec(),
+      velocityY: 0, // Jumps are simulated here from input commands
+      isGrounded: true,
+      canJump: true,
+      rotation: 0,
+      health: this.rules.playerHealth,
+      isAlive: true,
+      lastDeflectAt: 0,
+      inputQueue: [],
+      moveBudget: MAX_MOVE_BUDGET, // Seconds of command dt still allowed
+      budgetAt: Date.now(),
+      lastInputSeq: 0, // Acknowledged back in snapshots for reconciliation
+      pendingDeflect: null, // Attempt waiting for its input command to arrive
+    };
+    this.stats.addEntity(roomPlayer.id, roomPlayer.team);
+  }
+
+  // --- Lifecycle ---
+
+  start() {
+    this.startedAt = Date.now();
+    this.startRound();
+    const stepMs = 1000 / TICK_RATE;
+    this.interval = setInterval(() => this.tick(stepMs), stepMs);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Queue an event for everyone in the room; sent on the next network tick
+   */
+  broadcast(event, data) {
+    this.outbox.push([event, data]);
+  }
+
+  /**
+   * Network tick: each socket in the room gets the queued events followed by
+   * its own snapshot, as one message.
+   */
+  flushNetwork() {
+    const sockets = this.io.sockets.adapter.rooms.get(this.room.id);
+    const snapshots = this.encodeSnapshots(sockets);
+    const events = this.outbox;
+    this.outbox = [];
+
+    if (!sockets) return;
+    sockets.forEach((socketId) => {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (!socket) return;
+
+      const messages = [...events];
+      const snapshot = snapshots[socket.data.playerId];
+      if (snapshot) messages.push(["snapshot", snapshot]);
+
+      if (messages.length === 1) {
+        socket.emit(...messages[0]);
+      } else if (messages.length > 1) {
+        socket.emit(NETWORK.BATCH_EVENT, messages);
+      }
+    });
+  }
+
+  // --- Client input ---
+
+  /**
+   * Queue input commands (from player_input) for the next tick.
+   * Malformed or already-processed commands are dropped, and so are commands
+   * with movement axes outside -1..1 or whose dt adds up to more time than
+   * has really passed: either would move the player faster than
+   * PLAYER.MOVE_SPEED.
+   * @returns {string|null} Why commands were refused, for the violation log
+   */
+  queueInputs(playerId, inputs) {
+    const player = this.players[playerId];
+    if (!player || !Array.isArray(inputs)) return null;
+
+    const now = Date.now();
+    player.moveBudget = Math.min(
+      MAX_MOVE_BUDGET,
+      player.moveBudget + (now - player.budgetAt) / 1000,
+    );
+    player.budgetAt = now;
+    let violation = null;
+
+    let lastSeq =
+      player.inputQueue.length > 0
+        ? player.inputQueue[player.inputQueue.length - 1].seq
+        : player.lastInputSeq;
+
+    inputs.slice(0, MAX_INPUTS_PER_BATCH).forEach((input) => {
+      if (!input) return;
+      const command = {
+        seq: Number(input.seq),
+        dt: Number(input.dt),
+        moveX: Number(input.moveX),
+        moveZ: Number(input.moveZ),
+        yaw: Number(input.yaw),
+      };
+      if (!Object.values(command).every(Number.isFinite)) return;
+      if (command.seq <= lastSeq) return;
+      command.jump = input.jump === true;
+
+      if (Math.abs(command.moveX) > 1 || Math.abs(command.moveZ) > 1) {
+        violation = "Movement axis out of range";
+        return;
+      }
+      const dt = Math.min(Math.max(command.dt, 0), MAX_COMMAND_DT);
+      if (dt > player.moveBudget) {
+        violation = "Moving faster than real time";
+        return;
+      }
+      player.moveBudget -= dt;
+
+      lastSeq = command.seq;
+      player.inputQueue.push(command);
+    });
+    return violation;
+  }
+
+  /**
+   * Run queued commands through the shared movement step. Movement only
+   * counts while a round is running; later phases still acknowledge input.
+   */
+  processInputs() {
+    const canMove =
+      (this.phase === PHASES.COUNTDOWN || this.phase === PHASES.PLAYING) &&
+      !this.isPaused();
+
+    Object.values(this.players).forEach((player) => {
+      player.inputQueue.forEach((command) => {
+        if (canMove && player.isAlive) {
+          applyMovementCommand(player.position, command);
+          applyJumpCommand(player, command);
+        }
+        player.rotation = command.yaw;
+        player.lastInputSeq = command.seq;
+
+        const attempt = player.pendingDeflect;
+        if (attempt && command.seq >= attempt.seq) {
+          player.pendingDeflect = null;
+          this.resolveDeflect(player, attempt, player.position);
+        }
+      });
+      player.inputQueue = [];
+
+      // Inputs never showed up: judge from where the player is now
+      const attempt = player.pendingDeflect;
+      if (attempt && Date.now() - attempt.receivedAt > MAX_REWIND) {
+        player.pendingDeflect = null;
+        this.resolveDeflect(player, attempt, player.position);
+      }
+    });
+  }
+
+  /**
+   * Lag-compensated deflect attempt.
+   *
+   * The client sees the missile INTERPOLATION_DELAY (plus latency) in the
+   * past but itself in the present, so the attempt carries both: `time`, the
+   * server time the missile was rendered at, and `seq`, the input command of
+   * the frame the key was pressed. The missile is rewound to `time` (clamped
+   * to MAX_REWIND) and the player is placed where that command left them,
+   * then the same cone test as Player.tryDeflect runs.
+   * @param {Object} data - { facingDirection, time, seq }
+   */
+  handleDeflectAttempt(playerId, data) {
+    const player = this.players[playerId];
+    const missile = this.missile;
+    if (this.phase !== PHASES.PLAYING || !missile.isActive) return;
+    if (!player || !player.isAlive || this.isPaused()) return;
+
+    // Can only deflect enemy missiles
+    if (missile.teamId === player.team) return;
+
+    const facing = data && data.facingDirection;
+    if (!facing || ![facing.x, facing.y, facing.z].every(Number.isFinite)) {
+      return;
+    }
+
+    // Only well-formed attempts use up the cooldown
+    const now = Date.now();
+    if (now - player.lastDeflectAt < this.rules.deflectCooldown) return;
+    player.lastDeflectAt = now;
+
+    const time = Number(data.time);
+    const seq = Number(data.seq);
+    const attempt = {
+      facing: vec(facing.x, facing.y, facing.z),
+      time: Number.isFinite(time)
+        ? Math.max(now - MAX_REWIND, Math.min(now, time))
+        : now,
+      seq: Number.isFinite(seq) ? seq : player.lastInputSeq,
+      receivedAt: now,
+    };
+
+    // Press frame's input hasn't been simulated yet: wait for it
+    if (attempt.seq > player.lastInputSeq) {
+      player.pendingDeflect = attempt;
+      return;
+    }
+
+    this.resolveDeflect(player, attempt, this.positionAtSeq(player, attempt));
+  }
+
+  /**
+   * Cone test against the rewound missile; deflects on success.
+   */
+  resolveDeflect(player, attempt, position) {
+    const missile = this.missile;
+    if (this.phase !== PHASES.PLAYING || !missile.isActive) return;
+    if (!player.isAlive || missile.teamId === player.team) return;
+
+    const missilePosition = this.missilePositionAt(attempt.time);
+    const inCone = isInDeflectCone(
+      position,
+      attempt.facing,
+      missilePosition,
+      DEFLECTION.CONE_ANGLE,
+      this.rules.deflectRange,
+    );
+    if (!inCone) return;
+
+    this.deflectMissile(player);
+  }
+
+  // --- Lag compensation history ---
+
+  recordHistory() {
+    const now = Date.now();
+    const players = {};
+    Object.values(this.players).forEach((p) => {
+      players[p.id] = { ...p.position, seq: p.lastInputSeq };
+    });
+
+    this.history.push({
+      time: now,
+      missile: this.missile.isActive ? { ...this.missile.position } : null,
+      players,
+    });
+
+    while (
+      this.history.length > 0 &&
+      this.history[0].time < now - HISTORY_DURATION
+    ) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Missile position at a past server time, interpolated between ticks.
+   * Falls back to the current position outside the recorded history.
+   */
+  missilePositionAt(time) {
+    const history = this.history;
+    for (let i = history.length - 1; i > 0; i--) {
+      const before = history[i - 1];
+      const after = history[i];
+      if (before.time > time) continue;
+      if (!before.missile || !after.missile) break;
+
+      const span = after.time - before.time;
+      const t = span > 0 ? Math.min(1, (time - before.time) / span) : 0;
+      return vec(
+        before.missile.x + (after.missile.x - before.missile.x) * t,
+        before.missile.y + (after.missile.y - before.missile.y) * t,
+        before.missile.z + (after.missile.z - before.missile.z) * t,
+      );
+    }
+    return { ...this.missile.position };
+  }
+
+  /**
+   * Where the player stood right after simulating input command attempt.seq
+   */
+  positionAtSeq(player, attempt) {
+    const entry = this.history.find((h) => {
+      const state = h.players[player.id];
+      return state && state.seq >= attempt.seq;
+    });
+    const state = entry && entry.players[player.id];
+    return state ? vec(state.x, state.y, state.z) : { ...player.position };
+  }
+
+  // --- Reconnects ---
+
+  /**
+   * A player's connection dropped (held until deadline) or came back.
+   * Nothing moves while anyone is missing; a returning client starts from
+   * a full snapshot since its old delta base is gone.
+   */
+  setPlayerConnected(playerId, connected, deadline = null) {
+    const player = this.players[playerId];
+    if (!player) return;
+
+    delete this.encoders[playerId];
+    if (connected) {
+      delete this.disconnected[playerId];
+    } else {
+      this.disconnected[playerId] = deadline;
+      player.inputQueue = [];
+      player.pendingDeflect = null;
+    }
+    this.broadcast("match_paused", this.pauseState());
+  }
+
+  isPaused() {
+    return Object.keys(this.disconnected).length > 0;
+  }
+
+  /**
+   * Who the match is waiting for: { paused, waitingFor: [{ id, deadline }] }
+   */
+  pauseState() {
+    const waitingFor = Object.entries(this.disconnected).map(
+      ([id, deadline]) => ({ id, deadline }),
+    );
+    // roundTime (ms) lets clients line their round clock up with ours
+    return {
+      paused: waitingFor.length > 0,
+      waitingFor,
+      roundTime: this.roundTime,
+    };
+  }
+
+  /**
+   * Everything a (re)joining client needs to pick the match up mid-round
+   */
+  getFullState() {
+    return {
+      time: Date.now(),
+      phase: this.phase,
+      phaseTimer: this.phaseTimer,
+      round: this.round,
+      roundTime: this.roundTime,
+      overtime: this.overtime,
+      rules: this.rules,
+      scores: { blue: this.scores.BLUE, red: this.scores.RED },
+      pause: this.pauseState(),
+      stats: this.stats.getAll(),
+      players: Object.values(this.players).map((p) => ({
+        id: p.id,
+        team: p.team,
+        health: p.health,
+        isAlive: p.isAlive,
+        x: p.position.x,
+        y: p.position.y,
+        z: p.position.z,
+        rotation: p.rotation,
+        seq: p.lastInputSeq,
+      })),
+      missile: this.missile.isActive
+        ? {
+            ...this.missileState(),
+            deflectionCount: this.missile.deflectionCount,
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Player left mid-match: drop them and re-evaluate the round, or end the
+   * match if their team has nobody left.
+   */
+  removePlayer(playerId) {
+    const player = this.players[playerId];
+    if (!player) return;
+    delete this.players[playerId];
+    delete this.encoders[playerId];
+    this.stats.markLeft(playerId);
+
+    if (playerId in this.disconnected) {
+      delete this.disconnected[playerId];
+      this.broadcast("match_paused", this.pauseState());
+    }
+
+    if (this.checkForfeit()) return;
+
+    // A team emptied during the countdown loses now, not a tick into the round
+    if (this.phase === PHASES.COUNTDOWN) {
+      this.checkRoundEnd();
+      return;
+    }
+    if (this.phase !== PHASES.PLAYING) return;
+
+    if (this.checkRoundEnd()) return;
+
+    if (this.missile.targetId === playerId && this.missile.isActive) {
+      this.missile.isActive = false;
+      this.scheduleRespawn(player.team);
+    }
+  }
+
+  /**
+   * Where a player stands right now (quick-chat pings), or null
+   */
+  playerPosition(playerId) {
+    const player = this.players[playerId];
+    return player ? { ...player.position } : null;
+  }
+
+  /**
+   * Spectator stopped watching: forget their delta base
+   */
+  removeSpectator(playerId) {
+    delete this.encoders[playerId];
+  }
+
+  // --- Simulation ---
+
+  tick(stepMs) {
+    const deltaTime = stepMs / 1000;
+
+    this.processInputs();
+
+    // Frozen while waiting for a dropped player; snapshots keep flowing
+    if (!this.isPaused()) {
+      switch (this.phase) {
+        case PHASES.COUNTDOWN:
+          this.phaseTimer -= stepMs;
+          if (this.phaseTimer <= 0) this.startRoundGameplay();
+          break;
+
+        case PHASES.PLAYING:
+          if (this.updateRoundTimer(stepMs)) break;
+          this.updateRespawn(stepMs);
+          this.updateMissile(deltaTime);
+          this.recordHistory();
+          break;
+
+        case PHASES.ROUND_END:
+          this.phaseTimer -= stepMs;
+          if (this.phaseTimer <= 0) this.startRound();
+          break;
+      }
+    }
+
+    const networkStep = 1000 / NETWORK_TICK_RATE;
+    this.networkTimer += stepMs;
+    if (this.networkTimer >= networkStep) {
+      this.networkTimer -= networkStep;
+      this.flushNetwork();
+    }
+  }
+
+  startRound() {
+    this.round++;
+    this.phase = PHASES.COUNTDOWN;
+    this.phaseTimer = GAME.ROUND_START_DELAY;
+    this.respawn = null;
+    this.roundTime = 0;
+    this.overtime = false;
+    this.speedBonus = 0;
+    this.missile = this.createMissile();
+
+    Object.values(this.players).forEach((p) => {
+      p.health = this.rules.playerHealth;
+      p.isAlive = true;
+      p.lastDeflectAt = 0;
+      p.pendingDeflect = null;
+    });
+    this.history = [];
+    this.placeAtSpawns();
+  }
+
+  /**
+   * Same layout as RoundManager.setupRound: teammates ordered by id.
+   */
+  placeAtSpawns() {
+    [TEAMS.BLUE, TEAMS.RED].forEach((team) => {
+      Object.values(this.players)
+        .filter((p) => p.team === team)
+        .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+        .forEach((p, index) => {
+          const spawn = spawnPoint(team, index);
+          p.position = vec(spawn.x, spawn.y, spawn.z);
+          p.velocityY = 0;
+          p.isGrounded = true;
+          p.rotation = spawn.rotation;
+        });
+    });
+  }
+
+  /**
+   * Countdown finished: pick a random target and launch the missile.
+   */
+  startRoundGameplay() {
+    this.phase = PHASES.PLAYING;
+    const targets = this.alivePlayers();
+    if (targets.length === 0) return;
+
+    const target = randomElement(targets);
+    this.spawnMissile(target, otherTeam(target.team));
+  }
+
+  /**
+   * Round clock for rules.roundTimeLimit: overtime once it runs out (the
+   * missile speeds up every OVERTIME.RAMP_INTERVAL), then a draw if nobody
+   * has won by the end of overtime.
+   * @returns {boolean} true if the round ended
+   */
+  updateRoundTimer(stepMs) {
+    const limit = this.rules.roundTimeLimit * 1000;
+    if (!limit) return false;
+
+    this.roundTime += stepMs;
+    const overtimeMs = this.roundTime - limit;
+    if (overtimeMs < 0) return false;
+
+    if (!this.overtime) {
+      this.overtime = true;
+      this.broadcast("round_state", { type: "overtime" });
+    }
+    if (overtimeMs >= OVERTIME.DURATION) {
+      this.endRound(DRAW);
+      return true;
+    }
+
+    const bonus = overtimeSpeedBonus(overtimeMs);
+    if (bonus !== this.speedBonus) {
+      this.missile.speed += bonus - this.speedBonus;
+      this.speedBonus = bonus;
+      if (this.missile.isActive) this.broadcastMissile();
+    }
+    return false;
+  }
+
+  spawnMissile(target, teamId) {
+    const missile = this.createMissile();
+    missile.isActive = true;
+    missile.targetId = target.id;
+    missile.teamId = teamId;
+
+    // Initial velocity toward target
+    const dir = normalize(sub(target.position, missile.position));
+    missile.velocity = vec(
+      dir.x * missile.speed,
+      dir.y * missile.speed,
+      dir.z * missile.speed,
+    );
+    this.missile = missile;
+    this.stats.startChain();
+
+    this.broadcast("round_state", {
+      type: "missile_spawn",
+      targetId: target.id,
+      missileTeam: teamId,
+    });
+    this.broadcastMissile();
+  }
+
+  scheduleRespawn(team, targetId = null) {
+    this.respawn = { team, targetId };
+    this.respawnTimer = MISSILE.RESPAWN_DELAY;
+  }
+
+  updateRespawn(stepMs) {
+    if (!this.respawn) return;
+    this.respawnTimer -= stepMs;
+    if (this.respawnTimer > 0) return;
+
+    const { team, targetId } = this.respawn;
+    this.respawn = null;
+
+    // Same target if still alive, otherwise a random survivor of that team
+    let target = this.players[targetId];
+    if (!target || !target.isAlive) {
+      const teammates = this.alivePlayers().filter((p) => p.team === team);
+      if (teammates.length === 0) return;
+      target = randomElement(teammates);
+    }
+
+    this.spawnMissile(target, otherTeam(target.team));
+  }
+
+  updateMissile(deltaTime) {
+    const missile = this.missile;
+    if (!missile.isActive) return;
+
+    const target = this.players[missile.targetId];
+    if (!target || !target.isAlive) return;
+
+    missile.previousPosition = { ...missile.position };
+    if (missile.graceTimer > 0) missile.graceTimer -= deltaTime * 1000;
+
+    // Home in on center mass (same steering as Missile.update)
+    missile.velocity = steerMissile(
+      missile.velocity,
+      missile.position,
+      missileAimPoint(target.position),
+      missile.speed,
+      deltaTime,
+    );
+
+    missile.position.x += missile.velocity.x * deltaTime;
+    missile.position.y += missile.velocity.y * deltaTime;
+    missile.position.z += missile.velocity.z * deltaTime;
+
+    // The server has no map mesh, so the floor is flat
+    constrainMissile(missile.position, missile.velocity);
+
+    if (missile.graceTimer > 0) return;
+
+    if (
+      missileHitsTarget(
+        missile.previousPosition,
+        missile.position,
+        target.position,
+      )
+    ) {
+      this.handleMissileHit(target);
+    }
+  }
+
+  deflectMissile(deflector) {
+    const missile = this.missile;
+    const newTarget = pickDeflectTarget(deflector, Object.values(this.players));
+    if (!newTarget) return;
+
+    missile.deflectionCount++;
+    this.stats.recordDeflection(deflector.id);
+    missile.speed =
+      missileSpeed(missile.deflectionCount, this.missileRules) +
+      this.speedBonus;
+    missile.damage = missileDamage(missile.deflectionCount, this.missileRules);
+    missile.targetId = newTarget.id;
+    missile.teamId = deflector.team;
+    missile.velocity = vec(
+      -missile.velocity.x,
+      -missile.velocity.y,
+      -missile.velocity.z,
+    );
+    missile.graceTimer = MISSILE.DEFLECT_GRACE;
+
+    this.broadcast("missile_deflected", {
+      deflectorId: deflector.id,
+      newTargetId: newTarget.id,
+    });
+    this.broadcastMissile();
+  }
+
+  handleMissileHit(target) {
+    const damage = this.missile.damage;
+    const dealt = Math.min(damage, target.health); // Overkill doesn't count
+    this.missile.isActive = false;
+
+    target.health -= damage;
+    if (target.health <= 0) {
+      target.health = 0;
+      target.isAlive = false;
+    }
+    this.stats.recordHit(target.id, dealt, !target.isAlive);
+
+    this.broadcast("player_hit", { targetId: target.id, damage });
+
+    if (this.checkRoundEnd()) return;
+    this.scheduleRespawn(target.team, target.id);
+  }
+
+  /**
+   * End the round once a team has nobody left alive.
+   * @returns {boolean} true if the round ended
+   */
+  checkRoundEnd() {
+    const winner = roundWinner(Object.values(this.players));
+    if (!winner) return false;
+
+    this.endRound(winner);
+    return true;
+  }
+
+  /**
+   * A team with nobody left forfeits: the other team wins this round with
+   * the score it needs for the match, instead of playing the rest out
+   * against an empty side.
+   * @returns {boolean} true if the match ended
+   */
+  checkForfeit() {
+    if (!this.phase || this.phase === PHASES.MATCH_END) return false;
+    const teams = Object.values(this.players).map((p) => p.team);
+    const remaining = [TEAMS.BLUE, TEAMS.RED].filter((t) => teams.includes(t));
+    if (remaining.length !== 1) return false;
+
+    const winner = remaining[0];
+    this.scores[winner] = this.rules.roundsToWin - 1;
+    this.endRound(winner);
+    return true;
+  }
+
+  /**
+   * @param {string} winner - TEAMS.BLUE, TEAMS.RED or DRAW (each team gets
+   *   rules.drawPoints)
+   */
+  endRound(winner) {
+    this.missile.isActive = false;
+    this.respawn = null;
+    scoreRound(this.scores, winner, this.rules.drawPoints);
+    this.roundWinners.push(winner);
+
+    this.broadcast("round_state", {
+      type: "round_end",
+      winner,
+      scores: { blue: this.scores.BLUE, red: this.scores.RED },
+      stats: this.stats.getAll(), // Clients resync their running tallies
+    });
+
+    if (isMatchOver(this.scores, this.rules.roundsToWin)) {
+      this.endMatch();
+      return;
+    }
+
+    this.phase = PHASES.ROUND_END;
+    this.phaseTimer = GAME.ROUND_END_DELAY;
+  }
+
+  endMatch() {
+    this.phase = PHASES.MATCH_END;
+    this.stop();
+    this.flushNetwork(); // Final round_end goes out before the room resets
+
+    const winner = matchWinner(this.scores);
+    console.log(
+      `[MatchSimulation] Room ${this.room.id} finished: ${winner === DRAW ? "draw" : `${winner} wins`} ${this.scores.BLUE}-${this.scores.RED}`,
+    );
+    if (this.onMatchEnd) {
+      this.onMatchEnd({
+        winner,
+        scores: { blue: this.scores.BLUE, red: this.scores.RED },
+        rounds: [...this.roundWinners],
+        duration: Date.now() - this.startedAt,
+        players: Object.entries(this.stats.getAll()).map(([id, stats]) => ({
+          id,
+          ...stats,
+        })),
+      });
+    }
+  }
+
+  /**
+   * Client acknowledged a binary snapshot: its next one is a delta from it.
+   */
+  ackSnapshot(playerId, snapshotId) {
+    const encoder = this.encoders[playerId];
+    if (encoder && Number.isInteger(snapshotId)) encoder.ack(snapshotId);
+  }
+
+  /**
+   * Each player's (and spectator's) snapshot in its wire format: JSON as is,
+   * binary quantized and delta-compressed against what that client last acked.
+   * @param {Set} sockets - Socket IDs in the room channel
+   * @returns {Object} playerId -> snapshot payload
+   */
+  encodeSnapshots(sockets) {
+    const snapshot = this.buildSnapshot();
+    const table = Object.keys(this.players);
+    this.snapshotId = (this.snapshotId + 1) % 0xffff;
+    const payloads = {};
+    let quantized = null;
+
+    (sockets || []).forEach((socketId) => {
+      const socket = this.io.sockets.sockets.get(socketId);
+      const playerId = socket && socket.data.playerId;
+      if (!this.players[playerId] && !this.room.spectators[playerId]) return;
+
+      if (socket.data.protocol === PROTOCOLS.JSON) {
+        payloads[playerId] = snapshot;
+        return;
+      }
+
+      if (!quantized) quantized = quantizeSnapshot(snapshot, table);
+      if (!this.encoders[playerId]) {
+        this.encoders[playerId] = new SnapshotEncoder();
+      }
+      payloads[playerId] = this.encoders[playerId].encode(
+        this.snapshotId,
+        quantized,
+        table,
+      );
+    });
+    return payloads;
+  }
+
+  /**
+   * Timestamped authoritative state for clients to interpolate. seq is the
+   * last input command processed for that player, so its owner can replay
+   * anything newer. missile is null while no missile is in flight.
+   */
+  buildSnapshot() {
+    return {
+      time: Date.now(),
+      players: Object.values(this.players).map((p) => ({
+        id: p.id,
+        x: p.position.x,
+        y: p.position.y,
+        z: p.position.z,
+        rotation: p.rotation,
+        seq: p.lastInputSeq,
+      })),
+      missile: this.missile.isActive ? this.missileState() : null,
+    };
+  }
+
+  /**
+   * Out-of-band missile state for spawns and deflects, so clients pick up
+   * the new target without waiting for the next snapshot.
+   */
+  broadcastMissile() {
+    this.broadcast("missile_update", {
+      time: Date.now(),
+      ...this.missileState(),
+    });
+  }
+
+  missileState() {
+    const m = this.missile;
+    return {
+      x: m.position.x,
+      y: m.position.y,
+      z: m.position.z,
+      vx: m.velocity.x,
+      vy: m.velocity.y,
+      vz: m.velocity.z,
+      speed: m.speed,
+      targetId: m.targetId,
+      teamId: m.teamId,
+    };
+  }
+
+  alivePlayers() {
+    return Object.values(this.players).filter((p) => p.isAlive);
+  }
+}
+
+module.exports = MatchSimulation;
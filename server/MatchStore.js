@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const path = require("path");
+const JsonFile = require("./JsonFile");
+const {
+  TEAMS,
+  DRAW,
+  MATCHMAKING,
+  ROOMS,
+  emptyLifetime,
+  addMatchResult,
+} = require("../shared");
+
+const DEFAULT_FILE = path.join(__dirname, "data", "matches.json");
+const MAX_HISTORY_PAGE = 50;
+const STAT_FIELDS = ["kills", "deaths", "assists", "deflections"];
+const MODES = ["custom", ...Object.values(MATCHMAKING.MODES)];
+
+/**
+ * MatchStore
+ * Finished matches kept in a local JSON file (MATCH_DB, default
+ * server/data/matches.json), newest last. Results come from the match
+ * authority: this server's MatchSimulation, or an external one posting to
+ * /api/match/result.
+ */
+class MatchStore {
+  constructor(file = process.env.MATCH_DB || DEFAULT_FILE) {
+    this.db = new JsonFile(file, { matches: [] });
+    this.matches = this.db.data.matches;
+  }
+
+  save() {
+    this.db.save();
+  }
+
+  /**
+   * Check a submitted result has everything a history entry needs
+   * @returns {string|null} what's wrong, or null if it's usable
+   */
+  validate(result) {
+    if (!result || typeof result !== "object") return "Missing result";
+    const teams = Object.values(TEAMS);
+    if (!teams.includes(result.winner) && result.winner !== DRAW) {
+      return "Unknown winner";
+    }
+    if (
+      !result.scores ||
+      !teams.every((t) => Number.isInteger(result.scores[t.toLowerCase()]))
+    ) {
+      return "Scores must be { blue, red }";
+    }
+    if (
+      !Array.isArray(result.rounds) ||
+      !result.rounds.every((w) => teams.includes(w) || w === DRAW)
+    ) {
+      return "Rounds must list each round's winning team (or DRAW)";
+    }
+    if (!Array.isArray(result.players) || result.players.length === 0) {
+      return "Missing players";
+    }
+    const badPlayer = result.players.some(
+      (p) =>
+        !p ||
+        typeof p.id !== "string" ||
+        !teams.includes(p.team) ||
+        (p.name != null && typeof p.name !== "string") ||
+        !STAT_FIELDS.every((field) => Number.isInteger(p[field])),
+    );
+    if (badPlayer) return "Each player needs id, team and K/D/A/deflections";
+    if (!Number.isFinite(result.duration) || result.duration < 0) {
+      return "Missing duration";
+    }
+    // Optional, but shown in everyone's history when given
+    if (result.mode != null && !MODES.includes(result.mode)) {
+      return "Unknown mode";
+    }
+    if (
+      result.teamSize != null &&
+      !MATCHMAKING.TEAM_SIZES.includes(result.teamSize)
+    ) {
+      return `Team size must be one of ${MATCHMAKING.TEAM_SIZES.join(", ")}`;
+    }
+    if (
+      result.map != null &&
+      (typeof result.map !== "string" || !ROOMS.MAP_ID.test(result.map))
+    ) {
+      return "Unknown map";
+    }
+    return null;
+  }
+
+  /**
+   * Store a validated result
+   * @returns {Object} the stored match (with id and playedAt)
+   */
+  record(result) {
+    const match = {
+      id: crypto.randomBytes(6).toString("hex"),
+      playedAt: Date.now(),
+      mode: result.mode || "custom",
+      map: result.map || null,
+      teamSize: result.teamSize || null,
+      duration: result.duration,
+      winner: result.winner,
+      scores: { blue: result.scores.blue, red: result.scores.red },
+      rounds: [...result.rounds],
+      players: result.players.map((p) => ({
+        id: p.id,
+        name: p.name || null,
+        team: p.team,
+        kills: p.kills,
+        deaths: p.deaths,
+        assists: p.assists,
+        deflections: p.deflections,
+        damageDealt: p.damageDealt || 0,
+        longestChain: p.longestChain || 0,
+        left: !!p.left,
+      })),
+    };
+    this.matches.push(match);
+    this.db.scheduleSave();
+    return match;
+  }
+
+  /**
+   * A player's matches, newest first
+   * @param {Object} [options] - { limit, before } where before is a
+   *   playedAt timestamp to page from
+   */
+  history(playerId, { limit = 20, before = Infinity } = {}) {
+    const count = Math.min(Math.max(1, limit), MAX_HISTORY_PAGE);
+    const matches = [];
+    for (
+      let i = this.matches.length - 1;
+      i >= 0 && matches.length < count;
+      i--
+    ) {
+      const match = this.matches[i];
+      if (match.playedAt >= before) continue;
+      if (match.players.some((p) => p.id === playerId)) matches.push(match);
+    }
+    return matches;
+  }
+
+  /**
+   * Career totals over every stored match the player took part in
+   * (matches they left count as played and lost)
+   */
+  lifetime(playerId) {
+    const totals = emptyLifetime();
+    this.matches.forEach((match) => {
+      const me = match.players.find((p) => p.id === playerId);
+      if (!me) return;
+      addMatchResult(totals, {
+        won: !me.left && match.winner === me.team,
+        drawn: !me.left && match.winner === DRAW,
+        duration: match.duration,
+        stats: me,
+      });
+    });
+    return totals;
+  }
+}
+
+module.exports = MatchStore;
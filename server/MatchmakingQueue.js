@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+const { ELO, MATCHMAKING, TEAMS } = require("../shared");
+
+const MATCH_INTERVAL = 1000; // ms between matching passes
+
+/**
+ * MatchmakingQueue
+ * Groups queued players into full matches per mode and team size.
+ *
+ * Unranked is first come, first served. Ranked anchors on the longest
+ * waiting ticket and only takes players inside its ELO window, which widens
+ * the longer the anchor waits; teams are then drafted so both sides have a
+ * similar average ELO. The queue only groups tickets: the caller creates the
+ * room and notifies the players from onMatch.
+ */
+class MatchmakingQueue {
+  /**
+   * @param {Function} onMatch - Called with { mode, teamSize, players }
+   *   where players is [{ playerId, team, elo }]
+   */
+  constructor(onMatch) {
+    this.onMatch = onMatch;
+    this.tickets = {}; // ticketId -> ticket
+    this.interval = null;
+  }
+
+  start() {
+    this.interval = setInterval(() => this.matchAll(), MATCH_INTERVAL);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Queue a player (replacing any ticket they already hold)
+   * @returns {Object|null} the ticket, or null for an unknown mode/size
+   */
+  enqueue(playerId, { mode, teamSize, elo }) {
+    const size = Number(teamSize);
+    if (!Object.values(MATCHMAKING.MODES).includes(mode)) return null;
+    if (!MATCHMAKING.TEAM_SIZES.includes(size)) return null;
+
+    this.dequeuePlayer(playerId);
+    const ticket = {
+      id: crypto.randomBytes(6).toString("hex"),
+      playerId,
+      mode,
+      teamSize: size,
+      elo: Number.isFinite(elo) ? elo : ELO.STARTING,
+      joinedAt: Date.now(),
+    };
+    this.tickets[ticket.id] = ticket;
+    return ticket;
+  }
+
+  dequeue(ticketId) {
+    const ticket = this.tickets[ticketId];
+    delete this.tickets[ticketId];
+    return ticket || null;
+  }
+
+  dequeuePlayer(playerId) {
+    const ticket = this.findByPlayer(playerId);
+    return ticket ? this.dequeue(ticket.id) : null;
+  }
+
+  findByPlayer(playerId) {
+    return (
+      Object.values(this.tickets).find((t) => t.playerId === playerId) || null
+    );
+  }
+
+  /**
+   * Where a ticket stands: wait time, position, current ELO window and how
+   * many others are searching for the same mode and team size
+   */
+  status(ticketId) {
+    const ticket = this.tickets[ticketId];
+    if (!ticket) return null;
+
+    const bucket = this.bucket(ticket.mode, ticket.teamSize);
+    return {
+      ticketId: ticket.id,
+      mode: ticket.mode,
+      teamSize: ticket.teamSize,
+      waitTime: Date.now() - ticket.joinedAt,
+      position: bucket.indexOf(ticket) + 1,
+      searching: bucket.length,
+      needed: ticket.teamSize * 2,
+      eloWindow:
+        ticket.mode === MATCHMAKING.MODES.RANKED
+          ? this.eloWindow(ticket)
+          : null,
+    };
+  }
+
+  /**
+   * ± ELO a ranked ticket accepts after waiting this long
+   */
+  eloWindow(ticket, now = Date.now()) {
+    const waited = (now - ticket.joinedAt) / 1000;
+    return Math.min(
+      MATCHMAKING.MAX_ELO_WINDOW,
+      MATCHMAKING.ELO_WINDOW + MATCHMAKING.ELO_WINDOW_GROWTH * waited,
+    );
+  }
+
+  /**
+   * Tickets for one mode and team size, longest waiting first
+   */
+  bucket(mode, teamSize) {
+    return Object.values(this.tickets)
+      .filter((t) => t.mode === mode && t.teamSize === teamSize)
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+  }
+
+  // --- Matching ---
+
+  matchAll() {
+    Object.values(MATCHMAKING.MODES).forEach((mode) => {
+      MATCHMAKING.TEAM_SIZES.forEach((teamSize) => {
+        let group = this.findGroup(this.bucket(mode, teamSize), mode, teamSize);
+        while (group) {
+          group.forEach((t) => delete this.tickets[t.id]);
+          this.onMatch({ mode, teamSize, players: this.draftTeams(group) });
+          group = this.findGroup(this.bucket(mode, teamSize), mode, teamSize);
+        }
+      });
+    });
+  }
+
+  /**
+   * Pick teamSize * 2 tickets that can play together, or null
+   */
+  findGroup(tickets, mode, teamSize) {
+    const needed = teamSize * 2;
+    if (tickets.length < needed) return null;
+
+    if (mode !== MATCHMAKING.MODES.RANKED) return tickets.slice(0, needed);
+
+    // Both sides must accept the gap: the anchor's window and theirs
+    const now = Date.now();
+    for (const anchor of tickets) {
+      const window = this.eloWindow(anchor, now);
+      const candidates = tickets
+        .filter((t) => {
+          const gap = Math.abs(t.elo - anchor.elo);
+          return gap <= window && gap <= this.eloWindow(t, now);
+        })
+        .sort(
+          (a, b) => Math.abs(a.elo - anchor.elo) - Math.abs(b.elo - anchor.elo),
+        );
+      if (candidates.length >= needed) return candidates.slice(0, needed);
+    }
+    return null;
+  }
+
+  /**
+   * Split a group into BLUE and RED with similar total ELO (snake draft)
+   */
+  draftTeams(group) {
+    return [...group]
+      .sort((a, b) => b.elo - a.elo)
+      .map((t, i) => ({
+        playerId: t.playerId,
+        elo: t.elo,
+        team: i % 4 === 0 || i % 4 === 3 ? TEAMS.BLUE : TEAMS.RED,
+      }));
+  }
+}
+
+module.exports = MatchmakingQueue;
@@ -0,0 +1,194 @@
+const crypto = require("crypto");
+const path = require("path");
+const { promisify } = require("util");
+const JsonFile = require("./JsonFile");
+const { ACCOUNT, ELO } = require("../shared");
+
+const scrypt = promisify(crypto.scrypt);
+
+const DEFAULT_FILE = path.join(__dirname, "data", "players.json");
+const KEY_LENGTH = 64;
+
+/**
+ * PlayerStore
+ * Registered player accounts kept in a local JSON file (PLAYER_DB, default
+ * server/data/players.json). Passwords are salted scrypt hashes; login
+ * tokens are stored as SHA-256 digests so the file never holds a usable
+ * credential. An account's ID doubles as its playerId once logged in.
+ */
+class PlayerStore {
+  constructor(file = process.env.PLAYER_DB || DEFAULT_FILE) {
+    this.db = new JsonFile(file, { players: {}, tokens: {} });
+    this.players = this.db.data.players; // id -> { id, username, nickname, elo, salt, passwordHash, createdAt }
+    this.tokens = this.db.data.tokens; // sha256(token) -> { playerId, expiresAt }
+
+    const now = Date.now();
+    Object.keys(this.tokens).forEach((hash) => {
+      if (this.tokens[hash].expiresAt < now) delete this.tokens[hash];
+    });
+  }
+
+  save() {
+    this.db.save();
+  }
+
+  // --- Accounts ---
+
+  /**
+   * @returns {Promise<Object>} { player, token } or { error }
+   */
+  async register(username, password) {
+    if (
+      typeof username !== "string" ||
+      !ACCOUNT.USERNAME_PATTERN.test(username)
+    ) {
+      return { error: "Username must be 3-16 letters, digits or _" };
+    }
+    if (
+      typeof password !== "string" ||
+      password.length < ACCOUNT.PASSWORD_MIN_LENGTH
+    ) {
+      return {
+        error: `Password must be at least ${ACCOUNT.PASSWORD_MIN_LENGTH} characters`,
+      };
+    }
+    if (this.findByUsername(username)) {
+      return { error: "Username taken" };
+    }
+
+    const salt = crypto.randomBytes(16).toString("hex");
+    const player = {
+      id: crypto.randomBytes(8).toString("base64url"),
+      username,
+      nickname: username.toUpperCase(),
+      elo: ELO.STARTING,
+      salt,
+      passwordHash: await this.hash(password, salt),
+      createdAt: Date.now(),
+    };
+    // Someone may have taken the name while we were hashing
+    if (this.findByUsername(username)) {
+      return { error: "Username taken" };
+    }
+    this.players[player.id] = player;
+    return { player, token: this.issueToken(player.id) };
+  }
+
+  /**
+   * @returns {Promise<Object>} { player, token } or { error }
+   */
+  async login(username, password) {
+    const player =
+      typeof username === "string" ? this.findByUsername(username) : null;
+    if (!player || typeof password !== "string") {
+      return { error: "Wrong username or password" };
+    }
+
+    const hash = await this.hash(password, player.salt);
+    const matches = crypto.timingSafeEqual(
+      Buffer.from(hash, "hex"),
+      Buffer.from(player.passwordHash, "hex"),
+    );
+    if (!matches) return { error: "Wrong username or password" };
+
+    return { player, token: this.issueToken(player.id) };
+  }
+
+  async hash(password, salt) {
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return key.toString("hex");
+  }
+
+  get(id) {
+    return (typeof id === "string" && this.players[id]) || null;
+  }
+
+  findByUsername(username) {
+    const name = username.toLowerCase();
+    return (
+      Object.values(this.players).find(
+        (p) => p.username.toLowerCase() === name,
+      ) || null
+    );
+  }
+
+  /**
+   * Apply profile edits a player may make themselves
+   * @returns {Object} the player, or { error }
+   */
+  updateProfile(id, { nickname }) {
+    const player = this.get(id);
+    if (!player) return { error: "Player not found" };
+
+    if (nickname !== undefined) {
+      const name = typeof nickname === "string" ? nickname.trim() : "";
+      if (!name || name.length > ACCOUNT.NICKNAME_MAX_LENGTH) {
+        return {
+          error: `Nickname must be 1-${ACCOUNT.NICKNAME_MAX_LENGTH} characters`,
+        };
+      }
+      if (!ACCOUNT.NICKNAME_PATTERN.test(name)) {
+        return {
+          error: "Nicknames may only use letters, digits, spaces, _ . and -",
+        };
+      }
+      player.nickname = name;
+    }
+    this.db.scheduleSave();
+    return player;
+  }
+
+  setElo(id, elo) {
+    const player = this.get(id);
+    if (!player) return;
+    player.elo = elo;
+    this.db.scheduleSave();
+  }
+
+  /**
+   * Fields anyone may see
+   */
+  profile(player) {
+    return {
+      id: player.id,
+      username: player.username,
+      nickname: player.nickname,
+      elo: player.elo,
+      createdAt: player.createdAt,
+    };
+  }
+
+  // --- Tokens ---
+
+  issueToken(playerId) {
+    const token = crypto.randomBytes(32).toString("hex");
+    this.tokens[this.digest(token)] = {
+      playerId,
+      expiresAt: Date.now() + ACCOUNT.TOKEN_TTL,
+    };
+    this.db.scheduleSave();
+    return token;
+  }
+
+  /**
+   * The account a login token belongs to, or null if unknown/expired
+   */
+  verifyToken(token) {
+    if (typeof token !== "string" || !token) return null;
+    const entry = this.tokens[this.digest(token)];
+    if (!entry || entry.expiresAt < Date.now()) return null;
+    return this.get(entry.playerId);
+  }
+
+  revokeToken(token) {
+    if (typeof token !== "string") return;
+    delete this.tokens[this.digest(token)];
+    this.db.scheduleSave();
+  }
+
+  digest(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+}
+
+module.exports = PlayerStore;
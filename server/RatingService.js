@@ -0,0 +1,133 @@
+const { ELO, LEADERBOARD, eloChanges, rankTier } = require("../shared");
+
+/**
+ * RatingService
+ * Holds every player's ELO and applies the result of ranked matches.
+ * Registered players' ratings persist in the PlayerStore; guests are rated
+ * in memory for as long as the server runs. Players not seen before start
+ * at ELO.STARTING. Only registered players have a leaderboard place.
+ */
+class RatingService {
+  /**
+   * @param {PlayerStore} [store] - Accounts whose ratings should persist
+   */
+  constructor(store = null) {
+    this.store = store;
+    this.ratings = {}; // guest playerId -> elo
+  }
+
+  get(playerId) {
+    const account = this.store && this.store.get(playerId);
+    if (account) return account.elo;
+    return this.ratings[playerId] ?? ELO.STARTING;
+  }
+
+  set(playerId, elo) {
+    if (this.store && this.store.get(playerId)) {
+      this.store.setElo(playerId, elo);
+    } else {
+      this.ratings[playerId] = elo;
+    }
+  }
+
+  /**
+   * 1-based leaderboard place, or null for guests. Tied ratings share a place.
+   */
+  position(playerId) {
+    if (!this.store || !this.store.get(playerId)) return null;
+    const elo = this.get(playerId);
+    return (
+      Object.values(this.store.players).filter((p) => p.elo > elo).length + 1
+    );
+  }
+
+  /**
+   * Registered players, best first (earlier sign-ups win ties for order)
+   * @returns {Array} [{ player, rank }]
+   */
+  standings() {
+    if (!this.store) return [];
+    const sorted = Object.values(this.store.players).sort(
+      (a, b) => b.elo - a.elo || a.createdAt - b.createdAt,
+    );
+    let rank = 0;
+    return sorted.map((player, i) => {
+      if (i === 0 || player.elo !== sorted[i - 1].elo) rank = i + 1;
+      return { player, rank };
+    });
+  }
+
+  /**
+   * One page of the leaderboard. Search matches nicknames and usernames
+   * (case-insensitive) and keeps everyone's overall rank; `around` centres
+   * the page on that player instead of starting at `offset`.
+   * @returns {Object|null} { total, offset, limit, entries }, or null when
+   *   `around` is not on the (searched) leaderboard
+   */
+  leaderboard({
+    offset = 0,
+    limit = LEADERBOARD.PAGE_SIZE,
+    search = "",
+    around = null,
+  } = {}) {
+    let rows = this.standings();
+    if (search) {
+      const query = search.toLowerCase();
+      rows = rows.filter(
+        ({ player }) =>
+          player.nickname.toLowerCase().includes(query) ||
+          player.username.toLowerCase().includes(query),
+      );
+    }
+
+    const count = Math.min(Math.max(1, limit), LEADERBOARD.MAX_PAGE_SIZE);
+    let start = Math.max(0, offset);
+    if (around) {
+      const index = rows.findIndex(({ player }) => player.id === around);
+      if (index === -1) return null;
+      start = Math.max(
+        0,
+        Math.min(index - Math.floor(count / 2), rows.length - count),
+      );
+    }
+
+    return {
+      total: rows.length,
+      offset: start,
+      limit: count,
+      entries: rows.slice(start, start + count).map(({ player, rank }) => ({
+        rank,
+        id: player.id,
+        nickname: player.nickname,
+        elo: player.elo,
+        tier: rankTier(player.elo, rank),
+      })),
+    };
+  }
+
+  tier(playerId) {
+    return rankTier(this.get(playerId), this.position(playerId));
+  }
+
+  /**
+   * Update ratings after a ranked match.
+   * @param {Array} players - [{ id, team, left }]; leavers are rated as losers
+   * @param {string} winner - Winning team
+   * @returns {Object} playerId -> { before, after, delta, tier }
+   */
+  applyMatch(players, winner) {
+    const changes = eloChanges(
+      players.map((p) => ({ ...p, elo: this.get(p.id) })),
+      winner,
+    );
+    Object.entries(changes).forEach(([id, change]) => {
+      this.set(id, change.after);
+    });
+    Object.keys(changes).forEach((id) => {
+      changes[id].tier = this.tier(id);
+    });
+    return changes;
+  }
+}
+
+module.exports = RatingService;
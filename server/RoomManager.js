@@ -1,9 +1,37 @@
+const MatchSimulation = require("./MatchSimulation");
+const {
+  ROOMS,
+  TEAMS,
+  lobbyStartError,
+  sanitizeMatchRules,
+} = require("../shared");
+
+/**
+ * Trimmed, length-capped text from a client, or null if there's none
+ */
+function cleanText(value, maxLength) {
+  if (typeof value !== "string") return null;
+  return value.trim().slice(0, maxLength) || null;
+}
+
 class RoomManager {
-  constructor(io) {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onMatchEnd] - Called with (room, result) after
+   *   a match finishes and the room is back in its lobby
+   */
+  constructor(io, { onMatchEnd = null } = {}) {
     this.io = io;
     this.rooms = {};
+    this.onMatchEnd = onMatchEnd;
   }
 
+  /**
+   * @param {Object} [settings] - { teamSize, map, mode, name, visibility,
+   *   password, rules }; public rooms are listed in the room browser, a
+   *   password is needed to join either kind, and rules are MATCH_RULES
+   *   values (anything left out stays at its default)
+   */
   createRoom(hostId, settings = {}) {
     const roomId = this.generateRoomId();
     const teamSize = settings.teamSize || 1;
@@ -11,12 +39,24 @@ class RoomManager {
       id: roomId,
       hostId: hostId,
       players: {},
+      spectators: {}, // playerId -> { id, name }; no team, no slot
       gameState: "LOBBY",
       settings: {
         maxPlayers: teamSize * 2,
         teamSize: teamSize,
         map: settings.map || "orbital",
+        mode: settings.mode || "custom", // "custom" (room code) or a queue mode
+        name:
+          cleanText(settings.name, ROOMS.NAME_MAX_LENGTH) || `Room ${roomId}`,
+        visibility:
+          settings.visibility === ROOMS.VISIBILITY.PRIVATE
+            ? ROOMS.VISIBILITY.PRIVATE
+            : ROOMS.VISIBILITY.PUBLIC,
+        rules: sanitizeMatchRules(settings.rules),
       },
+      password: cleanText(settings.password, ROOMS.PASSWORD_MAX_LENGTH), // Never sent to clients
+      match: null, // MatchSimulation while gameState === "PLAYING"
+      countdown: null, // Start timer once everyone is ready (see server.js)
       createdAt: Date.now(),
     };
 
@@ -26,6 +66,26 @@ class RoomManager {
     return roomId;
   }
 
+  /**
+   * Room for a group found by matchmaking, with the drafted teams.
+   * The first player hosts.
+   * @param {Array} players - [{ playerId, team }]
+   */
+  createMatchRoom(players, settings) {
+    const [host, ...others] = players;
+    const roomId = this.createRoom(host.playerId, {
+      ...settings,
+      visibility: ROOMS.VISIBILITY.PRIVATE,
+    });
+    const room = this.rooms[roomId];
+
+    room.players[host.playerId].team = host.team;
+    others.forEach((p) =>
+      this.addPlayerToRoom(roomId, p.playerId, false, p.team),
+    );
+    return roomId;
+  }
+
   updateSettings(roomId, settings) {
     const room = this.rooms[roomId];
     if (!room) return;
@@ -37,17 +97,24 @@ class RoomManager {
       map: settings.map || room.settings.map,
       teamSize: newTeamSize,
       maxPlayers: newTeamSize * 2,
+      rules: sanitizeMatchRules(settings.rules, room.settings.rules),
     };
 
     // Re-balance teams if needed after team size change
     this.rebalanceTeams(room);
 
+    // Everyone confirms the new settings
+    this.clearReady(room);
+
     return room;
   }
 
-  joinRoom(roomId, playerId) {
+  joinRoom(roomId, playerId, password = null) {
     const room = this.rooms[roomId];
     if (!room) return { error: "Room not found" };
+    if (room.password && password !== room.password) {
+      return { error: "Wrong password" };
+    }
     if (room.gameState !== "LOBBY") return { error: "Game already started" };
 
     const playerCount = Object.keys(room.players).length;
@@ -57,7 +124,30 @@ class RoomManager {
     return { success: true, room };
   }
 
-  addPlayerToRoom(roomId, playerId, isHost) {
+  /**
+   * Watch a room. Spectators can come in at any time, even mid-match, and
+   * never take a slot or count towards team balance.
+   */
+  spectateRoom(roomId, playerId, password = null, name = null) {
+    const room = this.rooms[roomId];
+    if (!room) return { error: "Room not found" };
+    if (room.password && password !== room.password) {
+      return { error: "Wrong password" };
+    }
+    if (room.players[playerId]) return { error: "Already playing here" };
+
+    room.spectators[playerId] = { id: playerId, name };
+    return { success: true, room };
+  }
+
+  leaveSpectator(roomId, playerId) {
+    const room = this.rooms[roomId];
+    if (!room) return;
+    delete room.spectators[playerId];
+    if (room.match) room.match.removeSpectator(playerId);
+  }
+
+  addPlayerToRoom(roomId, playerId, isHost, assignedTeam = null) {
     const room = this.rooms[roomId];
 
     // Auto-assign team: always put on the team with fewer players
@@ -68,7 +158,7 @@ class RoomManager {
       (p) => p.team === "RED",
     ).length;
 
-    const team = blueCount <= redCount ? "BLUE" : "RED";
+    const team = assignedTeam || (blueCount <= redCount ? "BLUE" : "RED");
 
     room.players[playerId] = {
       id: playerId,
@@ -76,6 +166,8 @@ class RoomManager {
       isBot: false,
       isHost: isHost,
       name: null,
+      ready: false,
+      connected: true, // false while a dropped player's slot is held
     };
 
     console.log(
@@ -121,26 +213,125 @@ class RoomManager {
     if (teamCount >= room.settings.teamSize) return { error: "Team full" };
 
     player.team = newTeam;
+    player.ready = false;
     console.log(`[RoomManager] Player ${playerId} switched to ${newTeam}`);
     return { success: true, player };
   }
 
+  setReady(roomId, playerId, ready) {
+    const room = this.rooms[roomId];
+    if (!room || !room.players[playerId]) return { error: "No room" };
+    if (room.gameState !== "LOBBY") return { error: "Game already started" };
+
+    room.players[playerId].ready = !!ready;
+    return { success: true, player: room.players[playerId] };
+  }
+
+  clearReady(room) {
+    Object.values(room.players).forEach((p) => (p.ready = false));
+  }
+
+  /**
+   * Why the room can't start its match yet, or null if it can
+   */
+  startError(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) return "Room not found";
+    if (room.gameState !== "LOBBY") return "Game already started";
+    return lobbyStartError(Object.values(room.players), room.settings.teamSize);
+  }
+
+  /**
+   * Matchmade rooms only start as matched: both teams at full strength
+   */
+  isMatchRoomFull(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) return false;
+    const players = Object.values(room.players);
+    return [TEAMS.BLUE, TEAMS.RED].every(
+      (team) =>
+        players.filter((p) => p.team === team).length ===
+        room.settings.teamSize,
+    );
+  }
+
+  /**
+   * Start the server-authoritative match for a room.
+   */
+  startMatch(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) return;
+
+    if (room.match) room.match.stop();
+    // Back in the lobby afterwards, everyone readies up again
+    this.clearReady(room);
+
+    room.gameState = "PLAYING";
+    room.match = new MatchSimulation(room, this.io, (result) => {
+      room.match = null;
+      room.gameState = "LOBBY";
+      if (this.onMatchEnd) this.onMatchEnd(room, result);
+    });
+    room.match.start();
+    return room;
+  }
+
+  /**
+   * Mark a player as dropped (slot held until deadline) or back again.
+   * A running match pauses while anyone is missing.
+   */
+  setPlayerConnected(roomId, playerId, connected, deadline = null) {
+    const room = this.rooms[roomId];
+    if (!room || !room.players[playerId]) return;
+
+    room.players[playerId].connected = connected;
+    if (room.match)
+      room.match.setPlayerConnected(playerId, connected, deadline);
+
+    // A dropped host can't start the next match: pass the role on now
+    if (!connected && room.hostId === playerId) {
+      const newHostId = this.migrateHost(room);
+      if (newHostId) return { newHostId };
+    }
+  }
+
+  /**
+   * Hand the host role to the longest-present connected player (or anyone
+   * left, if all are dropped). Match state lives in the room's
+   * MatchSimulation, so nothing else has to move with the role.
+   * @returns {string|null} the new host's ID
+   */
+  migrateHost(room) {
+    const candidates = Object.values(room.players).filter(
+      (p) => p.id !== room.hostId,
+    );
+    const next = candidates.find((p) => p.connected) || candidates[0];
+    if (!next) return null;
+
+    if (room.players[room.hostId]) room.players[room.hostId].isHost = false;
+    room.hostId = next.id;
+    next.isHost = true;
+    console.log(`[RoomManager] Host of ${room.id} is now ${next.id}`);
+    return next.id;
+  }
+
   leaveRoom(roomId, playerId) {
     const room = this.rooms[roomId];
     if (!room) return;
 
     delete room.players[playerId];
+    if (room.match) room.match.removePlayer(playerId);
 
+    // Spectators alone don't keep a room open
     if (Object.keys(room.players).length === 0) {
+      if (room.match) room.match.stop();
       delete this.rooms[roomId];
-      return;
+      return { closed: true };
     }
 
     if (room.hostId === playerId) {
-      const nextPlayerId = Object.keys(room.players)[0];
-      room.hostId = nextPlayerId;
-      room.players[nextPlayerId].isHost = true;
-      return { newHostId: nextPlayerId };
+      const newHostId = this.migrateHost(room);
+      if (newHostId) return { newHostId };
     }
   }
 
@@ -167,10 +358,43 @@ class RoomManager {
     return entities;
   }
 
+  /**
+   * Public custom rooms for the room browser, open lobbies first
+   */
+  listRooms() {
+    return Object.values(this.rooms)
+      .filter(
+        (room) =>
+          room.settings.mode === "custom" &&
+          room.settings.visibility === ROOMS.VISIBILITY.PUBLIC,
+      )
+      .sort(
+        (a, b) =>
+          (a.gameState !== "LOBBY") - (b.gameState !== "LOBBY") ||
+          a.createdAt - b.createdAt,
+      )
+      .map((room) => ({
+        id: room.id,
+        name: room.settings.name,
+        hostName: room.players[room.hostId]?.name || null,
+        players: Object.keys(room.players).length,
+        maxPlayers: room.settings.maxPlayers,
+        spectators: Object.keys(room.spectators).length,
+        map: room.settings.map,
+        teamSize: room.settings.teamSize,
+        state: room.gameState,
+        locked: !!room.password,
+      }));
+  }
+
   getPlayerRoom(playerId) {
     return Object.values(this.rooms).find((r) => r.players[playerId]);
   }
 
+  getSpectatedRoom(playerId) {
+    return Object.values(this.rooms).find((r) => r.spectators[playerId]);
+  }
+
   generateRoomId() {
     return Math.random().toString(36).substring(2, 6).toUpperCase();
   }
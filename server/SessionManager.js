@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+
+/**
+ * SessionManager
+ * Gives each client a stable player ID behind a secret session token, so a
+ * player whose socket drops can reconnect as the same player. Rooms and
+ * matches key everything by player ID, never by socket ID. Logged in
+ * players use their account ID, so any of their devices can resume.
+ */
+class SessionManager {
+  constructor() {
+    this.sessions = {}; // token -> { token, playerId, accountId, socketId, expiryTimer }
+  }
+
+  /**
+   * Resume the session for a token, or start a new one.
+   * @param {string|null} accountId - Logged in account, null for guests
+   * @returns {{ session: Object, resumed: boolean }}
+   */
+  connect(token, socketId, accountId = null) {
+    let session = this.get(token);
+    // Logging in or out changes who we are: that's a new session
+    if (session && session.accountId !== accountId) session = null;
+    // The account may already be playing from another tab or device
+    if (!session && accountId) {
+      session =
+        Object.values(this.sessions).find((s) => s.accountId === accountId) ||
+        null;
+    }
+    const resumed = !!session;
+
+    if (!session) {
+      session = {
+        token: crypto.randomBytes(24).toString("hex"),
+        playerId: accountId || crypto.randomBytes(8).toString("base64url"),
+        accountId,
+        socketId: null,
+        expiryTimer: null,
+      };
+      this.sessions[session.token] = session;
+    }
+
+    // A second tab with the same token takes over the session
+    const previousSocketId = session.socketId;
+    if (session.expiryTimer) {
+      clearTimeout(session.expiryTimer);
+      session.expiryTimer = null;
+    }
+    session.socketId = socketId;
+
+    return { session, resumed, previousSocketId };
+  }
+
+  /**
+   * Socket went away: keep the session for graceMs, then call onExpire.
+   * Does nothing if another socket already took the session over.
+   */
+  hold(session, socketId, graceMs, onExpire) {
+    if (session.socketId !== socketId) return;
+    session.socketId = null;
+    session.expiryTimer = setTimeout(() => {
+      this.end(session);
+      onExpire();
+    }, graceMs);
+  }
+
+  get(token) {
+    return (typeof token === "string" && this.sessions[token]) || null;
+  }
+
+  /**
+   * Forget a session; its token can no longer be resumed.
+   */
+  end(session) {
+    if (session.expiryTimer) clearTimeout(session.expiryTimer);
+    delete this.sessions[session.token];
+  }
+}
+
+module.exports = SessionManager;
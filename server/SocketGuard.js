@@ -0,0 +1,191 @@
+const { TEAMS, ROOMS, MATCHMAKING } = require("../shared");
+
+const MAX_TEXT_LENGTH = 256; // Hard cap for any client string; stores trim further
+const MAX_INPUTS = 64; // Commands in one player_input
+const RATE_WINDOW = 1000; // ms
+const VIOLATION_WINDOW = 10000; // ms
+const VIOLATION_LIMIT = 20; // Violations inside VIOLATION_WINDOW before a kick
+const LOG_SIZE = 500; // Most recent violations kept for /api/admin/violations
+
+// --- Payload checks ---
+// Each returns true when the value is acceptable. Objects may carry extra
+// keys, but handlers only ever read the ones listed here.
+
+const none = (value) => value === undefined;
+const boolean = (value) => typeof value === "boolean";
+const number = (value) => typeof value === "number" && Number.isFinite(value);
+const text = (value) =>
+  typeof value === "string" && value.length <= MAX_TEXT_LENGTH;
+const oneOf = (values) => (value) => values.includes(value);
+const optional = (check) => (value) => value == null || check(value);
+const either =
+  (...checks) =>
+  (value) =>
+    checks.some((check) => check(value));
+const object = (shape) => (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.entries(shape).every(([key, check]) => check(value[key]));
+const list = (max, check) => (value) =>
+  Array.isArray(value) && value.length <= max && value.every(check);
+
+const mapId = (value) => typeof value === "string" && ROOMS.MAP_ID.test(value);
+const vector = object({ x: number, y: number, z: number });
+const roomRequest = object({ roomId: text, password: optional(text) });
+
+// First argument of every client event (callbacks are not part of it)
+const SCHEMAS = {
+  create_room: optional(
+    object({
+      name: optional(text),
+      password: optional(text),
+      visibility: optional(oneOf(Object.values(ROOMS.VISIBILITY))),
+      rules: optional(object({})), // Clamped by sanitizeMatchRules
+    }),
+  ),
+  list_rooms: none,
+  join_room: either(text, roomRequest),
+  spectate_room: roomRequest,
+  update_room_settings: object({
+    teamSize: optional(oneOf(MATCHMAKING.TEAM_SIZES)),
+    map: optional(mapId),
+    rules: optional(object({})),
+  }),
+  switch_team: oneOf([TEAMS.BLUE, TEAMS.RED]),
+  update_player_data: object({ name: optional(text) }),
+  player_input: either(
+    Buffer.isBuffer,
+    object({
+      inputs: list(MAX_INPUTS, (input) => input !== null),
+      ack: optional(number),
+    }),
+  ),
+  deflect_attempt: object({
+    facingDirection: vector,
+    time: optional(number),
+    seq: optional(number),
+  }),
+  batch: Array.isArray,
+  chat_message: object({
+    channel: text,
+    text: optional(text),
+    quick: optional(text),
+  }),
+  set_ready: boolean,
+  start_game: none,
+  leave_room: none,
+};
+
+// Messages per RATE_WINDOW for each event
+const RATE_LIMITS = {
+  player_input: 120, // Up to one per client frame
+  deflect_attempt: 10,
+  batch: 120,
+  list_rooms: 5,
+  chat_message: 10, // ChatService has its own, stricter, limit
+  update_player_data: 5,
+  default: 10,
+};
+
+/**
+ * SocketGuard
+ * First stop for every client event: drops payloads that don't match the
+ * event's schema and players sending faster than its rate limit, and keeps a
+ * log of what was refused. Game rules (movement speed, host-only actions)
+ * are checked where they live and reported here too. A player who piles up
+ * VIOLATION_LIMIT violations within VIOLATION_WINDOW is kicked.
+ */
+class SocketGuard {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onKick] - Called with (playerId, reason)
+   */
+  constructor({ onKick = null } = {}) {
+    this.onKick = onKick;
+    this.recent = {}; // playerId -> event -> times inside RATE_WINDOW
+    this.violations = {}; // playerId -> times inside VIOLATION_WINDOW
+    this.log = []; // { playerId, event, reason, time }, oldest first
+  }
+
+  /**
+   * Should this event be handled? Anything refused is reported.
+   * @returns {string|null} Why it was refused, or null
+   */
+  check(playerId, event, payload, now = Date.now()) {
+    const schema = SCHEMAS[event];
+    if (!schema) {
+      this.report(playerId, event, "Unknown event", now);
+      return "Unknown event";
+    }
+    if (!this.allow(playerId, event, now)) {
+      this.report(playerId, event, "Rate limited", now);
+      return "Too many requests";
+    }
+    if (!schema(payload)) {
+      this.report(playerId, event, "Malformed payload", now);
+      return "Malformed request";
+    }
+    return null;
+  }
+
+  /**
+   * Whether the event's handler takes a payload before its callback
+   */
+  takesPayload(event) {
+    return SCHEMAS[event] !== none;
+  }
+
+  /**
+   * Sliding window per player and event
+   */
+  allow(playerId, event, now = Date.now()) {
+    const events = this.recent[playerId] || (this.recent[playerId] = {});
+    const times = (events[event] || []).filter(
+      (time) => now - time < RATE_WINDOW,
+    );
+    events[event] = times;
+    const limit = RATE_LIMITS[event] || RATE_LIMITS.default;
+    if (times.length >= limit) return false;
+    times.push(now);
+    return true;
+  }
+
+  /**
+   * Log a violation and kick the player once they have too many
+   */
+  report(playerId, event, reason, now = Date.now()) {
+    console.warn(`[SocketGuard] ${playerId} ${event}: ${reason}`);
+    this.log.push({ playerId, event, reason, time: now });
+    if (this.log.length > LOG_SIZE) this.log.shift();
+
+    const times = (this.violations[playerId] || []).filter(
+      (time) => now - time < VIOLATION_WINDOW,
+    );
+    times.push(now);
+    this.violations[playerId] = times;
+
+    if (times.length >= VIOLATION_LIMIT) {
+      this.forget(playerId);
+      if (this.onKick) this.onKick(playerId, reason);
+    }
+  }
+
+  /**
+   * Logged violations, newest first
+   * @param {string} [playerId] - Only this player's
+   */
+  getLog(playerId) {
+    const entries = playerId
+      ? this.log.filter((entry) => entry.playerId === playerId)
+      : this.log;
+    return [...entries].reverse();
+  }
+
+  forget(playerId) {
+    delete this.recent[playerId];
+    delete this.violations[playerId];
+  }
+}
+
+module.exports = SocketGuard;
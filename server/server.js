@@ -1,72 +1,498 @@
+const crypto = require("crypto");
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const cors = require("cors");
 const RoomManager = require("./RoomManager");
+const SessionManager = require("./SessionManager");
+const PlayerStore = require("./PlayerStore");
+const MatchStore = require("./MatchStore");
+const MatchmakingQueue = require("./MatchmakingQueue");
+const RatingService = require("./RatingService");
+const ChatService = require("./ChatService");
+const SocketGuard = require("./SocketGuard");
+const {
+  NETWORK,
+  MATCHMAKING,
+  ROOMS,
+  CHAT,
+  ACCOUNT,
+  PROTOCOLS,
+  decodeInputs,
+} = require("../shared");
 
 const app = express();
 app.use(cors());
+app.use(express.json());
 
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: "*" } });
 
 const PORT = process.env.PORT || 3000;
+// NET_PROTOCOL=json forces plain JSON snapshots for every client (debugging)
+const FORCE_JSON = process.env.NET_PROTOCOL === PROTOCOLS.JSON;
+// Events a client may send inside a batch (one per client network tick)
+const BATCHABLE_EVENTS = ["player_input", "deflect_attempt"];
+const MAX_BATCH_MESSAGES = 16; // Anything past this in one batch is dropped
+// Lets an external match authority post results; without MATCH_API_KEY only
+// this server's own matches are recorded
+const MATCH_API_KEY =
+  process.env.MATCH_API_KEY || crypto.randomBytes(24).toString("hex");
+// Reads the violation log; without ADMIN_API_KEY nobody can
+const ADMIN_API_KEY =
+  process.env.ADMIN_API_KEY || crypto.randomBytes(24).toString("hex");
 
-const roomManager = new RoomManager(io);
+const roomManager = new RoomManager(io, { onMatchEnd: handleMatchEnd });
+const accounts = new PlayerStore();
+const ratings = new RatingService(accounts);
+const matchHistory = new MatchStore();
+const chat = new ChatService();
+const guard = new SocketGuard({ onKick: kickPlayer });
+const sessions = new SessionManager();
+const matchmaking = new MatchmakingQueue(onMatchFound);
 const players = {};
 
+/**
+ * Start the server-authoritative match for a room still in its lobby
+ */
+function startGame(room) {
+  if (!room || room.gameState !== "LOBBY") return;
+  clearTimeout(room.countdown);
+  room.countdown = null;
+  console.log(`Game started in room ${room.id}`);
+  const startData = {
+    entities: roomManager.getRoomEntities(room.id),
+    rules: room.settings.rules,
+  };
+  io.to(room.id).emit("game_started", startData);
+  roomManager.startMatch(room.id);
+}
+
+/**
+ * Custom rooms start on their own a few seconds after everyone is ready.
+ * Call after anything that can change that; the countdown is cancelled as
+ * soon as the room stops being startable. Matchmade rooms have their own
+ * start (startMatchRoom) and are left alone.
+ */
+function updateLobbyCountdown(room) {
+  if (!room || room.gameState !== "LOBBY") return;
+  if (room.settings.mode !== "custom") return;
+  const startable = roomManager.startError(room.id) === null;
+
+  if (startable && !room.countdown) {
+    room.countdown = setTimeout(() => {
+      room.countdown = null;
+      startGame(roomManager.getRoom(room.id));
+    }, ROOMS.START_COUNTDOWN);
+    io.to(room.id).emit("lobby_countdown", {
+      startsIn: ROOMS.START_COUNTDOWN,
+    });
+  } else if (!startable && room.countdown) {
+    clearTimeout(room.countdown);
+    room.countdown = null;
+    io.to(room.id).emit("lobby_countdown", { startsIn: null });
+  }
+}
+
+/**
+ * Matchmaking grouped some players: put them in a fresh room together,
+ * tell them, and start once everyone has had a moment to load the lobby
+ */
+function onMatchFound({ mode, teamSize, players: group }) {
+  const roomId = roomManager.createMatchRoom(group, { mode, teamSize });
+  const room = roomManager.getRoom(roomId);
+  group.forEach((p) => io.in(p.playerId).socketsJoin(roomId));
+
+  io.to(room.hostId).emit("player_role", { isHost: true });
+  io.to(roomId).emit("match_found", {
+    roomId,
+    mode,
+    teamSize,
+    players: room.players,
+    startsIn: MATCHMAKING.MATCH_START_DELAY,
+  });
+  console.log(`Match found (${mode} ${teamSize}v${teamSize}): room ${roomId}`);
+
+  setTimeout(
+    () => startMatchRoom(roomId, mode, teamSize),
+    MATCHMAKING.MATCH_START_DELAY,
+  );
+}
+
+/**
+ * End of the match found delay: start if nobody left in the meantime,
+ * otherwise close the room and put whoever is still there back in the queue
+ */
+function startMatchRoom(roomId, mode, teamSize) {
+  const room = roomManager.getRoom(roomId);
+  if (!room || room.gameState !== "LOBBY") return;
+  if (roomManager.isMatchRoomFull(roomId)) {
+    startGame(room);
+    return;
+  }
+
+  console.log(`Match in room ${roomId} cancelled: a player left`);
+  Object.keys(room.players).forEach((playerId) => {
+    io.in(playerId).socketsLeave(roomId);
+    roomManager.leaveRoom(roomId, playerId);
+    const ticket = matchmaking.enqueue(playerId, {
+      mode,
+      teamSize,
+      elo: playerElo(playerId),
+    });
+    io.to(playerId).emit("match_cancelled", {
+      reason: "A player left before the match started",
+      ...matchmaking.status(ticket.id),
+    });
+  });
+  // Anyone watching by code
+  io.to(roomId).emit("room_closed");
+  io.in(roomId).socketsLeave(roomId);
+}
+
+/**
+ * Rating used for ranked matchmaking
+ */
+function playerElo(playerId) {
+  return ratings.get(playerId);
+}
+
+/**
+ * Record the finished match and report it to the room; ranked matches also
+ * move everyone's ELO, counting a player who left as a loss
+ */
+function handleMatchEnd(room, result) {
+  const match = recordMatch({
+    ...result,
+    mode: room.settings.mode,
+    map: room.settings.map,
+    teamSize: room.settings.teamSize,
+    players: result.players.map((p) => ({
+      ...p,
+      name: room.players[p.id] ? room.players[p.id].name : null,
+    })),
+  });
+
+  const ranked = room.settings.mode === MATCHMAKING.MODES.RANKED;
+  const changes = ranked
+    ? ratings.applyMatch(result.players, result.winner)
+    : null;
+  io.to(room.id).emit("match_result", {
+    matchId: match.id || null,
+    winner: result.winner,
+    scores: result.scores,
+    mode: room.settings.mode,
+    ratings: changes,
+  });
+}
+
+/**
+ * Store a result from a match authority (ours or one posting to the API)
+ * @returns {Object} the stored match, or { error }
+ */
+function recordMatch(result) {
+  const error = matchHistory.validate(result);
+  if (error) {
+    console.warn(`Match result rejected: ${error}`);
+    return { error };
+  }
+  return matchHistory.record(result);
+}
+
+/**
+ * Measure every socket's round trip, then share each room's pings with the
+ * room (scoreboard). Results land one interval later, which is plenty.
+ */
+function measurePings() {
+  io.sockets.sockets.forEach((socket) => {
+    const sentAt = Date.now();
+    socket
+      .timeout(NETWORK.PING_INTERVAL)
+      .emit("latency_check", sentAt, (err) => {
+        if (!err) socket.data.ping = Date.now() - sentAt;
+      });
+  });
+
+  Object.values(roomManager.rooms).forEach((room) => {
+    const pings = {};
+    Object.keys(room.players).forEach((playerId) => {
+      const socket = playerSocket(playerId);
+      if (socket && socket.data.ping !== undefined) {
+        pings[playerId] = socket.data.ping;
+      }
+    });
+    io.to(room.id).emit("player_pings", pings);
+  });
+}
+
+/**
+ * The player's current socket, if they are connected
+ */
+function playerSocket(playerId) {
+  // io.to(playerId) reaches exactly the player's current socket
+  const own = io.sockets.adapter.rooms.get(playerId);
+  const socketId = own && [...own][0];
+  return (socketId && io.sockets.sockets.get(socketId)) || null;
+}
+
+/**
+ * Too many violations: out of their room and the queue, and disconnected.
+ * Their session ends with the socket, so it can't be resumed.
+ */
+function kickPlayer(playerId, reason) {
+  console.log(`Player ${playerId} kicked (${reason})`);
+  matchmaking.dequeuePlayer(playerId);
+  leaveCurrentRoom(playerId);
+  const socket = playerSocket(playerId);
+  if (socket) {
+    socket.emit("kicked", { reason });
+    socket.disconnect(true);
+  }
+}
+
+/**
+ * Guest display name from a client: anything outside ACCOUNT.NICKNAME_PATTERN
+ * stripped, trimmed and capped
+ */
+function cleanName(name) {
+  if (typeof name !== "string") return null;
+  const cleaned = name
+    .replace(/[^\p{L}\p{N} _.-]/gu, "")
+    .trim()
+    .slice(0, ACCOUNT.NICKNAME_MAX_LENGTH)
+    .trim();
+  return ACCOUNT.NICKNAME_PATTERN.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Take a player out of their room right away (left, or never came back)
+ */
+function leaveCurrentRoom(playerId) {
+  const watched = roomManager.getSpectatedRoom(playerId);
+  if (watched) {
+    roomManager.leaveSpectator(watched.id, playerId);
+    announceSpectators(watched);
+    return;
+  }
+
+  const room = roomManager.getPlayerRoom(playerId);
+  if (!room) return;
+
+  const result = roomManager.leaveRoom(room.id, playerId);
+  if (result && result.closed) {
+    // Last player gone: send any spectators home
+    clearTimeout(room.countdown);
+    io.to(room.id).emit("room_closed");
+    io.in(room.id).socketsLeave(room.id);
+    return;
+  }
+  io.to(room.id).emit("player_disconnected", playerId);
+  if (result && result.newHostId) announceHost(room, result.newHostId);
+  updateLobbyCountdown(room);
+}
+
+/**
+ * Who is watching, for everyone in the room: [{ id, name }]
+ */
+function announceSpectators(room) {
+  io.to(room.id).emit("spectators_updated", Object.values(room.spectators));
+}
+
+/**
+ * Tell the new host about their role and everyone else who it is
+ */
+function announceHost(room, hostId) {
+  io.to(hostId).emit("player_role", { isHost: true });
+  io.to(room.id).emit("host_changed", { hostId });
+}
+
+/**
+ * A returning player gets their room back along with the full match state
+ */
+function resumeSession(socket, playerId) {
+  const room = roomManager.getPlayerRoom(playerId);
+  if (!room) return;
+
+  socket.join(room.id);
+  roomManager.setPlayerConnected(room.id, playerId, true);
+  socket.emit("session_resumed", {
+    roomId: room.id,
+    isHost: room.hostId === playerId,
+    players: room.players,
+    settings: room.settings,
+    entities: room.match ? roomManager.getRoomEntities(room.id) : null,
+    match: room.match ? room.match.getFullState() : null,
+  });
+  console.log(`Player ${playerId} resumed in room ${room.id}`);
+}
+
 io.on("connection", (socket) => {
-  console.log(`User connected: ${socket.id}`);
-  players[socket.id] = { id: socket.id };
+  const auth = socket.handshake.auth || {};
+  // Logged in players play as their account; an unknown token means guest
+  const account = accounts.verifyToken(auth.account);
+  // Stable player ID behind a session token, so a dropped player can return
+  const { session, resumed, previousSocketId } = sessions.connect(
+    auth.token,
+    socket.id,
+    account ? account.id : null,
+  );
+  const playerId = session.playerId;
+  socket.data.playerId = playerId;
+  socket.join(playerId); // io.to(playerId) reaches the player's current socket
+  console.log(`User connected: ${playerId} (socket ${socket.id})`);
+  if (!players[playerId]) players[playerId] = { id: playerId };
+
+  // Snapshot/input wire format, chosen by the client at connect time
+  socket.data.protocol =
+    FORCE_JSON || socket.handshake.query.protocol === PROTOCOLS.JSON
+      ? PROTOCOLS.JSON
+      : PROTOCOLS.BINARY;
+
+  // Same session opened again (e.g. a second tab): the newest socket wins
+  if (previousSocketId) {
+    const previous = io.sockets.sockets.get(previousSocketId);
+    if (previous) previous.disconnect(true);
+  }
+
+  socket.emit("session", {
+    token: session.token,
+    playerId,
+    account: account ? accountProfile(account) : null,
+  });
+  if (resumed) resumeSession(socket, playerId);
+
+  // Every client event passes the guard before its handler runs. Handlers
+  // always get a callback, and refused requests are answered through it.
+  const on = (event, handler) => {
+    socket.on(event, (...args) => {
+      const last = args[args.length - 1];
+      const callback = typeof last === "function" ? args.pop() : () => {};
+      const payload = args[0];
+      const error = guard.check(playerId, event, payload);
+      if (error) {
+        callback({ success: false, error });
+        return;
+      }
+      if (guard.takesPayload(event)) handler(payload, callback);
+      else handler(callback);
+    });
+  };
+
+  socket.onAny((event) => {
+    if (socket.listeners(event).length === 0) {
+      guard.report(playerId, event, "Unknown event");
+    }
+  });
 
   // --- Room Events ---
 
-  socket.on("create_room", (settings, callback) => {
-    const roomId = roomManager.createRoom(socket.id, settings);
+  on("create_room", (settings, callback) => {
+    matchmaking.dequeuePlayer(playerId);
+    const roomId = roomManager.createRoom(playerId, {
+      ...settings,
+      mode: "custom", // Queue modes are only for matchmade rooms
+    });
     socket.join(roomId);
     socket.emit("player_role", { isHost: true });
     const room = roomManager.getRoom(roomId);
     socket.emit("current_players", room.players);
-    callback({ success: true, roomId });
-    console.log(`Room created: ${roomId} by ${socket.id}`);
+    callback({ success: true, roomId, settings: room.settings });
+    console.log(`Room created: ${roomId} by ${playerId}`);
+  });
+
+  on("list_rooms", (callback) => {
+    if (typeof callback !== "function") return;
+    callback({ success: true, rooms: roomManager.listRooms() });
   });
 
-  socket.on("join_room", (roomId, callback) => {
-    const result = roomManager.joinRoom(roomId, socket.id);
+  on("join_room", (request, callback) => {
+    // A bare room code, or { roomId, password } from the room browser
+    const { roomId, password } =
+      typeof request === "string" ? { roomId: request } : request || {};
+    matchmaking.dequeuePlayer(playerId);
+    const result = roomManager.joinRoom(roomId, playerId, password);
     if (result.error) {
       callback({ success: false, error: result.error });
       return;
     }
     socket.join(roomId);
     const room = result.room;
-    const newPlayer = room.players[socket.id];
+    const newPlayer = room.players[playerId];
     socket.to(roomId).emit("player_joined", newPlayer);
     socket.emit("current_players", room.players);
     socket.emit("player_role", { isHost: false });
-    callback({ success: true, room });
-    console.log(`Player ${socket.id} joined room ${roomId}`);
+    callback({ success: true, room: { id: room.id, settings: room.settings } });
+    updateLobbyCountdown(room);
+    console.log(`Player ${playerId} joined room ${roomId}`);
+  });
+
+  // Watch a room (any time, even mid-match); the reply carries everything
+  // needed to pick up a running match
+  on("spectate_room", (request, callback) => {
+    if (typeof callback !== "function") return;
+    if (roomManager.getPlayerRoom(playerId)) {
+      callback({ success: false, error: "Already in a room" });
+      return;
+    }
+    const { roomId, password } = request || {};
+    matchmaking.dequeuePlayer(playerId);
+    const watched = roomManager.getSpectatedRoom(playerId);
+    if (watched) {
+      socket.leave(watched.id);
+      leaveCurrentRoom(playerId);
+    }
+    const result = roomManager.spectateRoom(
+      roomId,
+      playerId,
+      password,
+      players[playerId].name || null,
+    );
+    if (result.error) {
+      callback({ success: false, error: result.error });
+      return;
+    }
+
+    const room = result.room;
+    socket.join(room.id);
+    callback({
+      success: true,
+      room: { id: room.id, settings: room.settings },
+      players: room.players,
+      entities: room.match ? roomManager.getRoomEntities(room.id) : null,
+      match: room.match ? room.match.getFullState() : null,
+    });
+    announceSpectators(room);
+    console.log(`Player ${playerId} is spectating room ${room.id}`);
   });
 
-  socket.on("update_room_settings", (settings) => {
-    const room = roomManager.getPlayerRoom(socket.id);
-    if (!room || room.hostId !== socket.id) return;
+  on("update_room_settings", (settings) => {
+    const room = roomManager.getPlayerRoom(playerId);
+    if (!room) return;
+    if (room.hostId !== playerId) {
+      guard.report(playerId, "update_room_settings", "Not the host");
+      return;
+    }
     const updatedRoom = roomManager.updateSettings(room.id, settings);
     if (updatedRoom) {
       io.to(room.id).emit("room_settings_updated", updatedRoom.settings);
+      // Teams may have been rebalanced, and nobody is ready any more
+      io.to(room.id).emit("current_players", updatedRoom.players);
+      updateLobbyCountdown(updatedRoom);
     }
   });
 
-  socket.on("switch_team", (teamId, callback) => {
-    const room = roomManager.getPlayerRoom(socket.id);
+  on("switch_team", (teamId, callback) => {
+    const room = roomManager.getPlayerRoom(playerId);
     if (!room) {
       if (typeof callback === "function")
         callback({ success: false, error: "No room" });
       return;
     }
-    const result = roomManager.switchTeam(room.id, socket.id, teamId);
+    const result = roomManager.switchTeam(room.id, playerId, teamId);
     if (result && result.success) {
       io.to(room.id).emit("player_team_changed", result.player);
       io.to(room.id).emit("current_players", room.players);
+      updateLobbyCountdown(room);
       if (typeof callback === "function") callback({ success: true });
     } else {
       if (typeof callback === "function")
@@ -76,109 +502,424 @@ io.on("connection", (socket) => {
 
   // --- Game Events ---
 
-  socket.on("update_player_data", (data) => {
-    if (players[socket.id]) {
-      players[socket.id] = { ...players[socket.id], ...data };
+  // Only the display name is taken; positions are the match's business
+  on("update_player_data", (data) => {
+    // Accounts always show up under their own nickname
+    const player = accounts.get(playerId);
+    const name = player ? player.nickname : cleanName(data.name);
+    if (!name) return;
+    if (players[playerId]) players[playerId].name = name;
+    const room = roomManager.getPlayerRoom(playerId);
+    if (room && room.players[playerId]) {
+      room.players[playerId].name = name;
+      socket.to(room.id).emit("player_updated", room.players[playerId]);
     }
-    const room = roomManager.getPlayerRoom(socket.id);
-    if (room && room.players[socket.id]) {
-      room.players[socket.id].name = data.name;
-      socket.to(room.id).emit("player_updated", room.players[socket.id]);
+    const watched = roomManager.getSpectatedRoom(playerId);
+    if (watched) {
+      watched.spectators[playerId].name = name;
+      announceSpectators(watched);
     }
   });
 
-  socket.on("player_move", (movementData) => {
-    const room = roomManager.getPlayerRoom(socket.id);
-    if (room) {
-      socket
-        .to(room.id)
-        .emit("player_moved", { id: socket.id, ...movementData });
+  // Input commands; the match simulates movement and acks them in snapshots
+  on("player_input", (data) => {
+    // Spectators send no commands, only snapshot acks
+    const room =
+      roomManager.getPlayerRoom(playerId) ||
+      roomManager.getSpectatedRoom(playerId);
+    if (!room || !room.match || !data) return;
+
+    let batch = data;
+    if (Buffer.isBuffer(data)) {
+      try {
+        batch = decodeInputs(data);
+      } catch (err) {
+        batch = null; // Truncated/garbage packet
+      }
+      if (!batch) {
+        guard.report(playerId, "player_input", "Malformed input packet");
+        return;
+      }
     }
+
+    const violation = room.match.queueInputs(playerId, batch.inputs);
+    if (violation) guard.report(playerId, "player_input", violation);
+    if (batch.ack !== undefined) room.match.ackSnapshot(playerId, batch.ack);
   });
 
-  // --- Host-Authoritative Game Events ---
+  // --- Server-Authoritative Game Events ---
+  // Missile, hits and round flow are simulated by the room's MatchSimulation;
+  // clients only send input.
 
-  // Missile state from host → relay to all others
-  socket.on("missile_update", (data) => {
-    const room = roomManager.getPlayerRoom(socket.id);
-    if (room) {
-      socket.to(room.id).emit("missile_update", data);
+  on("deflect_attempt", (data) => {
+    const room = roomManager.getPlayerRoom(playerId);
+    if (room && room.match) {
+      room.match.handleDeflectAttempt(playerId, data);
     }
   });
 
-  // Round state from host → broadcast to ALL (including host for confirmation)
-  socket.on("round_state", (data) => {
-    const room = roomManager.getPlayerRoom(socket.id);
-    if (room && room.hostId === socket.id) {
-      // Broadcast to everyone EXCEPT host (host already knows)
-      socket.to(room.id).emit("round_state", data);
+  // Everything the client queued during one of its network ticks
+  on(NETWORK.BATCH_EVENT, (messages) => {
+    if (messages.length > MAX_BATCH_MESSAGES) {
+      guard.report(playerId, "batch", "Oversized batch");
     }
+    messages.slice(0, MAX_BATCH_MESSAGES).forEach((message) => {
+      const [event, data] = Array.isArray(message) ? message : [];
+      if (!BATCHABLE_EVENTS.includes(event)) {
+        guard.report(playerId, "batch", "Event not allowed in a batch");
+        return;
+      }
+      socket.listeners(event).forEach((listener) => listener(data));
+    });
   });
 
-  // Player hit from host → broadcast to all others
-  socket.on("player_hit", (data) => {
-    const room = roomManager.getPlayerRoom(socket.id);
-    if (room && room.hostId === socket.id) {
-      socket.to(room.id).emit("player_hit", data);
+  // Chat: everyone in the room (spectators included), or the sender's team
+  on("chat_message", (request, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const room =
+      roomManager.getPlayerRoom(playerId) ||
+      roomManager.getSpectatedRoom(playerId);
+    if (!room) {
+      reply({ success: false, error: "No room" });
+      return;
     }
-  });
 
-  // Deflect attempt from client → relay to host
-  socket.on("deflect_attempt", (data) => {
-    const room = roomManager.getPlayerRoom(socket.id);
-    if (room) {
-      // Send to host only
-      const hostSocket = io.sockets.sockets.get(room.hostId);
-      if (hostSocket) {
-        hostSocket.emit("deflect_attempt", {
-          ...data,
-          playerId: socket.id,
-        });
-      }
+    const member = room.players[playerId] || room.spectators[playerId];
+    const sender = {
+      id: playerId,
+      name: member.name || null,
+      team: room.players[playerId] ? member.team : null,
+    };
+    const result = chat.compose(sender, request);
+    if (result.error) {
+      reply({ success: false, error: result.error });
+      return;
+    }
+
+    // Quick chat mid-match marks where the sender stands
+    const message = result.message;
+    if (message.quick && room.match) {
+      message.ping = room.match.playerPosition(playerId);
+    }
+
+    if (message.channel === CHAT.CHANNELS.TEAM) {
+      const teammates = Object.values(room.players)
+        .filter((p) => p.team === sender.team)
+        .map((p) => p.id);
+      io.to(teammates).emit("chat_message", message);
+    } else {
+      io.to(room.id).emit("chat_message", message);
     }
+    reply({ success: true });
   });
 
-  // Missile deflected from host → broadcast to all others
-  socket.on("missile_deflected", (data) => {
-    const room = roomManager.getPlayerRoom(socket.id);
-    if (room) {
-      socket.to(room.id).emit("missile_deflected", data);
+  // Lobby ready toggle; the match starts by itself once everyone is ready
+  on("set_ready", (ready, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const room = roomManager.getPlayerRoom(playerId);
+    if (!room) {
+      reply({ success: false, error: "No room" });
+      return;
+    }
+    const result = roomManager.setReady(room.id, playerId, ready);
+    if (result.error) {
+      reply({ success: false, error: result.error });
+      return;
     }
+    io.to(room.id).emit("current_players", room.players);
+    updateLobbyCountdown(room);
+    reply({ success: true });
   });
 
-  // Start game
-  socket.on("start_game", () => {
-    const room = roomManager.getPlayerRoom(socket.id);
-    if (room && room.hostId === socket.id) {
-      console.log(`Game started in room ${room.id}`);
-      room.gameState = "PLAYING";
-      const startData = {
-        entities: roomManager.getRoomEntities(room.id),
-      };
-      io.to(room.id).emit("game_started", startData);
+  // Start game: the host skips the countdown, but only when it could run
+  on("start_game", (callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const room = roomManager.getPlayerRoom(playerId);
+    if (!room || room.hostId !== playerId) {
+      if (room) guard.report(playerId, "start_game", "Not the host");
+      reply({ success: false, error: "Only the host can start the match" });
+      return;
+    }
+    const error = roomManager.startError(room.id);
+    if (error) {
+      reply({ success: false, error });
+      return;
     }
+    startGame(room);
+    reply({ success: true });
+  });
+
+  // Leave Room: free the slot now instead of waiting out the grace window
+  on("leave_room", (callback) => {
+    const room =
+      roomManager.getPlayerRoom(playerId) ||
+      roomManager.getSpectatedRoom(playerId);
+    if (room) socket.leave(room.id);
+    leaveCurrentRoom(playerId);
+    if (typeof callback === "function") callback({ success: true });
   });
 
   // Disconnect
   socket.on("disconnect", () => {
-    console.log(`User disconnected: ${socket.id}`);
-    const room = roomManager.getPlayerRoom(socket.id);
-    if (room) {
-      const result = roomManager.leaveRoom(room.id, socket.id);
-      io.to(room.id).emit("player_disconnected", socket.id);
-      if (result && result.newHostId) {
-        io.to(result.newHostId).emit("player_role", { isHost: true });
-        io.to(room.id).emit("host_changed", { hostId: result.newHostId });
-      }
+    // Taken over by a newer socket: nothing to clean up
+    if (session.socketId !== socket.id) return;
+    console.log(`User disconnected: ${playerId} (socket ${socket.id})`);
+
+    // Mid-match: hold the slot and pause the match for a while
+    const room = roomManager.getPlayerRoom(playerId);
+    if (room && room.match) {
+      const deadline = Date.now() + NETWORK.RECONNECT_GRACE;
+      const result = roomManager.setPlayerConnected(
+        room.id,
+        playerId,
+        false,
+        deadline,
+      );
+      if (result && result.newHostId) announceHost(room, result.newHostId);
+      sessions.hold(session, socket.id, NETWORK.RECONNECT_GRACE, () => {
+        console.log(`Player ${playerId} did not reconnect`);
+        leaveCurrentRoom(playerId);
+        chat.forget(playerId);
+        guard.forget(playerId);
+        delete players[playerId];
+      });
+      return;
     }
-    delete players[socket.id];
+
+    matchmaking.dequeuePlayer(playerId);
+    leaveCurrentRoom(playerId);
+    sessions.end(session);
+    chat.forget(playerId);
+    guard.forget(playerId);
+    delete players[playerId];
+  });
+});
+
+// --- Matchmaking API ---
+// Requests carry the socket session token (Authorization: Bearer <token>),
+// since "match found" is pushed over that player's socket.
+
+function requireSession(req, res, next) {
+  const header = req.get("authorization") || "";
+  const session = sessions.get(header.replace(/^Bearer /, ""));
+  if (!session || !session.socketId) {
+    res.status(401).json({ error: "Not connected" });
+    return;
+  }
+  req.playerId = session.playerId;
+  next();
+}
+
+app.post("/api/matchmaking/queue", requireSession, (req, res) => {
+  const { mode, teamSize } = req.body || {};
+  if (
+    roomManager.getPlayerRoom(req.playerId) ||
+    roomManager.getSpectatedRoom(req.playerId)
+  ) {
+    res.status(409).json({ error: "Already in a room" });
+    return;
+  }
+
+  const ticket = matchmaking.enqueue(req.playerId, {
+    mode,
+    teamSize,
+    elo: playerElo(req.playerId),
+  });
+  if (!ticket) {
+    res.status(400).json({ error: "Unknown mode or team size" });
+    return;
+  }
+  res.status(201).json(matchmaking.status(ticket.id));
+});
+
+app.delete("/api/matchmaking/queue/:id", requireSession, (req, res) => {
+  const ticket = matchmaking.tickets[req.params.id];
+  if (!ticket || ticket.playerId !== req.playerId) {
+    res.status(404).json({ error: "Ticket not found" });
+    return;
+  }
+  matchmaking.dequeue(ticket.id);
+  res.status(204).end();
+});
+
+app.get("/api/matchmaking/status", requireSession, (req, res) => {
+  const ticket = matchmaking.findByPlayer(req.playerId);
+  if (!ticket) {
+    const room = roomManager.getPlayerRoom(req.playerId);
+    res.json({ inQueue: false, roomId: room ? room.id : null });
+    return;
+  }
+  res.json({ inQueue: true, ...matchmaking.status(ticket.id) });
+});
+
+// --- Player Accounts ---
+// Register/login hand out an account token. Sent as `auth.account` when the
+// socket connects it makes the account's ID our playerId; the account
+// endpoints below take it as Authorization: Bearer <token>.
+
+function requireAccount(req, res, next) {
+  const header = req.get("authorization") || "";
+  req.accountToken = header.replace(/^Bearer /, "");
+  req.account = accounts.verifyToken(req.accountToken);
+  if (!req.account) {
+    res.status(401).json({ error: "Not logged in" });
+    return;
+  }
+  next();
+}
+
+/**
+ * Public profile plus the rank the player currently holds
+ */
+function accountProfile(player) {
+  return {
+    ...accounts.profile(player),
+    tier: ratings.tier(player.id),
+    position: ratings.position(player.id),
+  };
+}
+
+app.post("/api/player/register", async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username === "string" && accounts.findByUsername(username)) {
+    res.status(409).json({ error: "Username taken" });
+    return;
+  }
+
+  const result = await accounts.register(username, password);
+  if (result.error) {
+    res.status(400).json({ error: result.error });
+    return;
+  }
+  console.log(`Account registered: ${result.player.username}`);
+  res
+    .status(201)
+    .json({ token: result.token, player: accountProfile(result.player) });
+});
+
+app.post("/api/player/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  const result = await accounts.login(username, password);
+  if (result.error) {
+    res.status(401).json({ error: result.error });
+    return;
+  }
+  res.json({ token: result.token, player: accountProfile(result.player) });
+});
+
+app.post("/api/player/logout", requireAccount, (req, res) => {
+  accounts.revokeToken(req.accountToken);
+  res.status(204).end();
+});
+
+app.get("/api/player/:id", (req, res) => {
+  const player = accounts.get(req.params.id);
+  if (!player) {
+    res.status(404).json({ error: "Player not found" });
+    return;
+  }
+  res.json({
+    ...accountProfile(player),
+    stats: matchHistory.lifetime(player.id),
+  });
+});
+
+app.put("/api/player/:id", requireAccount, (req, res) => {
+  if (req.account.id !== req.params.id) {
+    res.status(403).json({ error: "Can only edit your own profile" });
+    return;
+  }
+  const result = accounts.updateProfile(req.account.id, req.body || {});
+  if (result.error) {
+    res.status(400).json({ error: result.error });
+    return;
+  }
+  res.json(accountProfile(result));
+});
+
+app.get("/api/player/:id/rank", (req, res) => {
+  const player = accounts.get(req.params.id);
+  if (!player) {
+    res.status(404).json({ error: "Player not found" });
+    return;
+  }
+  res.json({
+    id: player.id,
+    elo: ratings.get(player.id),
+    tier: ratings.tier(player.id),
+    position: ratings.position(player.id),
+  });
+});
+
+// --- Match Results ---
+
+app.post("/api/match/result", (req, res) => {
+  const header = req.get("authorization") || "";
+  if (header.replace(/^Bearer /, "") !== MATCH_API_KEY) {
+    res.status(401).json({ error: "Only the match authority may submit" });
+    return;
+  }
+  const match = recordMatch(req.body);
+  if (match.error) {
+    res.status(400).json({ error: match.error });
+    return;
+  }
+  res.status(201).json({ id: match.id });
+});
+
+// ?limit=20&before=<playedAt of the last match seen> pages back in time
+app.get("/api/match/history/:playerId", (req, res) => {
+  const limit = Number(req.query.limit) || undefined;
+  const before = Number(req.query.before) || undefined;
+  res.json({
+    playerId: req.params.playerId,
+    matches: matchHistory.history(req.params.playerId, { limit, before }),
   });
 });
 
+app.get("/api/leaderboard", (req, res) => {
+  const { search, around } = req.query;
+  const page = ratings.leaderboard({
+    offset: Number(req.query.offset) || undefined,
+    limit: Number(req.query.limit) || undefined,
+    search: typeof search === "string" ? search.trim() : "",
+    around: typeof around === "string" ? around : null,
+  });
+  if (!page) {
+    res.status(404).json({ error: "Player not on the leaderboard" });
+    return;
+  }
+  res.json(page);
+});
+
+// --- Admin API ---
+
+// Recent refused requests, newest first; ?playerId= narrows it to one player
+app.get("/api/admin/violations", (req, res) => {
+  const header = req.get("authorization") || "";
+  if (header.replace(/^Bearer /, "") !== ADMIN_API_KEY) {
+    res.status(401).json({ error: "Admins only" });
+    return;
+  }
+  res.json({ violations: guard.getLog(req.query.playerId) });
+});
+
 app.get("/health", (req, res) => {
   res.send("Server is running!");
 });
 
+matchmaking.start();
+setInterval(measurePings, NETWORK.PING_INTERVAL);
+
+// Don't lose account changes still waiting for their delayed write
+["SIGINT", "SIGTERM"].forEach((signal) =>
+  process.on(signal, () => {
+    accounts.save();
+    matchHistory.save();
+    process.exit(0);
+  }),
+);
+
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
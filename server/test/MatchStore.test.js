@@ -0,0 +1,105 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DRAW } = require("../../shared");
+const MatchStore = require("../MatchStore");
+
+const stats = { kills: 1, deaths: 1, assists: 0, deflections: 2 };
+
+/**
+ * A store on a throwaway file; fn fills and checks it
+ */
+function withStore(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "match-store-"));
+  const store = new MatchStore(path.join(dir, "matches.json"));
+  try {
+    fn(store);
+  } finally {
+    store.save(); // Cancels the pending write
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function record(store, winner, players) {
+  const result = {
+    winner,
+    scores: { blue: 0, red: 0 },
+    rounds: [],
+    duration: 60000,
+    players: players.map(([id, team, left = false]) => ({
+      id,
+      team,
+      left,
+      ...stats,
+    })),
+  };
+  assert.equal(store.validate(result), null);
+  return store.record(result);
+}
+
+test("lifetime counts wins, draws and losses", () => {
+  withStore((store) => {
+    record(store, "BLUE", [
+      ["a", "BLUE"],
+      ["b", "RED"],
+    ]);
+    record(store, DRAW, [
+      ["a", "BLUE"],
+      ["b", "RED"],
+    ]);
+    record(store, "BLUE", [
+      ["a", "RED"],
+      ["b", "BLUE"],
+    ]);
+
+    const totals = store.lifetime("a");
+    assert.equal(totals.matches, 3);
+    assert.equal(totals.wins, 1);
+    assert.equal(totals.draws, 1);
+    assert.equal(totals.kills, 3);
+    assert.equal(totals.playtime, 180000);
+  });
+});
+
+test("a match the player left counts as a loss whatever the result", () => {
+  withStore((store) => {
+    record(store, "BLUE", [
+      ["quit", "BLUE", true],
+      ["mate", "BLUE"],
+      ["b", "RED"],
+    ]);
+    record(store, DRAW, [
+      ["quit", "BLUE", true],
+      ["b", "RED"],
+    ]);
+
+    const totals = store.lifetime("quit");
+    assert.equal(totals.matches, 2);
+    assert.equal(totals.wins, 0);
+    assert.equal(totals.draws, 0);
+    assert.equal(store.lifetime("mate").wins, 1);
+  });
+});
+
+test("results without the required fields are refused", () => {
+  withStore((store) => {
+    const good = {
+      winner: "RED",
+      scores: { blue: 1, red: 2 },
+      rounds: ["RED", "BLUE", "RED"],
+      duration: 1000,
+      players: [{ id: "a", team: "RED", ...stats }],
+    };
+    assert.equal(store.validate(good), null);
+    assert.equal(
+      store.validate({ ...good, winner: "GREEN" }),
+      "Unknown winner",
+    );
+    assert.equal(store.validate({ ...good, players: [] }), "Missing players");
+    assert.match(store.validate({ ...good, teamSize: 7 }), /Team size/);
+    assert.equal(store.validate({ ...good, map: "<b>" }), "Unknown map");
+    assert.equal(store.validate({ ...good, mode: "arcade" }), "Unknown mode");
+  });
+});
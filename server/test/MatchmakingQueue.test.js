@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MATCHMAKING, TEAMS } = require("../../shared");
+const MatchmakingQueue = require("../MatchmakingQueue");
+
+const { RANKED, UNRANKED } = MATCHMAKING.MODES;
+
+/**
+ * Queue a player who joined `waited` seconds ago
+ */
+function join(
+  queue,
+  playerId,
+  { mode = RANKED, teamSize = 1, elo, waited = 0 },
+) {
+  const ticket = queue.enqueue(playerId, { mode, teamSize, elo });
+  ticket.joinedAt = Date.now() - waited * 1000;
+  return ticket;
+}
+
+function matches(queue) {
+  const found = [];
+  queue.onMatch = (match) => found.push(match);
+  queue.matchAll();
+  return found;
+}
+
+test("the ELO window widens with waiting time up to the cap", () => {
+  const queue = new MatchmakingQueue();
+  const ticket = { joinedAt: 0 };
+  assert.equal(queue.eloWindow(ticket, 0), MATCHMAKING.ELO_WINDOW);
+  assert.equal(queue.eloWindow(ticket, 10000), 150);
+  assert.equal(queue.eloWindow(ticket, 34999), 399.99);
+  assert.equal(queue.eloWindow(ticket, 35000), MATCHMAKING.MAX_ELO_WINDOW);
+  assert.equal(queue.eloWindow(ticket, 600000), MATCHMAKING.MAX_ELO_WINDOW);
+});
+
+test("ranked only matches players inside both windows", () => {
+  const queue = new MatchmakingQueue();
+  join(queue, "a", { elo: 1000, waited: 30 }); // ±350
+  join(queue, "b", { elo: 1100 }); // ±50
+  assert.deepEqual(matches(queue), []);
+
+  // Once b has waited 5 s their window reaches the 100 point gap
+  queue.findByPlayer("b").joinedAt = Date.now() - 5000;
+  const [match] = matches(queue);
+  assert.deepEqual(match.players.map((p) => p.playerId).sort(), ["a", "b"]);
+  assert.equal(queue.findByPlayer("a"), null);
+});
+
+test("ranked picks the closest ratings around the longest waiting ticket", () => {
+  const queue = new MatchmakingQueue();
+  join(queue, "anchor", { elo: 1000, waited: 40 });
+  join(queue, "far", { elo: 1350, waited: 40 });
+  join(queue, "near", { elo: 1020, waited: 1 });
+  const [match] = matches(queue);
+  assert.deepEqual(match.players.map((p) => p.playerId).sort(), [
+    "anchor",
+    "near",
+  ]);
+  assert.ok(queue.findByPlayer("far"));
+});
+
+test("players are only grouped with the same mode and team size", () => {
+  const queue = new MatchmakingQueue();
+  join(queue, "r1", { mode: RANKED, elo: 1000 });
+  join(queue, "u1", { mode: UNRANKED, elo: 1000 });
+  join(queue, "u2", { mode: UNRANKED, teamSize: 2, elo: 1000 });
+  assert.deepEqual(matches(queue), []);
+
+  join(queue, "u3", { mode: UNRANKED, elo: 2000 });
+  const found = matches(queue);
+  assert.equal(found.length, 1);
+  assert.equal(found[0].mode, UNRANKED);
+  assert.equal(found[0].teamSize, 1);
+  // Unranked ignores ratings
+  assert.deepEqual(found[0].players.map((p) => p.playerId).sort(), [
+    "u1",
+    "u3",
+  ]);
+});
+
+test("enqueue rejects unknown modes and sizes and replaces older tickets", () => {
+  const queue = new MatchmakingQueue();
+  assert.equal(queue.enqueue("a", { mode: "casual", teamSize: 1 }), null);
+  assert.equal(queue.enqueue("a", { mode: RANKED, teamSize: 6 }), null);
+
+  join(queue, "a", { mode: RANKED });
+  const second = join(queue, "a", { mode: UNRANKED, teamSize: 3 });
+  assert.deepEqual(Object.keys(queue.tickets), [second.id]);
+});
+
+test("the snake draft balances team ELO", () => {
+  const queue = new MatchmakingQueue();
+  const group = [1100, 1400, 1200, 1300].map((elo, i) => ({
+    playerId: `p${i}`,
+    elo,
+  }));
+  const total = (players, team) =>
+    players.filter((p) => p.team === team).reduce((sum, p) => sum + p.elo, 0);
+
+  const two = queue.draftTeams(group);
+  assert.equal(total(two, TEAMS.BLUE), 2500);
+  assert.equal(total(two, TEAMS.RED), 2500);
+
+  const ten = queue.draftTeams(
+    Array.from({ length: 10 }, (_, i) => ({
+      playerId: `p${i}`,
+      elo: 1000 + i * 50,
+    })),
+  );
+  assert.equal(ten.filter((p) => p.team === TEAMS.BLUE).length, 5);
+  assert.equal(ten.filter((p) => p.team === TEAMS.RED).length, 5);
+  // Never more apart than the gap between the two best players
+  assert.ok(Math.abs(total(ten, TEAMS.BLUE) - total(ten, TEAMS.RED)) <= 50);
+});
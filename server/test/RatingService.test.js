@@ -0,0 +1,122 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ELO, LEADERBOARD } = require("../../shared");
+const RatingService = require("../RatingService");
+
+/**
+ * In-memory stand-in for PlayerStore: registered players by id
+ */
+function store(players) {
+  const byId = {};
+  players.forEach(([id, elo, nickname = id], i) => {
+    byId[id] = { id, username: `user_${id}`, nickname, elo, createdAt: i };
+  });
+  return {
+    players: byId,
+    get: (id) => byId[id] || null,
+    setElo: (id, elo) => (byId[id].elo = elo),
+  };
+}
+
+const ranks = (page) => page.entries.map((e) => [e.id, e.rank]);
+
+test("tied ratings share a rank and the next rank skips past them", () => {
+  const ratings = new RatingService(
+    store([
+      ["a", 1200],
+      ["b", 1100],
+      ["c", 1100],
+      ["d", 900],
+    ]),
+  );
+  assert.deepEqual(ranks(ratings.leaderboard()), [
+    ["a", 1],
+    ["b", 2],
+    ["c", 2],
+    ["d", 4],
+  ]);
+  assert.equal(ratings.position("c"), 2);
+  assert.equal(ratings.position("d"), 4);
+});
+
+test("search matches nickname or username and keeps the overall rank", () => {
+  const ratings = new RatingService(
+    store([
+      ["a", 1200, "Alpha"],
+      ["b", 1100, "Bravo"],
+      ["c", 1000, "alphabet"],
+    ]),
+  );
+  const page = ratings.leaderboard({ search: "ALPHA" });
+  assert.equal(page.total, 2);
+  assert.deepEqual(ranks(page), [
+    ["a", 1],
+    ["c", 3],
+  ]);
+  assert.deepEqual(ranks(ratings.leaderboard({ search: "user_b" })), [
+    ["b", 2],
+  ]);
+});
+
+test("around centres the page and is clamped at both ends", () => {
+  const ratings = new RatingService(
+    store(Array.from({ length: 10 }, (_, i) => [`p${i}`, 2000 - i * 10])),
+  );
+  const ids = (page) => page.entries.map((e) => e.id);
+
+  const middle = ratings.leaderboard({ around: "p5", limit: 3 });
+  assert.equal(middle.offset, 4);
+  assert.deepEqual(ids(middle), ["p4", "p5", "p6"]);
+
+  const top = ratings.leaderboard({ around: "p0", limit: 3 });
+  assert.equal(top.offset, 0);
+  assert.deepEqual(ids(top), ["p0", "p1", "p2"]);
+
+  const bottom = ratings.leaderboard({ around: "p9", limit: 3 });
+  assert.equal(bottom.offset, 7);
+  assert.deepEqual(ids(bottom), ["p7", "p8", "p9"]);
+
+  // A page bigger than the leaderboard starts at the top
+  assert.equal(ratings.leaderboard({ around: "p9", limit: 50 }).offset, 0);
+});
+
+test("around returns null when the player is not on the leaderboard", () => {
+  const ratings = new RatingService(
+    store([
+      ["a", 1200, "Alpha"],
+      ["b", 1100, "Bravo"],
+    ]),
+  );
+  assert.equal(ratings.leaderboard({ around: "guest" }), null);
+  // Filtered out by the search
+  assert.equal(ratings.leaderboard({ around: "b", search: "alpha" }), null);
+});
+
+test("page size is kept between 1 and the maximum", () => {
+  const ratings = new RatingService(store([["a", 1000]]));
+  assert.equal(ratings.leaderboard({ limit: 0 }).limit, 1);
+  assert.equal(
+    ratings.leaderboard({ limit: 1e6 }).limit,
+    LEADERBOARD.MAX_PAGE_SIZE,
+  );
+});
+
+test("Grand Masters on the leaderboard get the Top 500 tier", () => {
+  const ratings = new RatingService(
+    store([
+      ["a", 1150],
+      ["b", 1050],
+    ]),
+  );
+  const tiers = ratings.leaderboard().entries.map((e) => e.tier);
+  assert.deepEqual(tiers, ["Top 500", "Master"]);
+});
+
+test("guests are rated in memory and have no leaderboard place", () => {
+  const ratings = new RatingService(store([["a", 1000]]));
+  assert.equal(ratings.get("guest"), ELO.STARTING);
+  ratings.set("guest", 1234);
+  assert.equal(ratings.get("guest"), 1234);
+  assert.equal(ratings.position("guest"), null);
+  assert.equal(ratings.leaderboard().total, 1);
+});
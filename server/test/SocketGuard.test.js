@@ -0,0 +1,119 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const SocketGuard = require("../SocketGuard");
+
+mock.method(console, "warn", () => {}); // Every violation is logged
+
+test("payloads are checked against their event's schema", () => {
+  const guard = new SocketGuard();
+  const ok = (event, payload) =>
+    assert.equal(guard.check("p", event, payload), null);
+  const bad = (event, payload) =>
+    assert.equal(guard.check("p", event, payload), "Malformed request");
+
+  ok("join_room", "ABCD");
+  ok("join_room", { roomId: "ABCD", password: "secret" });
+  bad("join_room", { roomId: 5 });
+  bad("join_room", "x".repeat(257));
+
+  ok("switch_team", "RED");
+  bad("switch_team", "GREEN");
+
+  ok("update_room_settings", { teamSize: 2, map: "default" });
+  bad("update_room_settings", { teamSize: 1000 });
+  bad("update_room_settings", { map: "../etc/passwd" });
+  bad("update_room_settings", { map: 5 });
+
+  ok("deflect_attempt", { facingDirection: { x: 0, y: 0, z: 1 }, time: 10 });
+  bad("deflect_attempt", { facingDirection: { x: 0, y: NaN, z: 1 } });
+  bad("deflect_attempt", {});
+
+  ok("player_input", { inputs: [{ seq: 1 }] });
+  ok("player_input", Buffer.alloc(4));
+  bad("player_input", { inputs: new Array(65).fill({}) });
+  bad("player_input", { inputs: [null] });
+
+  ok("set_ready", true);
+  bad("set_ready", "yes");
+  ok("leave_room", undefined);
+  bad("leave_room", { force: true });
+  bad("create_room", { name: 5 });
+  bad("create_room", []);
+
+  assert.equal(guard.check("p", "drop_tables", {}), "Unknown event");
+});
+
+test("each event has its own per-player rate limit", () => {
+  const guard = new SocketGuard();
+  const now = 1000;
+  for (let i = 0; i < 5; i++) {
+    assert.equal(guard.check("p", "list_rooms", undefined, now), null);
+  }
+  assert.equal(
+    guard.check("p", "list_rooms", undefined, now),
+    "Too many requests",
+  );
+
+  // Other events and other players are counted separately
+  assert.equal(guard.check("p", "set_ready", true, now), null);
+  assert.equal(guard.check("q", "list_rooms", undefined, now), null);
+
+  // The window slides
+  assert.equal(guard.check("p", "list_rooms", undefined, now + 1000), null);
+});
+
+test("player_input allows one message per client frame", () => {
+  const guard = new SocketGuard();
+  const payload = { inputs: [] };
+  for (let i = 0; i < 120; i++) {
+    assert.equal(guard.check("p", "player_input", payload, 0), null);
+  }
+  assert.equal(
+    guard.check("p", "player_input", payload, 0),
+    "Too many requests",
+  );
+});
+
+test("20 violations within 10 seconds get a player kicked", () => {
+  const kicked = [];
+  const guard = new SocketGuard({
+    onKick: (playerId, reason) => kicked.push([playerId, reason]),
+  });
+
+  for (let i = 0; i < 19; i++)
+    guard.check("p", "switch_team", "GREEN", i * 500);
+  assert.deepEqual(kicked, []);
+  guard.check("p", "switch_team", "GREEN", 9500);
+  assert.deepEqual(kicked, [["p", "Malformed payload"]]);
+
+  // The count starts again afterwards
+  guard.check("p", "switch_team", "GREEN", 9600);
+  assert.equal(kicked.length, 1);
+});
+
+test("violations older than 10 seconds no longer count", () => {
+  const kicked = [];
+  const guard = new SocketGuard({ onKick: (id) => kicked.push(id) });
+  for (let i = 0; i < 40; i++)
+    guard.report("p", "chat_message", "Spam", i * 600);
+  assert.deepEqual(kicked, []);
+});
+
+test("the violation log is newest first and can be filtered by player", () => {
+  const guard = new SocketGuard();
+  guard.check("a", "switch_team", "GREEN", 1);
+  guard.check("b", "nope", null, 2);
+  guard.report("a", "player_input", "Movement too fast", 3);
+
+  assert.deepEqual(
+    guard.getLog().map((e) => e.reason),
+    ["Movement too fast", "Unknown event", "Malformed payload"],
+  );
+  assert.deepEqual(
+    guard.getLog("a").map((e) => [e.event, e.time]),
+    [
+      ["player_input", 3],
+      ["switch_team", 1],
+    ],
+  );
+});
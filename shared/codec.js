@@ -0,0 +1,549 @@
+/**
+ * Network Codec
+ * Compact binary encoding for the two high-frequency messages — server
+ * snapshots and client input batches — shared by server/ and NetworkManager.
+ *
+ * Positions and angles are quantized to 16 bits, player ids go through an
+ * entity table (sent with full snapshots only) and snapshots are delta
+ * encoded per client against the last snapshot that client acknowledged.
+ * PROTOCOLS.JSON skips all of this and sends plain objects for debugging.
+ *
+ * Snapshot layout (little-endian):
+ *   u8 type, u8 flags, u16 id, u16 baseId, f64 time,
+ *   [table: u8 count, (u8 length, utf8 id)...],
+ *   u8 playerCount, (u8 index, u8 mask, fields...)...,
+ *   [missile: u16 mask, fields...]
+ *
+ * Input layout:
+ *   u8 type, u16 ack, u8 count,
+ *   (u32 seq, u16 dt, i8 moveX, i8 moveZ, u16 yaw, u8 flags)...
+ */
+
+import { TEAMS } from "./constants.js";
+
+export const PROTOCOLS = {
+  BINARY: "binary",
+  JSON: "json",
+};
+
+const MESSAGE = { SNAPSHOT: 1, INPUTS: 2 };
+
+const SNAPSHOT_FLAGS = {
+  HAS_TABLE: 1, // Full snapshot: carries the entity table, no base
+  HAS_MISSILE: 2, // A missile is in flight
+  MISSILE_CHANGED: 4, // Missile fields follow
+};
+
+const NO_BASE = 0xffff;
+const HISTORY_SIZE = 64; // Snapshots remembered for delta bases
+
+const POSITION_SCALE = 500; // 2mm steps, +-65m
+const VELOCITY_SCALE = 100; // +-327 units/s
+const SPEED_SCALE = 100;
+const DT_SCALE = 10000; // 0.1ms steps
+const AXIS_SCALE = 127;
+const ANGLE_SCALE = 65536 / (Math.PI * 2);
+
+// Field order matters: bit n of a mask is field n
+const PLAYER_FIELDS = ["x", "y", "z", "rotation", "seq"];
+const MISSILE_FIELDS = [
+  "x",
+  "y",
+  "z",
+  "vx",
+  "vy",
+  "vz",
+  "speed",
+  "target",
+  "team",
+];
+const TEAM_CODES = { [TEAMS.BLUE]: 1, [TEAMS.RED]: 2 };
+const TEAM_NAMES = { 1: TEAMS.BLUE, 2: TEAMS.RED };
+
+// --- Quantization ---
+
+const clampInt = (value, min, max) =>
+  Math.max(min, Math.min(max, Math.round(value)));
+
+const qPosition = (v) => clampInt(v * POSITION_SCALE, -32768, 32767);
+const qVelocity = (v) => clampInt(v * VELOCITY_SCALE, -32768, 32767);
+const qAngle = (a) => ((Math.round(a * ANGLE_SCALE) % 65536) + 65536) % 65536;
+
+const dqAngle = (q) => {
+  const angle = q / ANGLE_SCALE;
+  return angle > Math.PI ? angle - Math.PI * 2 : angle;
+};
+
+/**
+ * Round an input command to what the binary encoding can carry. The client
+ * predicts with the quantized command so it replays exactly what the server
+ * simulates.
+ */
+export function quantizeInput(command) {
+  return {
+    ...command,
+    dt: clampInt(command.dt * DT_SCALE, 0, 65535) / DT_SCALE,
+    moveX: clampInt(command.moveX * AXIS_SCALE, -127, 127) / AXIS_SCALE,
+    moveZ: clampInt(command.moveZ * AXIS_SCALE, -127, 127) / AXIS_SCALE,
+    yaw: dqAngle(qAngle(command.yaw)),
+  };
+}
+
+/**
+ * Integer form of a snapshot ({ time, players: [], missile })
+ * @param {string[]} table - Entity ids; players/targets are table indexes
+ */
+export function quantizeSnapshot(snapshot, table) {
+  const players = {};
+  snapshot.players.forEach((p) => {
+    const index = table.indexOf(p.id);
+    if (index === -1) return;
+    players[index] = {
+      x: qPosition(p.x),
+      y: qPosition(p.y),
+      z: qPosition(p.z),
+      rotation: qAngle(p.rotation),
+      seq: p.seq >>> 0,
+    };
+  });
+
+  const m = snapshot.missile;
+  const missile = m
+    ? {
+        x: qPosition(m.x),
+        y: qPosition(m.y),
+        z: qPosition(m.z),
+        vx: qVelocity(m.vx),
+        vy: qVelocity(m.vy),
+        vz: qVelocity(m.vz),
+        speed: clampInt(m.speed * SPEED_SCALE, 0, 65535),
+        target: table.indexOf(m.targetId) + 1, // 0 = none
+        team: TEAM_CODES[m.teamId] || 0,
+      }
+    : null;
+
+  return { time: snapshot.time, players, missile };
+}
+
+/**
+ * Back to the plain snapshot shape NetworkManager triggers onSnapshot with
+ */
+export function dequantizeSnapshot(q, table) {
+  const players = Object.keys(q.players).map((index) => {
+    const p = q.players[index];
+    return {
+      id: table[index],
+      x: p.x / POSITION_SCALE,
+      y: p.y / POSITION_SCALE,
+      z: p.z / POSITION_SCALE,
+      rotation: dqAngle(p.rotation),
+      seq: p.seq,
+    };
+  });
+
+  const m = q.missile;
+  const missile = m
+    ? {
+        x: m.x / POSITION_SCALE,
+        y: m.y / POSITION_SCALE,
+        z: m.z / POSITION_SCALE,
+        vx: m.vx / VELOCITY_SCALE,
+        vy: m.vy / VELOCITY_SCALE,
+        vz: m.vz / VELOCITY_SCALE,
+        speed: m.speed / SPEED_SCALE,
+        targetId: m.target > 0 ? table[m.target - 1] : null,
+        teamId: TEAM_NAMES[m.team] || null,
+      }
+    : null;
+
+  return { time: q.time, players, missile };
+}
+
+// --- Byte buffers ---
+
+class Writer {
+  constructor(size = 256) {
+    this.view = new DataView(new ArrayBuffer(size));
+    this.offset = 0;
+  }
+
+  ensure(bytes) {
+    if (this.offset + bytes <= this.view.byteLength) return;
+    const grown = new Uint8Array(
+      Math.max(this.view.byteLength * 2, this.offset + bytes),
+    );
+    grown.set(new Uint8Array(this.view.buffer, 0, this.offset));
+    this.view = new DataView(grown.buffer);
+  }
+
+  u8(v) {
+    this.ensure(1);
+    this.view.setUint8(this.offset, v);
+    this.offset += 1;
+  }
+
+  i8(v) {
+    this.ensure(1);
+    this.view.setInt8(this.offset, v);
+    this.offset += 1;
+  }
+
+  u16(v) {
+    this.ensure(2);
+    this.view.setUint16(this.offset, v, true);
+    this.offset += 2;
+  }
+
+  i16(v) {
+    this.ensure(2);
+    this.view.setInt16(this.offset, v, true);
+    this.offset += 2;
+  }
+
+  u32(v) {
+    this.ensure(4);
+    this.view.setUint32(this.offset, v, true);
+    this.offset += 4;
+  }
+
+  f64(v) {
+    this.ensure(8);
+    this.view.setFloat64(this.offset, v, true);
+    this.offset += 8;
+  }
+
+  string(s) {
+    const bytes = new TextEncoder().encode(s).slice(0, 255);
+    this.u8(bytes.length);
+    this.ensure(bytes.length);
+    new Uint8Array(this.view.buffer, this.offset, bytes.length).set(bytes);
+    this.offset += bytes.length;
+  }
+
+  finish() {
+    return this.view.buffer.slice(0, this.offset);
+  }
+}
+
+class Reader {
+  constructor(data) {
+    // ArrayBuffer in the browser, Buffer/Uint8Array in Node
+    this.view = ArrayBuffer.isView(data)
+      ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+      : new DataView(data);
+    this.offset = 0;
+  }
+
+  u8() {
+    return this.view.getUint8(this.offset++);
+  }
+
+  i8() {
+    return this.view.getInt8(this.offset++);
+  }
+
+  u16() {
+    const v = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return v;
+  }
+
+  i16() {
+    const v = this.view.getInt16(this.offset, true);
+    this.offset += 2;
+    return v;
+  }
+
+  u32() {
+    const v = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return v;
+  }
+
+  f64() {
+    const v = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return v;
+  }
+
+  string() {
+    const length = this.u8();
+    const bytes = new Uint8Array(
+      this.view.buffer,
+      this.view.byteOffset + this.offset,
+      length,
+    );
+    this.offset += length;
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+// Wire type of each field (Writer/Reader method names)
+const PLAYER_TYPES = {
+  x: "i16",
+  y: "i16",
+  z: "i16",
+  rotation: "u16",
+  seq: "u32",
+};
+const MISSILE_TYPES = {
+  x: "i16",
+  y: "i16",
+  z: "i16",
+  vx: "i16",
+  vy: "i16",
+  vz: "i16",
+  speed: "u16",
+  target: "u8",
+  team: "u8",
+};
+
+function writeFields(writer, fields, types, state, mask) {
+  fields.forEach((field, bit) => {
+    if (mask & (1 << bit)) writer[types[field]](state[field]);
+  });
+}
+
+function readFields(reader, fields, types, base, mask) {
+  const state = { ...base };
+  fields.forEach((field, bit) => {
+    if (mask & (1 << bit)) state[field] = reader[types[field]]();
+  });
+  return state;
+}
+
+function changedMask(fields, state, base) {
+  let mask = 0;
+  fields.forEach((field, bit) => {
+    if (!base || base[field] !== state[field]) mask |= 1 << bit;
+  });
+  return mask;
+}
+
+const sameTable = (a, b) =>
+  a.length === b.length && a.every((id, i) => id === b[i]);
+
+// --- Snapshots ---
+
+/**
+ * SnapshotEncoder
+ * Server side, one per binary client: remembers what it sent so it can
+ * delta against whatever the client last acknowledged.
+ */
+export class SnapshotEncoder {
+  constructor() {
+    this.sent = new Map(); // id -> { q, table }
+    this.ackedId = null;
+  }
+
+  /**
+   * Client reported the newest snapshot it decoded
+   */
+  ack(id) {
+    if (this.sent.has(id)) this.ackedId = id;
+  }
+
+  /**
+   * @param {number} id - Snapshot id (u16, wraps)
+   * @param {Object} q - From quantizeSnapshot
+   * @param {string[]} table - Entity table q was quantized with
+   * @returns {ArrayBuffer}
+   */
+  encode(id, q, table) {
+    const base = this.ackedId !== null ? this.sent.get(this.ackedId) : null;
+    const useBase = base && sameTable(base.table, table);
+
+    this.sent.set(id, { q, table });
+    if (this.sent.size > HISTORY_SIZE) {
+      const oldest = this.sent.keys().next().value;
+      this.sent.delete(oldest);
+      if (oldest === this.ackedId) this.ackedId = null;
+    }
+
+    return encodeSnapshot(
+      id,
+      q,
+      table,
+      useBase ? this.ackedId : null,
+      useBase ? base.q : null,
+    );
+  }
+}
+
+function encodeSnapshot(id, q, table, baseId, base) {
+  const writer = new Writer();
+  const missileMask = q.missile
+    ? changedMask(MISSILE_FIELDS, q.missile, base && base.missile)
+    : 0;
+
+  let flags = base ? 0 : SNAPSHOT_FLAGS.HAS_TABLE;
+  if (q.missile) flags |= SNAPSHOT_FLAGS.HAS_MISSILE;
+  if (missileMask) flags |= SNAPSHOT_FLAGS.MISSILE_CHANGED;
+
+  writer.u8(MESSAGE.SNAPSHOT);
+  writer.u8(flags);
+  writer.u16(id);
+  writer.u16(base ? baseId : NO_BASE);
+  writer.f64(q.time);
+
+  if (!base) {
+    writer.u8(table.length);
+    table.forEach((entityId) => writer.string(entityId));
+  }
+
+  const changed = [];
+  Object.keys(q.players).forEach((index) => {
+    const basePlayer = base && base.players[index];
+    const mask = changedMask(PLAYER_FIELDS, q.players[index], basePlayer);
+    if (mask) changed.push([Number(index), mask]);
+  });
+
+  writer.u8(changed.length);
+  changed.forEach(([index, mask]) => {
+    writer.u8(index);
+    writer.u8(mask);
+    writeFields(writer, PLAYER_FIELDS, PLAYER_TYPES, q.players[index], mask);
+  });
+
+  if (missileMask) {
+    writer.u16(missileMask);
+    writeFields(writer, MISSILE_FIELDS, MISSILE_TYPES, q.missile, missileMask);
+  }
+
+  return writer.finish();
+}
+
+/**
+ * SnapshotDecoder
+ * Client side: rebuilds full snapshots from deltas and tracks the id to ack.
+ */
+export class SnapshotDecoder {
+  constructor() {
+    this.received = new Map(); // id -> { q, table }
+    this.latestId = null;
+  }
+
+  reset() {
+    this.received.clear();
+    this.latestId = null;
+  }
+
+  /**
+   * @returns {Object|null} Plain snapshot, or null if its base is unknown
+   */
+  decode(data) {
+    const reader = new Reader(data);
+    if (reader.u8() !== MESSAGE.SNAPSHOT) return null;
+
+    const flags = reader.u8();
+    const id = reader.u16();
+    const baseId = reader.u16();
+    const time = reader.f64();
+
+    let table;
+    let base = null;
+    if (flags & SNAPSHOT_FLAGS.HAS_TABLE) {
+      table = [];
+      const count = reader.u8();
+      for (let i = 0; i < count; i++) table.push(reader.string());
+    } else {
+      const entry = this.received.get(baseId);
+      if (!entry) return null;
+      base = entry.q;
+      table = entry.table;
+    }
+
+    // Delta snapshots list only changed players; the rest carry over
+    const players = {};
+    if (base) {
+      Object.keys(base.players).forEach((index) => {
+        players[index] = { ...base.players[index] };
+      });
+    }
+    const count = reader.u8();
+    for (let i = 0; i < count; i++) {
+      const index = reader.u8();
+      const mask = reader.u8();
+      players[index] = readFields(
+        reader,
+        PLAYER_FIELDS,
+        PLAYER_TYPES,
+        players[index],
+        mask,
+      );
+    }
+
+    let missile = null;
+    if (flags & SNAPSHOT_FLAGS.HAS_MISSILE) {
+      missile = base && base.missile ? { ...base.missile } : null;
+      if (flags & SNAPSHOT_FLAGS.MISSILE_CHANGED) {
+        const mask = reader.u16();
+        missile = readFields(
+          reader,
+          MISSILE_FIELDS,
+          MISSILE_TYPES,
+          missile,
+          mask,
+        );
+      }
+    }
+
+    const q = { time, players, missile };
+    this.received.set(id, { q, table });
+    if (this.received.size > HISTORY_SIZE * 2) {
+      this.received.delete(this.received.keys().next().value);
+    }
+    this.latestId = id;
+
+    return dequantizeSnapshot(q, table);
+  }
+}
+
+// --- Inputs ---
+
+/**
+ * @param {Array} inputs - Input commands (see shared/movement.js)
+ * @param {number|null} ack - Latest decoded snapshot id
+ * @returns {ArrayBuffer}
+ */
+export function encodeInputs(inputs, ack) {
+  const writer = new Writer(4 + inputs.length * 11);
+  writer.u8(MESSAGE.INPUTS);
+  writer.u16(ack === null || ack === undefined ? NO_BASE : ack);
+  writer.u8(Math.min(inputs.length, 255));
+
+  inputs.slice(0, 255).forEach((c) => {
+    writer.u32(c.seq >>> 0);
+    writer.u16(clampInt(c.dt * DT_SCALE, 0, 65535));
+    writer.i8(clampInt(c.moveX * AXIS_SCALE, -127, 127));
+    writer.i8(clampInt(c.moveZ * AXIS_SCALE, -127, 127));
+    writer.u16(qAngle(c.yaw));
+    writer.u8(c.jump ? 1 : 0);
+  });
+
+  return writer.finish();
+}
+
+/**
+ * @returns {{inputs: Array, ack: number|null}|null}
+ */
+export function decodeInputs(data) {
+  const reader = new Reader(data);
+  if (reader.u8() !== MESSAGE.INPUTS) return null;
+
+  const ack = reader.u16();
+  const count = reader.u8();
+  const inputs = [];
+  for (let i = 0; i < count; i++) {
+    inputs.push({
+      seq: reader.u32(),
+      dt: reader.u16() / DT_SCALE,
+      moveX: reader.i8() / AXIS_SCALE,
+      moveZ: reader.i8() / AXIS_SCALE,
+      yaw: dqAngle(reader.u16()),
+      jump: (reader.u8() & 1) === 1,
+    });
+  }
+
+  return { inputs, ack: ack === NO_BASE ? null : ack };
+}
@@ -0,0 +1,171 @@
+/**
+ * Shared Constants
+ * Gameplay rules used by both the browser client and the server simulation.
+ * Rendering/UI configuration stays in src/utils/Constants.js.
+ */
+
+export const GAME = {
+  ROUNDS_TO_WIN: 10,
+  ROUND_START_DELAY: 3000, // ms before round starts
+  ROUND_END_DELAY: 2000, // ms after round ends
+};
+
+// Once a round's time limit (MATCH_RULES.roundTimeLimit) runs out
+export const OVERTIME = {
+  RAMP_INTERVAL: 5000, // ms between missile speed-ups
+  SPEED_STEP: 5, // Missile speed added at the start and at every ramp
+  DURATION: 30000, // ms of overtime before the round is a draw
+};
+
+// Round winner when neither team wins the round
+export const DRAW = "DRAW";
+
+export const PLAYER = {
+  MAX_HEALTH: 100,
+  MOVE_SPEED: 10,
+  RADIUS: 0.3,
+  HEIGHT: 1.35,
+  JUMP_FORCE: 12,
+  GRAVITY: 30,
+};
+
+export const MISSILE = {
+  BASE_SPEED: 5,
+  SPEED_INCREMENT: 5,
+  MAX_SPEED: 0,
+
+  TURN_RATE: 0.1,
+  TURN_TICK_RATE: 66, // TURN_RATE is tuned per tick at this rate
+  AIM_HEIGHT: 0.9, // Homes in on center mass
+
+  BASE_DAMAGE: 50,
+  DAMAGE_INCREMENT: 50,
+
+  RADIUS: 0.3,
+  SPAWN_HEIGHT: 5,
+  DEFLECT_GRACE: 150, // ms after a deflect where the missile can't hit
+  RESPAWN_DELAY: 500, // ms between a hit and the next missile spawn
+};
+
+export const DEFLECTION = {
+  RANGE: 8,
+  CONE_ANGLE: Math.PI / 4, // 45 degrees cone
+  COOLDOWN: 750, // ms
+  EYE_HEIGHT: 0.75, // Cone origin, as a fraction of PLAYER.HEIGHT
+
+  // Drag mechanic - control missile direction after deflect
+  DRAG_DURATION: 50, // ms - window to influence direction
+  DRAG_STRENGTH: 2.5, // How much mouse movement affects direction
+  DRAG_MAX_FORCE: 6, // Max force per frame (limits fast mouse movements)
+};
+
+export const ARENA = {
+  RADIUS: 45, // Circular arena radius (larger)
+  WALL_HEIGHT: 4,
+  WATER_SIZE: 150, // Size of water plane
+};
+
+// Rules a room host may change, with the range the server accepts. The
+// defaults are the constants above; matchmade rooms always use them.
+export const MATCH_RULES = {
+  roundsToWin: { default: GAME.ROUNDS_TO_WIN, min: 1, max: 25, step: 1 },
+  missileBaseSpeed: { default: MISSILE.BASE_SPEED, min: 2, max: 30, step: 1 },
+  missileSpeedIncrement: {
+    default: MISSILE.SPEED_INCREMENT,
+    min: 0,
+    max: 20,
+    step: 1,
+  },
+  missileMaxSpeed: { default: MISSILE.MAX_SPEED, min: 0, max: 200, step: 5 }, // 0 = no cap
+  missileBaseDamage: {
+    default: MISSILE.BASE_DAMAGE,
+    min: 5,
+    max: 200,
+    step: 5,
+  },
+  missileDamageIncrement: {
+    default: MISSILE.DAMAGE_INCREMENT,
+    min: 0,
+    max: 200,
+    step: 5,
+  },
+  deflectCooldown: {
+    default: DEFLECTION.COOLDOWN,
+    min: 100,
+    max: 3000,
+    step: 50,
+  }, // ms
+  deflectRange: { default: DEFLECTION.RANGE, min: 2, max: 20, step: 0.5 },
+  playerHealth: { default: PLAYER.MAX_HEALTH, min: 25, max: 500, step: 25 },
+  roundTimeLimit: { default: 0, min: 0, max: 300, step: 15 }, // s; 0 = none
+  drawPoints: { default: 0, min: 0, max: 1, step: 1 }, // Each team's, per draw
+};
+
+export const TEAMS = {
+  PLAYER: "BLUE", // Alias
+  BOT: "RED", // Alias
+  BLUE: "BLUE",
+  RED: "RED",
+};
+
+export const NETWORK = {
+  TICK_RATES: [20, 30, 60], // Hz choices for sends and broadcasts
+  DEFAULT_TICK_RATE: 30,
+  BATCH_EVENT: "batch", // [[event, data], ...] sent once per network tick
+  RECONNECT_GRACE: 30000, // ms a dropped player's slot is held mid-match
+  PING_INTERVAL: 2000, // ms between round-trip measurements of each socket
+};
+
+export const ELO = {
+  STARTING: 1000, // New players start in Master tier
+  K_FACTOR: 20, // An even match moves ratings by K / 2 = ±10
+  SCALE: 400, // Rating gap at which the favourite is expected to win 10:1
+  TIER_SIZE: 100,
+  TOP_PLAYERS: 500, // Leaderboard places shown as "Top 500"
+};
+
+export const LEADERBOARD = {
+  PAGE_SIZE: 25,
+  MAX_PAGE_SIZE: 100,
+};
+
+export const MATCHMAKING = {
+  MODES: { RANKED: "ranked", UNRANKED: "unranked" },
+  TEAM_SIZES: [1, 2, 3, 4, 5],
+  ELO_WINDOW: 50, // ± ELO a ranked ticket accepts right away
+  ELO_WINDOW_GROWTH: 10, // Extra ± ELO per second of waiting
+  MAX_ELO_WINDOW: 400,
+  MATCH_START_DELAY: 3000, // ms between "match found" and the countdown
+};
+
+export const ROOMS = {
+  VISIBILITY: { PUBLIC: "public", PRIVATE: "private" }, // Private: code only
+  NAME_MAX_LENGTH: 24,
+  PASSWORD_MAX_LENGTH: 32,
+  START_COUNTDOWN: 5000, // ms from "everyone is ready" to the match starting
+  MAP_ID: /^[a-z0-9_-]{1,32}$/i, // Map ids (the client's MAPS keys)
+};
+
+export const CHAT = {
+  CHANNELS: { ALL: "all", TEAM: "team" },
+  MAX_LENGTH: 200,
+  RATE_LIMIT: 5, // Messages per player inside RATE_WINDOW
+  RATE_WINDOW: 5000, // ms
+  HISTORY: 50, // Lines kept in the chat log
+  // Quick-chat lines by key; these also drop a ping where the sender stands
+  QUICK: {
+    COVER: "I'll cover you",
+    MISSILE: "Missile on me",
+    DEFLECT: "Deflect now",
+  },
+  PING_DURATION: 3000, // ms a quick-chat ping stays in the world
+};
+
+export const ACCOUNT = {
+  USERNAME_PATTERN: /^[A-Za-z0-9_]{3,16}$/,
+  NICKNAME_MAX_LENGTH: 16,
+  // Letters and digits in any script, spaces, "_", "." and "-"
+  NICKNAME_PATTERN: /^[\p{L}\p{N} _.-]+$/u,
+  PASSWORD_MIN_LENGTH: 6,
+  TOKEN_TTL: 30 * 24 * 60 * 60 * 1000, // Logins last 30 days
+};
@@ -0,0 +1,12 @@
+/**
+ * Shared simulation core
+ * Entry point for the browser (Vite) and the CommonJS server (require).
+ */
+
+export * from "./constants.js";
+export * from "./vector.js";
+export * from "./rules.js";
+export * from "./movement.js";
+export * from "./codec.js";
+export * from "./ranks.js";
+export * from "./stats.js";
@@ -0,0 +1,119 @@
+/**
+ * Player Movement
+ * Deterministic XZ movement step driven by input commands. The client runs it
+ * to predict the local player and the server runs it to simulate everyone, so
+ * replaying the same commands from the same position gives the same result.
+ *
+ * An input command is { seq, dt, moveX, moveZ, yaw, jump }:
+ * moveX/moveZ are the raw -1..1 movement axes, yaw is the camera yaw and
+ * jump whether the jump key is held. Height is simulated from jump alone
+ * (applyJumpCommand), never taken from the client.
+ */
+
+import { PLAYER, ARENA, TEAMS } from "./constants.js";
+
+export const MAX_COMMAND_DT = 0.1; // Longest step a single command may cover (s)
+
+const SPAWN_SPACING = 2.5;
+
+/**
+ * World-space XZ movement direction for camera-relative input
+ * @returns {{x: number, z: number}} Normalized, or zero when there is no input
+ */
+export function movementDirection(moveX, moveZ, yaw) {
+  // forward = (-sin, 0, -cos), right = (cos, 0, -sin); W/S is -moveZ
+  const x = Math.sin(yaw) * moveZ + Math.cos(yaw) * moveX;
+  const z = Math.cos(yaw) * moveZ - Math.sin(yaw) * moveX;
+  const len = Math.sqrt(x * x + z * z);
+
+  return len > 0 ? { x: x / len, z: z / len } : { x: 0, z: 0 };
+}
+
+/**
+ * Keep a position inside the circular arena. Mutates position in place.
+ */
+export function clampToArena(position, radius = PLAYER.RADIUS) {
+  const maxDist = ARENA.RADIUS - radius;
+  const distXZ = Math.sqrt(position.x * position.x + position.z * position.z);
+
+  if (distXZ > maxDist) {
+    const scale = maxDist / distXZ;
+    position.x *= scale;
+    position.z *= scale;
+  }
+  return position;
+}
+
+/**
+ * Advance a position by one input command. Mutates position (x/z) in place.
+ */
+export function applyMovementCommand(
+  position,
+  command,
+  moveSpeed = PLAYER.MOVE_SPEED,
+) {
+  const dt = Math.min(Math.max(command.dt, 0), MAX_COMMAND_DT);
+  const dir = movementDirection(command.moveX, command.moveZ, command.yaw);
+
+  position.x += dir.x * moveSpeed * dt;
+  position.z += dir.z * moveSpeed * dt;
+
+  return clampToArena(position);
+}
+
+/**
+ * Vertical step for one input command: a jump starts when the key is held,
+ * the body is grounded and the key was let go since the last jump, then
+ * gravity pulls it back down. y is the height above the floor (the server
+ * has no map mesh; the client adds the floor under the player when drawing).
+ * Mutates body { position, velocityY, isGrounded, canJump } in place.
+ */
+export function applyJumpCommand(
+  body,
+  command,
+  jumpForce = PLAYER.JUMP_FORCE,
+  gravity = PLAYER.GRAVITY,
+) {
+  const dt = Math.min(Math.max(command.dt, 0), MAX_COMMAND_DT);
+
+  if (command.jump && body.isGrounded && body.canJump) {
+    body.velocityY = jumpForce;
+    body.isGrounded = false;
+    body.canJump = false;
+  }
+  if (!command.jump) body.canJump = true;
+
+  if (!body.isGrounded) {
+    body.velocityY -= gravity * dt;
+    body.position.y += body.velocityY * dt;
+    if (body.position.y <= 0) {
+      body.position.y = 0;
+      body.velocityY = 0;
+      body.isGrounded = true;
+    }
+  } else {
+    body.position.y = 0;
+  }
+  return body.position;
+}
+
+/**
+ * Spawn point for the nth player of a team. Teammates fan out sideways
+ * from the team's base spawn: 0, +1, -1, +2, -2...
+ * @returns {{x: number, y: number, z: number, rotation: number}}
+ */
+export function spawnPoint(team, teamIndex = 0) {
+  const isBlue = team === TEAMS.BLUE;
+  let offsetX = 0;
+  if (teamIndex > 0) {
+    offsetX =
+      Math.ceil(teamIndex / 2) * SPAWN_SPACING * (teamIndex % 2 === 0 ? -1 : 1);
+  }
+
+  return {
+    x: offsetX,
+    y: 0,
+    z: isBlue ? -ARENA.RADIUS / 2 : ARENA.RADIUS / 2,
+    rotation: isBlue ? Math.PI : 0, // Facing the center
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Ranks
+ * ELO math and rank tiers. The server applies rating changes after ranked
+ * matches; the client uses the same tiers to label ratings it is shown.
+ */
+
+import { ELO, TEAMS } from "./constants.js";
+import { otherTeam } from "./rules.js";
+
+// Lowest rating of each tier, highest first. Anything below Silver is Bronze.
+export const RANK_TIERS = [
+  { name: "Grand Master", min: 1100 },
+  { name: "Master", min: 1000 },
+  { name: "Diamond", min: 900 },
+  { name: "Platinum", min: 800 },
+  { name: "Gold", min: 700 },
+  { name: "Silver", min: 600 },
+  { name: "Bronze", min: -Infinity },
+];
+
+export const TOP_TIER = "Top 500";
+
+/**
+ * Tier name for a rating. Grand Masters inside the top leaderboard places
+ * are "Top 500" instead.
+ * @param {number|null} position - 1-based leaderboard place, if known
+ */
+export function rankTier(elo, position = null) {
+  const top = RANK_TIERS[0];
+  if (elo >= top.min && position !== null && position <= ELO.TOP_PLAYERS) {
+    return TOP_TIER;
+  }
+  return RANK_TIERS.find((tier) => elo >= tier.min).name;
+}
+
+/**
+ * Chance (0-1) that a side rated `rating` beats one rated `opponentRating`
+ */
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / ELO.SCALE));
+}
+
+export function teamAverage(players, team) {
+  const members = players.filter((p) => p.team === team);
+  if (members.length === 0) return ELO.STARTING;
+  return members.reduce((sum, p) => sum + p.elo, 0) / members.length;
+}
+
+/**
+ * Rating changes for a finished match. Teams are rated by their average
+ * ELO, so every member of a team moves by the same amount: ±K/2 for evenly
+ * matched teams, less for beating a weaker team and more for an upset.
+ * A winner that is neither team counts as a draw. Players who left before
+ * the end lose whatever the result, but still count towards their team's
+ * average.
+ * @param {Array} players - [{ id, team, elo, left }]
+ * @param {string} winner - TEAMS.BLUE, TEAMS.RED or DRAW
+ * @returns {Object} playerId -> { before, after, delta }
+ */
+export function eloChanges(players, winner) {
+  const averages = {
+    [TEAMS.BLUE]: teamAverage(players, TEAMS.BLUE),
+    [TEAMS.RED]: teamAverage(players, TEAMS.RED),
+  };
+
+  const changes = {};
+  players.forEach((p) => {
+    const expected = expectedScore(
+      averages[p.team],
+      averages[otherTeam(p.team)],
+    );
+    let score = 0.5;
+    if (p.left) score = 0;
+    else if (winner === p.team) score = 1;
+    else if (winner === otherTeam(p.team)) score = 0;
+
+    const delta = Math.round(ELO.K_FACTOR * (score - expected));
+    changes[p.id] = { before: p.elo, after: p.elo + delta, delta };
+  });
+  return changes;
+}
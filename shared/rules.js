@@ -0,0 +1,307 @@
+/**
+ * Game Rules
+ * Pure missile, deflection and round rules shared by the client and the
+ * server simulation. Nothing here touches Three.js, the DOM or the event bus:
+ * callers pass plain state in and apply the results themselves.
+ */
+
+import {
+  GAME,
+  PLAYER,
+  MISSILE,
+  DEFLECTION,
+  ARENA,
+  TEAMS,
+  MATCH_RULES,
+  OVERTIME,
+  DRAW,
+} from "./constants.js";
+import {
+  vec,
+  sub,
+  dot,
+  normalize,
+  distanceToSegment,
+  isInCone,
+} from "./vector.js";
+
+export const otherTeam = (team) =>
+  team === TEAMS.BLUE ? TEAMS.RED : TEAMS.BLUE;
+
+export const randomElement = (array, random = Math.random) =>
+  array[Math.floor(random() * array.length)];
+
+// --- Missile ---
+
+/**
+ * Missile speed after a number of deflections (additive increments)
+ */
+export function missileSpeed(deflectionCount, rules = MISSILE) {
+  const speed = rules.BASE_SPEED + rules.SPEED_INCREMENT * deflectionCount;
+  return rules.MAX_SPEED > 0 ? Math.min(speed, rules.MAX_SPEED) : speed;
+}
+
+/**
+ * Missile damage after a number of deflections: base + (increment * deflections)
+ */
+export function missileDamage(deflectionCount, rules = MISSILE) {
+  return rules.BASE_DAMAGE + rules.DAMAGE_INCREMENT * deflectionCount;
+}
+
+/**
+ * Point the missile homes in on for a target standing at position
+ */
+export function missileAimPoint(targetPosition) {
+  return vec(
+    targetPosition.x,
+    targetPosition.y + MISSILE.AIM_HEIGHT,
+    targetPosition.z,
+  );
+}
+
+/**
+ * Steer velocity toward the aim point with a frame-rate independent turn rate.
+ * Drag impulses on the current velocity are gradually corrected.
+ * @returns {Object} New velocity
+ */
+export function steerMissile(
+  velocity,
+  position,
+  aimPoint,
+  speed,
+  deltaTime,
+  turnRate = MISSILE.TURN_RATE,
+) {
+  const toTarget = normalize(sub(aimPoint, position));
+  const turn = 1 - Math.pow(1 - turnRate, deltaTime * MISSILE.TURN_TICK_RATE);
+
+  return vec(
+    velocity.x + (toTarget.x * speed - velocity.x) * turn,
+    velocity.y + (toTarget.y * speed - velocity.y) * turn,
+    velocity.z + (toTarget.z * speed - velocity.z) * turn,
+  );
+}
+
+/**
+ * Keep the missile above the floor and inside the circular arena.
+ * Removes the velocity component pushing into the surface so the missile
+ * slides along it. Mutates position and velocity in place.
+ */
+export function constrainMissile(position, velocity, groundHeight = 0) {
+  const minY = groundHeight + MISSILE.RADIUS;
+  if (position.y < minY) {
+    position.y = minY;
+    if (velocity.y < 0) velocity.y = 0;
+  }
+
+  const maxDist = ARENA.RADIUS - MISSILE.RADIUS;
+  const distXZ = Math.sqrt(position.x * position.x + position.z * position.z);
+  if (distXZ > maxDist) {
+    const scale = maxDist / distXZ;
+    position.x *= scale;
+    position.z *= scale;
+
+    const normal = normalize(vec(position.x, 0, position.z));
+    const outward = dot(velocity, normal);
+    if (outward > 0) {
+      velocity.x -= normal.x * outward;
+      velocity.z -= normal.z * outward;
+    }
+  }
+}
+
+/**
+ * Continuous (segment vs sphere) hit test against a target's center of mass,
+ * so fast missiles can't tunnel through players between steps.
+ */
+export function missileHitsTarget(previousPosition, position, targetPosition) {
+  const center = vec(
+    targetPosition.x,
+    targetPosition.y + PLAYER.HEIGHT / 2,
+    targetPosition.z,
+  );
+  const distance = distanceToSegment(center, previousPosition, position);
+  return distance < MISSILE.RADIUS + PLAYER.RADIUS;
+}
+
+/**
+ * Extra missile speed this far into overtime: one OVERTIME.SPEED_STEP as
+ * soon as it starts and another every OVERTIME.RAMP_INTERVAL
+ */
+export function overtimeSpeedBonus(overtimeMs) {
+  const steps = 1 + Math.floor(overtimeMs / OVERTIME.RAMP_INTERVAL);
+  return steps * OVERTIME.SPEED_STEP;
+}
+
+// --- Deflection ---
+
+/**
+ * Deflect cone origin (approximate eye position) for a player at position
+ */
+export function deflectOrigin(position) {
+  return vec(
+    position.x,
+    position.y + PLAYER.HEIGHT * DEFLECTION.EYE_HEIGHT,
+    position.z,
+  );
+}
+
+/**
+ * Whether a player at position facing facingDirection can reach the missile
+ */
+export function isInDeflectCone(
+  position,
+  facingDirection,
+  missilePosition,
+  coneAngle = DEFLECTION.CONE_ANGLE,
+  range = DEFLECTION.RANGE,
+) {
+  return isInCone(
+    deflectOrigin(position),
+    facingDirection,
+    missilePosition,
+    coneAngle,
+    range,
+  );
+}
+
+/**
+ * Pick the missile's next target after a deflect: a random living enemy,
+ * or anyone else alive if the deflector's enemies are all down.
+ * @param {Object} deflector - Entity with { team }
+ * @param {Array} entities - Everyone in the match ({ team, isAlive })
+ * @returns {Object|null}
+ */
+export function pickDeflectTarget(deflector, entities, random = Math.random) {
+  const others = entities.filter((e) => e && e !== deflector && e.isAlive);
+  const enemies = others.filter((e) => e.team !== deflector.team);
+  const candidates = enemies.length > 0 ? enemies : others;
+
+  return candidates.length > 0 ? randomElement(candidates, random) : null;
+}
+
+// --- Rounds ---
+
+/**
+ * Count living entities per team
+ */
+export function countAlive(entities) {
+  const alive = { [TEAMS.BLUE]: 0, [TEAMS.RED]: 0 };
+  entities.forEach((e) => {
+    if (e && e.isAlive && e.team in alive) alive[e.team]++;
+  });
+  return alive;
+}
+
+/**
+ * Round winner once a team has nobody left alive
+ * @returns {string|null} TEAMS.BLUE, TEAMS.RED, DRAW when both teams went
+ *   down together, or null while both teams stand
+ */
+export function roundWinner(entities) {
+  const alive = countAlive(entities);
+
+  if (alive[TEAMS.BLUE] === 0 && alive[TEAMS.RED] === 0) return DRAW;
+  if (alive[TEAMS.BLUE] === 0) return TEAMS.RED;
+  if (alive[TEAMS.RED] === 0) return TEAMS.BLUE;
+  return null;
+}
+
+/**
+ * Both teams can get there at once when draws score a point each
+ * @param {Object} scores - { BLUE, RED }
+ */
+export function isMatchOver(scores, roundsToWin = GAME.ROUNDS_TO_WIN) {
+  return scores[TEAMS.BLUE] >= roundsToWin || scores[TEAMS.RED] >= roundsToWin;
+}
+
+/**
+ * @param {Object} scores - { BLUE, RED }
+ * @returns {string} TEAMS.BLUE, TEAMS.RED or DRAW on equal scores
+ */
+export function matchWinner(scores) {
+  if (scores[TEAMS.BLUE] === scores[TEAMS.RED]) return DRAW;
+  return scores[TEAMS.BLUE] > scores[TEAMS.RED] ? TEAMS.BLUE : TEAMS.RED;
+}
+
+/**
+ * Score a finished round: the winner gets a point, a draw gives each team
+ * rules.drawPoints (mutates and returns scores)
+ * @param {Object} scores - { BLUE, RED }
+ * @param {string} winner - TEAMS.BLUE, TEAMS.RED or DRAW
+ */
+export function scoreRound(scores, winner, drawPoints = 0) {
+  if (winner === DRAW) {
+    scores[TEAMS.BLUE] += drawPoints;
+    scores[TEAMS.RED] += drawPoints;
+  } else {
+    scores[winner]++;
+  }
+  return scores;
+}
+
+// --- Match rules ---
+
+/**
+ * Every MATCH_RULES entry at its default: { roundsToWin, missileBaseSpeed, ... }
+ */
+export function defaultMatchRules() {
+  const rules = {};
+  Object.entries(MATCH_RULES).forEach(([key, rule]) => {
+    rules[key] = rule.default;
+  });
+  return rules;
+}
+
+/**
+ * Rules from a client made safe: each known rule is clamped to its range and
+ * snapped to its step, anything missing or not a number keeps its value in
+ * base, and unknown keys are dropped
+ */
+export function sanitizeMatchRules(input, base = defaultMatchRules()) {
+  const rules = { ...base };
+  if (!input || typeof input !== "object") return rules;
+
+  Object.entries(MATCH_RULES).forEach(([key, rule]) => {
+    const value = input[key];
+    if (typeof value !== "number" || !Number.isFinite(value)) return;
+    const clamped = Math.min(rule.max, Math.max(rule.min, value));
+    const steps = Math.round((clamped - rule.min) / rule.step);
+    rules[key] = Math.min(rule.max, rule.min + steps * rule.step);
+  });
+  return rules;
+}
+
+/**
+ * MISSILE with a room's speed and damage curve, for missileSpeed/missileDamage
+ */
+export function missileRules(rules) {
+  return {
+    ...MISSILE,
+    BASE_SPEED: rules.missileBaseSpeed,
+    SPEED_INCREMENT: rules.missileSpeedIncrement,
+    MAX_SPEED: rules.missileMaxSpeed,
+    BASE_DAMAGE: rules.missileBaseDamage,
+    DAMAGE_INCREMENT: rules.missileDamageIncrement,
+  };
+}
+
+// --- Lobby ---
+
+/**
+ * Why a custom room can't start yet: both teams need someone, neither may
+ * be over the team size, and everyone has to be ready
+ * @param {Array} players - [{ team, ready }]
+ * @returns {string|null} the reason, or null when the match can start
+ */
+export function lobbyStartError(players, teamSize) {
+  const blue = players.filter((p) => p.team === TEAMS.BLUE).length;
+  const red = players.filter((p) => p.team === TEAMS.RED).length;
+
+  if (blue === 0 || red === 0) return "Both teams need a player";
+  if (blue > teamSize || red > teamSize) {
+    return `Teams are limited to ${teamSize} players`;
+  }
+  if (players.some((p) => !p.ready)) return "Waiting for everyone to ready up";
+  return null;
+}
@@ -0,0 +1,182 @@
+/**
+ * Combat Stats
+ * Per-player kill/death/assist bookkeeping shared by the server simulation
+ * and local matches. Feed it missile events in order; it follows the
+ * current missile's deflection chain to credit kills and assists.
+ */
+
+export const emptyStats = () => ({
+  kills: 0,
+  deaths: 0,
+  assists: 0,
+  deflections: 0,
+  damageDealt: 0,
+  longestChain: 0, // Most deflections in one missile chain they took part in
+});
+
+export class StatsTracker {
+  constructor() {
+    this.entries = {}; // id -> { team, left, ...emptyStats() }
+    this.chain = []; // Deflector IDs of the current missile, oldest first
+  }
+
+  /**
+   * Start tracking an entity (or update its team, keeping its stats)
+   */
+  addEntity(id, team) {
+    if (this.entries[id]) {
+      this.entries[id].team = team;
+      return;
+    }
+    this.entries[id] = { team, left: false, ...emptyStats() };
+  }
+
+  /**
+   * Entity quit the match; its stats stay for the final result
+   */
+  markLeft(id) {
+    if (this.entries[id]) this.entries[id].left = true;
+  }
+
+  /**
+   * New match: everyone back to zero
+   */
+  reset() {
+    Object.values(this.entries).forEach((entry) => {
+      Object.assign(entry, emptyStats(), { left: false });
+    });
+    this.chain = [];
+  }
+
+  /**
+   * A fresh missile: nobody has touched it yet
+   */
+  startChain() {
+    this.chain = [];
+  }
+
+  recordDeflection(deflectorId) {
+    const deflector = this.entries[deflectorId];
+    if (!deflector) return;
+
+    deflector.deflections++;
+    this.chain.push(deflectorId);
+    const length = this.chain.length;
+    new Set(this.chain).forEach((id) => {
+      const entry = this.entries[id];
+      if (entry) entry.longestChain = Math.max(entry.longestChain, length);
+    });
+  }
+
+  /**
+   * The missile hit someone, ending its chain. Damage (what the victim
+   * actually lost, not overkill) and the kill go to the last deflector;
+   * their teammates earlier in the chain get assists. A missile nobody
+   * deflected scores for nobody.
+   */
+  recordHit(targetId, damage, eliminated) {
+    const chain = this.chain;
+    this.chain = [];
+
+    const victim = this.entries[targetId];
+    if (victim && eliminated) victim.deaths++;
+
+    const attackerId = chain[chain.length - 1];
+    const attacker = this.entries[attackerId];
+    if (!attacker) return;
+
+    attacker.damageDealt += damage;
+    if (!eliminated) return;
+
+    attacker.kills++;
+    new Set(chain).forEach((id) => {
+      const entry = this.entries[id];
+      if (id !== attackerId && entry && entry.team === attacker.team) {
+        entry.assists++;
+      }
+    });
+  }
+
+  get(id) {
+    return this.entries[id] ? { ...this.entries[id] } : null;
+  }
+
+  /**
+   * @returns {Object} id -> { team, left, kills, deaths, ... }
+   */
+  getAll() {
+    const all = {};
+    Object.entries(this.entries).forEach(([id, entry]) => {
+      all[id] = { ...entry };
+    });
+    return all;
+  }
+
+  /**
+   * Replace everything with an authoritative copy (from getAll)
+   */
+  load(all) {
+    this.entries = {};
+    Object.entries(all || {}).forEach(([id, entry]) => {
+      this.entries[id] = { ...emptyStats(), left: false, ...entry };
+    });
+  }
+}
+
+/**
+ * Career totals, built by folding finished matches through addMatchResult
+ */
+export const emptyLifetime = () => ({
+  matches: 0,
+  wins: 0,
+  draws: 0,
+  kills: 0,
+  deaths: 0,
+  assists: 0,
+  deflections: 0,
+  damageDealt: 0,
+  playtime: 0, // ms
+  bestChain: 0,
+});
+
+/**
+ * Add one match to a player's lifetime totals (mutates and returns them)
+ * @param {Object} match - { won, drawn, duration, stats } where stats is the
+ *   player's StatsTracker entry for that match
+ */
+export function addMatchResult(lifetime, { won, drawn, duration, stats }) {
+  lifetime.matches++;
+  if (won) lifetime.wins++;
+  else if (drawn) lifetime.draws = (lifetime.draws || 0) + 1;
+  ["kills", "deaths", "assists", "deflections", "damageDealt"].forEach(
+    (field) => (lifetime[field] += stats[field] || 0),
+  );
+  lifetime.playtime += duration || 0;
+  lifetime.bestChain = Math.max(lifetime.bestChain, stats.longestChain || 0);
+  return lifetime;
+}
+
+/**
+ * Kills per death; a deathless record counts its kills
+ */
+export function kdRatio(lifetime) {
+  return lifetime.deaths === 0
+    ? lifetime.kills
+    : lifetime.kills / lifetime.deaths;
+}
+
+/**
+ * A draw counts as half a win, as it does for ELO
+ * @returns {number} 0-1
+ */
+export function winRate(lifetime) {
+  if (lifetime.matches === 0) return 0;
+  return (lifetime.wins + (lifetime.draws || 0) / 2) / lifetime.matches;
+}
+
+/**
+ * Matches neither won nor drawn
+ */
+export function losses(lifetime) {
+  return lifetime.matches - lifetime.wins - (lifetime.draws || 0);
+}
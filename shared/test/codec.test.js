@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TEAMS } from "../constants.js";
+import {
+  quantizeSnapshot,
+  SnapshotEncoder,
+  SnapshotDecoder,
+  encodeInputs,
+  decodeInputs,
+  quantizeInput,
+} from "../codec.js";
+
+const table = ["alice", "bob"];
+
+const snapshot = (x) => ({
+  time: 12345.5,
+  players: [
+    { id: "alice", x, y: 0, z: -7.5, rotation: 1.25, seq: 40 },
+    { id: "bob", x: -2, y: 1.5, z: 7.5, rotation: -0.5, seq: 12 },
+  ],
+  missile: {
+    x: 0.5,
+    y: 1.5,
+    z: -3,
+    vx: 0,
+    vy: 0,
+    vz: -1,
+    speed: 12.5,
+    targetId: "alice",
+    teamId: TEAMS.RED,
+  },
+});
+
+const assertClose = (actual, expected) => {
+  Object.entries(expected).forEach(([key, value]) => {
+    if (typeof value === "number") {
+      assert.ok(
+        Math.abs(actual[key] - value) < 0.01,
+        `${key}: ${actual[key]} vs ${value}`,
+      );
+    } else {
+      assert.equal(actual[key], value, key);
+    }
+  });
+};
+
+test("snapshots survive a full and a delta round trip", () => {
+  const encoder = new SnapshotEncoder();
+  const decoder = new SnapshotDecoder();
+
+  const full = decoder.decode(
+    encoder.encode(1, quantizeSnapshot(snapshot(3), table), table),
+  );
+  assert.equal(full.time, 12345.5);
+  full.players.forEach((p, i) => assertClose(p, snapshot(3).players[i]));
+  assertClose(full.missile, snapshot(3).missile);
+
+  // Once acked, the next snapshot is a delta that only carries alice's move
+  encoder.ack(decoder.latestId);
+  const delta = encoder.encode(2, quantizeSnapshot(snapshot(4), table), table);
+  const next = decoder.decode(delta);
+  assertClose(next.players[0], snapshot(4).players[0]);
+  assertClose(next.players[1], snapshot(4).players[1]);
+  assertClose(next.missile, snapshot(4).missile);
+});
+
+test("a delta against an unknown base is refused", () => {
+  const encoder = new SnapshotEncoder();
+  encoder.encode(1, quantizeSnapshot(snapshot(3), table), table);
+  encoder.ack(1);
+  const delta = encoder.encode(2, quantizeSnapshot(snapshot(4), table), table);
+  assert.equal(new SnapshotDecoder().decode(delta), null);
+});
+
+test("input batches round trip at the quantized precision", () => {
+  const inputs = [
+    { seq: 7, dt: 1 / 60, moveX: 1, moveZ: -0.5, yaw: 2.5, jump: false },
+    { seq: 8, dt: 1 / 60, moveX: 0, moveZ: 0, yaw: -3, jump: true },
+  ];
+  const decoded = decodeInputs(encodeInputs(inputs, 41));
+
+  assert.equal(decoded.ack, 41);
+  decoded.inputs.forEach((input, i) => {
+    const expected = quantizeInput(inputs[i]);
+    assert.equal(input.seq, expected.seq);
+    assert.equal(input.jump, expected.jump);
+    ["dt", "moveX", "moveZ", "yaw"].forEach((key) =>
+      assert.ok(Math.abs(input[key] - expected[key]) < 1e-9, key),
+    );
+  });
+  assert.equal(decodeInputs(encodeInputs([], null)).ack, null);
+});
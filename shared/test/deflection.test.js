@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TEAMS, DEFLECTION, PLAYER } from "../constants.js";
+import { vec } from "../vector.js";
+import { isInDeflectCone, pickDeflectTarget } from "../rules.js";
+
+const eye = PLAYER.HEIGHT * DEFLECTION.EYE_HEIGHT;
+const forward = vec(0, 0, 1);
+
+test("isInDeflectCone reaches missiles in front, within range", () => {
+  const at = vec(0, 0, 0);
+  assert.equal(isInDeflectCone(at, forward, vec(0, eye, 5)), true);
+  assert.equal(isInDeflectCone(at, forward, vec(0, eye, -5)), false);
+  assert.equal(
+    isInDeflectCone(at, forward, vec(0, eye, DEFLECTION.RANGE + 0.1)),
+    false,
+  );
+});
+
+test("isInDeflectCone uses the cone's half-angle", () => {
+  const at = vec(0, 0, 0);
+  const inside = DEFLECTION.CONE_ANGLE - 0.05;
+  const outside = DEFLECTION.CONE_ANGLE + 0.05;
+  const point = (angle) => vec(Math.sin(angle) * 4, eye, Math.cos(angle) * 4);
+  assert.equal(isInDeflectCone(at, forward, point(inside)), true);
+  assert.equal(isInDeflectCone(at, forward, point(outside)), false);
+  // The cone starts at eye height, not the feet
+  assert.equal(
+    isInDeflectCone(vec(0, 10, 0), forward, vec(0, 10 + eye, 5)),
+    true,
+  );
+});
+
+test("pickDeflectTarget sends the missile at a living enemy", () => {
+  const me = { team: TEAMS.BLUE, isAlive: true };
+  const mate = { team: TEAMS.BLUE, isAlive: true };
+  const deadEnemy = { team: TEAMS.RED, isAlive: false };
+  const enemies = [
+    { team: TEAMS.RED, isAlive: true },
+    { team: TEAMS.RED, isAlive: true },
+  ];
+  const everyone = [me, mate, deadEnemy, ...enemies, null];
+
+  assert.equal(
+    pickDeflectTarget(me, everyone, () => 0),
+    enemies[0],
+  );
+  assert.equal(
+    pickDeflectTarget(me, everyone, () => 0.99),
+    enemies[1],
+  );
+});
+
+test("pickDeflectTarget falls back to anyone else alive", () => {
+  const me = { team: TEAMS.BLUE, isAlive: true };
+  const mate = { team: TEAMS.BLUE, isAlive: true };
+  const deadEnemy = { team: TEAMS.RED, isAlive: false };
+
+  assert.equal(pickDeflectTarget(me, [me, mate, deadEnemy]), mate);
+  assert.equal(pickDeflectTarget(me, [me, deadEnemy]), null);
+});
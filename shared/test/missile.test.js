@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MISSILE, ARENA, OVERTIME, PLAYER } from "../constants.js";
+import { vec, length } from "../vector.js";
+import {
+  missileSpeed,
+  missileDamage,
+  missileAimPoint,
+  steerMissile,
+  constrainMissile,
+  missileHitsTarget,
+  overtimeSpeedBonus,
+} from "../rules.js";
+
+const close = (actual, expected, message) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `${message || ""} ${actual} != ${expected}`,
+  );
+
+test("speed and damage grow with each deflection", () => {
+  assert.equal(missileSpeed(0), MISSILE.BASE_SPEED);
+  assert.equal(
+    missileSpeed(3),
+    MISSILE.BASE_SPEED + 3 * MISSILE.SPEED_INCREMENT,
+  );
+  assert.equal(missileDamage(0), MISSILE.BASE_DAMAGE);
+  assert.equal(
+    missileDamage(2),
+    MISSILE.BASE_DAMAGE + 2 * MISSILE.DAMAGE_INCREMENT,
+  );
+
+  const capped = { ...MISSILE, MAX_SPEED: 12 };
+  assert.equal(missileSpeed(1, capped), 10);
+  assert.equal(missileSpeed(5, capped), 12);
+});
+
+test("steerMissile turns by TURN_RATE per tick toward the aim point", () => {
+  const velocity = vec(10, 0, 0);
+  const position = vec(0, 1, 0);
+  const aim = vec(0, 1, 10); // Straight along +z
+  const steered = steerMissile(
+    velocity,
+    position,
+    aim,
+    10,
+    1 / MISSILE.TURN_TICK_RATE,
+  );
+  close(steered.x, 10 * (1 - MISSILE.TURN_RATE));
+  close(steered.z, 10 * MISSILE.TURN_RATE);
+  close(steered.y, 0);
+
+  // A full turn rate snaps straight onto the target at full speed
+  const snapped = steerMissile(velocity, position, aim, 20, 1 / 60, 1);
+  close(snapped.x, 0);
+  close(snapped.z, 20);
+});
+
+test("steerMissile does not depend on the frame rate", () => {
+  const position = vec(0, 1, 0);
+  const aim = vec(5, 1, 5);
+  const oneStep = steerMissile(vec(10, 0, 0), position, aim, 10, 1 / 30);
+
+  let twoSteps = vec(10, 0, 0);
+  for (let i = 0; i < 2; i++) {
+    twoSteps = steerMissile(twoSteps, position, aim, 10, 1 / 60);
+  }
+  close(twoSteps.x, oneStep.x, "x");
+  close(twoSteps.z, oneStep.z, "z");
+});
+
+test("missileAimPoint is the target's center mass", () => {
+  assert.deepEqual(
+    missileAimPoint(vec(1, 2, 3)),
+    vec(1, 2 + MISSILE.AIM_HEIGHT, 3),
+  );
+});
+
+test("constrainMissile keeps the missile above the floor", () => {
+  const position = vec(0, -1, 0);
+  const velocity = vec(1, -5, 1);
+  constrainMissile(position, velocity, 0.5);
+
+  assert.equal(position.y, 0.5 + MISSILE.RADIUS);
+  assert.deepEqual(velocity, vec(1, 0, 1));
+
+  // Rising away from the floor is left alone
+  const rising = vec(0, 3, 0);
+  constrainMissile(vec(0, -1, 0), rising);
+  assert.equal(rising.y, 3);
+});
+
+test("constrainMissile slides the missile along the arena wall", () => {
+  const position = vec(ARENA.RADIUS + 5, 2, 0);
+  const velocity = vec(4, 0, 3); // Out through the wall and along it
+  constrainMissile(position, velocity);
+
+  close(length(vec(position.x, 0, position.z)), ARENA.RADIUS - MISSILE.RADIUS);
+  assert.equal(position.y, 2);
+  close(velocity.x, 0);
+  close(velocity.z, 3);
+
+  // Moving back inwards keeps its full velocity
+  const inward = vec(-4, 0, 3);
+  constrainMissile(vec(ARENA.RADIUS + 5, 2, 0), inward);
+  assert.deepEqual(inward, vec(-4, 0, 3));
+});
+
+test("missileHitsTarget tests the whole step, so fast missiles can't tunnel", () => {
+  const target = vec(0, 0, 0);
+  const y = PLAYER.HEIGHT / 2;
+  // Both ends far from the player, the path straight through them
+  assert.equal(missileHitsTarget(vec(-5, y, 0), vec(5, y, 0), target), true);
+  // Grazing: just inside the combined radius
+  const reach = MISSILE.RADIUS + PLAYER.RADIUS;
+  assert.equal(
+    missileHitsTarget(
+      vec(-5, y, reach - 0.01),
+      vec(5, y, reach - 0.01),
+      target,
+    ),
+    true,
+  );
+  assert.equal(
+    missileHitsTarget(
+      vec(-5, y, reach + 0.01),
+      vec(5, y, reach + 0.01),
+      target,
+    ),
+    false,
+  );
+  // Stopped short of the player
+  assert.equal(missileHitsTarget(vec(-5, y, 0), vec(-1, y, 0), target), false);
+});
+
+test("overtimeSpeedBonus steps up at once and every RAMP_INTERVAL", () => {
+  const step = OVERTIME.SPEED_STEP;
+  assert.equal(overtimeSpeedBonus(0), step);
+  assert.equal(overtimeSpeedBonus(OVERTIME.RAMP_INTERVAL - 1), step);
+  assert.equal(overtimeSpeedBonus(OVERTIME.RAMP_INTERVAL), 2 * step);
+  assert.equal(overtimeSpeedBonus(OVERTIME.DURATION - 1), 6 * step);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PLAYER } from "../constants.js";
+import { applyJumpCommand, applyMovementCommand } from "../movement.js";
+
+const body = () => ({
+  position: { x: 0, y: 0, z: 0 },
+  velocityY: 0,
+  isGrounded: true,
+  canJump: true,
+});
+const command = (jump) => ({ dt: 1 / 60, moveX: 0, moveZ: 0, yaw: 0, jump });
+
+test("a held jump key jumps once, peaks and lands", () => {
+  const b = body();
+  const apex = (PLAYER.JUMP_FORCE * PLAYER.JUMP_FORCE) / (2 * PLAYER.GRAVITY);
+  let highest = 0;
+  for (let i = 0; i < 120; i++) {
+    applyJumpCommand(b, command(true));
+    highest = Math.max(highest, b.position.y);
+  }
+
+  assert.ok(highest > apex * 0.9 && highest <= apex, `peak ${highest}`);
+  // Still holding the key after landing: no second jump
+  assert.equal(b.isGrounded, true);
+  assert.equal(b.position.y, 0);
+
+  applyJumpCommand(b, command(false));
+  applyJumpCommand(b, command(true));
+  assert.equal(b.isGrounded, false);
+});
+
+test("movement covers at most MOVE_SPEED per second of command time", () => {
+  const position = { x: 0, y: 0, z: 0 };
+  applyMovementCommand(position, { ...command(false), dt: 5, moveX: 1 });
+  assert.ok(Math.hypot(position.x, position.z) <= PLAYER.MOVE_SPEED * 0.1);
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TEAMS, DRAW, ELO } from "../constants.js";
+import { eloChanges, rankTier, TOP_TIER } from "../ranks.js";
+
+const player = (id, team, elo, left = false) => ({ id, team, elo, left });
+const deltas = (changes) =>
+  Object.fromEntries(Object.entries(changes).map(([id, c]) => [id, c.delta]));
+
+test("an even match moves ratings by K / 2", () => {
+  const players = [
+    player("b", TEAMS.BLUE, ELO.STARTING),
+    player("r", TEAMS.RED, ELO.STARTING),
+  ];
+  const changes = eloChanges(players, TEAMS.BLUE);
+  assert.deepEqual(deltas(changes), { b: 10, r: -10 });
+  assert.deepEqual(changes.b, { before: 1000, after: 1010, delta: 10 });
+});
+
+test("changes scale with the gap between team averages", () => {
+  // BLUE averages 1100, RED 900
+  const players = [
+    player("b1", TEAMS.BLUE, 1000),
+    player("b2", TEAMS.BLUE, 1200),
+    player("r1", TEAMS.RED, 900),
+    player("r2", TEAMS.RED, 900),
+  ];
+  assert.deepEqual(deltas(eloChanges(players, TEAMS.BLUE)), {
+    b1: 5,
+    b2: 5,
+    r1: -5,
+    r2: -5,
+  });
+  assert.deepEqual(deltas(eloChanges(players, TEAMS.RED)), {
+    b1: -15,
+    b2: -15,
+    r1: 15,
+    r2: 15,
+  });
+});
+
+test("a draw scores 0.5", () => {
+  const even = [player("b", TEAMS.BLUE, 1000), player("r", TEAMS.RED, 1000)];
+  assert.deepEqual(deltas(eloChanges(even, DRAW)), { b: 0, r: 0 });
+
+  const uneven = [player("b", TEAMS.BLUE, 1100), player("r", TEAMS.RED, 900)];
+  assert.deepEqual(deltas(eloChanges(uneven, DRAW)), { b: -5, r: 5 });
+});
+
+test("a player who left loses whatever their team does", () => {
+  const players = [
+    player("stayed", TEAMS.BLUE, 1000),
+    player("quit", TEAMS.BLUE, 1000, true),
+    player("r1", TEAMS.RED, 1000),
+    player("r2", TEAMS.RED, 1000),
+  ];
+  assert.deepEqual(deltas(eloChanges(players, TEAMS.BLUE)), {
+    stayed: 10,
+    quit: -10,
+    r1: -10,
+    r2: -10,
+  });
+  assert.equal(eloChanges(players, DRAW).quit.delta, -10);
+});
+
+test("a leaver still counts towards their team's average", () => {
+  const players = [
+    player("b", TEAMS.BLUE, 1000),
+    player("quit", TEAMS.BLUE, 1400, true),
+    player("r", TEAMS.RED, 1200),
+  ];
+  // BLUE averages 1200 with the leaver: an even match for the rest
+  assert.equal(eloChanges(players, TEAMS.BLUE).b.delta, 10);
+});
+
+test("rankTier boundaries", () => {
+  assert.equal(rankTier(599), "Bronze");
+  assert.equal(rankTier(600), "Silver");
+  assert.equal(rankTier(699), "Silver");
+  assert.equal(rankTier(700), "Gold");
+  assert.equal(rankTier(800), "Platinum");
+  assert.equal(rankTier(900), "Diamond");
+  assert.equal(rankTier(ELO.STARTING), "Master");
+  assert.equal(rankTier(1099), "Master");
+  assert.equal(rankTier(1100), "Grand Master");
+  assert.equal(rankTier(-200), "Bronze");
+});
+
+test("Grand Masters inside the top leaderboard places are Top 500", () => {
+  assert.equal(rankTier(1100, 1), TOP_TIER);
+  assert.equal(rankTier(1100, ELO.TOP_PLAYERS), TOP_TIER);
+  assert.equal(rankTier(1100, ELO.TOP_PLAYERS + 1), "Grand Master");
+  assert.equal(rankTier(1100, null), "Grand Master");
+  // A top place alone is not enough
+  assert.equal(rankTier(1099, 1), "Master");
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TEAMS, DRAW, MATCH_RULES } from "../constants.js";
+import {
+  roundWinner,
+  matchWinner,
+  scoreRound,
+  isMatchOver,
+  defaultMatchRules,
+  sanitizeMatchRules,
+} from "../rules.js";
+
+const player = (team, isAlive = true) => ({ team, isAlive });
+
+test("roundWinner waits for a team to be wiped out", () => {
+  const both = [player(TEAMS.BLUE), player(TEAMS.RED)];
+  assert.equal(roundWinner(both), null);
+  assert.equal(
+    roundWinner([player(TEAMS.BLUE), player(TEAMS.RED, false)]),
+    TEAMS.BLUE,
+  );
+  assert.equal(
+    roundWinner([player(TEAMS.BLUE, false), player(TEAMS.RED)]),
+    TEAMS.RED,
+  );
+  assert.equal(
+    roundWinner([player(TEAMS.BLUE, false), player(TEAMS.RED, false)]),
+    DRAW,
+  );
+});
+
+test("scoreRound gives the winner a point and each team drawPoints on a draw", () => {
+  assert.deepEqual(scoreRound({ BLUE: 0, RED: 0 }, TEAMS.RED), {
+    BLUE: 0,
+    RED: 1,
+  });
+  assert.deepEqual(scoreRound({ BLUE: 2, RED: 1 }, DRAW), { BLUE: 2, RED: 1 });
+  assert.deepEqual(scoreRound({ BLUE: 2, RED: 1 }, DRAW, 1), {
+    BLUE: 3,
+    RED: 2,
+  });
+});
+
+test("matchWinner calls equal scores a draw", () => {
+  assert.equal(matchWinner({ BLUE: 3, RED: 1 }), TEAMS.BLUE);
+  assert.equal(matchWinner({ BLUE: 1, RED: 3 }), TEAMS.RED);
+  assert.equal(matchWinner({ BLUE: 3, RED: 3 }), DRAW);
+  assert.equal(isMatchOver({ BLUE: 3, RED: 3 }, 3), true);
+  assert.equal(isMatchOver({ BLUE: 2, RED: 2 }, 3), false);
+});
+
+test("sanitizeMatchRules clamps, snaps to step and drops bad values", () => {
+  const rules = sanitizeMatchRules({
+    roundsToWin: 999,
+    playerHealth: 130,
+    missileBaseSpeed: "fast",
+    deflectRange: Number.NaN,
+    drawPoints: -4,
+    bogus: 1,
+  });
+
+  assert.equal(rules.roundsToWin, MATCH_RULES.roundsToWin.max);
+  assert.equal(rules.playerHealth, 125);
+  assert.equal(rules.missileBaseSpeed, MATCH_RULES.missileBaseSpeed.default);
+  assert.equal(rules.deflectRange, MATCH_RULES.deflectRange.default);
+  assert.equal(rules.drawPoints, 0);
+  assert.equal("bogus" in rules, false);
+  assert.deepEqual(Object.keys(rules), Object.keys(defaultMatchRules()));
+});
+
+test("sanitizeMatchRules keeps the base for anything not given", () => {
+  const base = sanitizeMatchRules({ roundsToWin: 3 });
+  assert.equal(sanitizeMatchRules({ playerHealth: 50 }, base).roundsToWin, 3);
+  assert.deepEqual(sanitizeMatchRules(null, base), base);
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { emptyLifetime, addMatchResult, winRate, losses } from "../stats.js";
+
+const stats = { kills: 2, deaths: 1 };
+
+test("addMatchResult counts wins, draws and losses separately", () => {
+  const lifetime = emptyLifetime();
+  addMatchResult(lifetime, { won: true, duration: 60, stats });
+  addMatchResult(lifetime, { won: false, drawn: true, duration: 60, stats });
+  addMatchResult(lifetime, { won: false, duration: 60, stats });
+  assert.equal(lifetime.matches, 3);
+  assert.equal(lifetime.wins, 1);
+  assert.equal(lifetime.draws, 1);
+  assert.equal(losses(lifetime), 1);
+  assert.equal(lifetime.kills, 6);
+});
+
+test("winRate counts a draw as half a win", () => {
+  assert.equal(winRate(emptyLifetime()), 0);
+  assert.equal(winRate({ matches: 2, wins: 0, draws: 1 }), 0.25);
+  // Totals saved before draws were tracked
+  assert.equal(winRate({ matches: 2, wins: 1 }), 0.5);
+});
@@ -0,0 +1,59 @@
+/**
+ * Vector helpers
+ * Operate on plain { x, y, z } objects so they work on the server and
+ * accept THREE.Vector3 instances on the client. Never mutate their inputs.
+ */
+
+export const vec = (x = 0, y = 0, z = 0) => ({ x, y, z });
+
+export const add = (a, b) => vec(a.x + b.x, a.y + b.y, a.z + b.z);
+
+export const sub = (a, b) => vec(a.x - b.x, a.y - b.y, a.z - b.z);
+
+export const scale = (a, s) => vec(a.x * s, a.y * s, a.z * s);
+
+export const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+export const length = (a) => Math.sqrt(dot(a, a));
+
+export const normalize = (a) => {
+  const len = length(a);
+  return len > 0 ? scale(a, 1 / len) : vec();
+};
+
+export const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Distance from a point to the segment [start, end]
+ */
+export function distanceToSegment(point, start, end) {
+  const ab = sub(end, start);
+  const ap = sub(point, start);
+
+  const lenSq = dot(ab, ab);
+  if (lenSq === 0) return length(ap); // start and end are the same
+
+  // Project point onto line, clamped between 0 and 1
+  const t = clamp(dot(ap, ab) / lenSq, 0, 1);
+
+  return length(sub(point, add(start, scale(ab, t))));
+}
+
+/**
+ * Check if point is within a cone from origin facing direction
+ * @param {Object} origin - Cone origin
+ * @param {Object} direction - Cone direction
+ * @param {Object} point - Point to check
+ * @param {number} angle - Half-angle of cone in radians
+ * @param {number} range - Maximum range
+ */
+export function isInCone(origin, direction, point, angle, range) {
+  const toPoint = sub(point, origin);
+  const distance = length(toPoint);
+
+  if (distance > range) return false;
+  if (distance === 0) return true;
+
+  const cos = dot(normalize(direction), scale(toPoint, 1 / distance));
+  return Math.acos(clamp(cos, -1, 1)) <= angle;
+}
@@ -16,6 +16,7 @@ import { Missile } from "./entities/Missile.js";
 import { Arena } from "./entities/Arena.js";
 import { Explosion } from "./entities/Explosion.js";
 import { DeflectEffect } from "./entities/DeflectEffect.js";
+import { PingMarker } from "./entities/PingMarker.js";
 
 // Systems
 import { CollisionSystem } from "./systems/CollisionSystem.js";
@@ -26,9 +27,24 @@ import { RoundManager } from "./systems/RoundManager.js";
 import { UIManager } from "./ui/UIManager.js";
 
 // Utils
-import { GAME_STATES, EVENTS, PLAYER } from "./utils/Constants.js";
+import {
+  GAME_STATES,
+  EVENTS,
+  PLAYER,
+  LEADERBOARD,
+  CHAT,
+  DRAW,
+} from "./utils/Constants.js";
 import { globalEvents } from "./utils/EventEmitter.js";
 import { NetworkManager } from "./core/NetworkManager.js";
+import { LocalStatsStore } from "./core/LocalStatsStore.js";
+import { SnapshotBuffer, INTERPOLATION_DELAY } from "./utils/SnapshotBuffer.js";
+import { defaultMatchRules, missileRules } from "../shared/rules.js";
+
+const QUEUE_POLL_INTERVAL = 2000; // ms between matchmaking status checks
+const MATCH_HISTORY_PAGE = 20; // Server default page size
+const ROOM_LIST_POLL_INTERVAL = 3000; // ms between room browser refreshes
+const QUICK_CHAT_DEADZONE = 0.1; // Mouse travel (radians of look) to pick a line
 
 /**
  * Game
@@ -44,8 +60,15 @@ export class Game {
     this.explosions = [];
     this.explosionPools = { player: [], bot: [] };
     this.deflectEffects = [];
+    this.pings = []; // Quick-chat ping markers
+    this.quickChatWheel = null; // { x, y, choice } while the wheel is held
     this.remotePlayers = {}; // Map of remote player entities
-    this.networkUpdateTimer = 0;
+    this.missileSnapshots = new SnapshotBuffer(); // Server missile states (multiplayer)
+    this.matchPaused = false; // Server is holding a dropped player's slot
+    this.queueTicketId = null; // Matchmaking ticket while searching
+    this.queuePollInterval = null;
+    this.isLocalMatch = false; // Offline training match (stats kept locally)
+    this.isSpectating = false; // Watching a room instead of playing in it
 
     // Initialize all systems
     this.initCore();
@@ -57,6 +80,11 @@ export class Game {
 
     // Setup Lobby UI events
     this.setupLobbyEvents();
+    this.setupAccountEvents();
+    this.setupHistoryEvents();
+    this.setupProfileEvents();
+    this.setupLeaderboardEvents();
+    this.setupChatEvents();
 
     // Start loop
     // this.animate(); // REMOVED: Loop should only start when start() is called
@@ -277,6 +305,7 @@ export class Game {
           },
           volume: this.audioManager.volume,
           bindings: this.inputManager.bindings,
+          tickRate: NetworkManager.tickRate,
         };
       },
       onCameraChange: (changes) => {
@@ -339,6 +368,10 @@ export class Game {
         this.audioManager.resetDefaults();
         localStorage.removeItem("dodgeball_audio_volume");
       },
+      onTickRateChange: (hz) => {
+        NetworkManager.setTickRate(hz);
+        localStorage.setItem("dodgeball_network_tick_rate", hz);
+      },
     });
 
     this.loadSettings();
@@ -386,6 +419,12 @@ export class Game {
     } catch (e) {
       console.warn("Failed to load key bindings", e);
     }
+
+    // Load Network Settings
+    const tickRate = localStorage.getItem("dodgeball_network_tick_rate");
+    if (tickRate !== null) {
+      NetworkManager.setTickRate(parseInt(tickRate));
+    }
   }
 
   setupEventListeners() {
@@ -428,8 +467,9 @@ export class Game {
       if (data && data.previousState === GAME_STATES.COUNTDOWN) {
         this.roundManager.startRoundGameplay();
       }
-      // Always unlock movement when entering playing state (start or resume)
-      this.player.setMovementLocked(false);
+      // Unlock movement when entering playing state (start or resume),
+      // unless the server froze the match for a reconnect
+      this.player.setMovementLocked(this.matchPaused);
     });
 
     globalEvents.on(`state:${GAME_STATES.COUNTDOWN}`, () => {
@@ -465,15 +505,41 @@ export class Game {
       }
     });
 
+    // Scoreboard while its key is held
+    this.inputManager.on("keydown", ({ key }) => {
+      if (key !== this.inputManager.getBinding("scoreboard")) return;
+      const currentState = this.gameStateManager.getState();
+      if (
+        currentState === GAME_STATES.PLAYING ||
+        currentState === GAME_STATES.COUNTDOWN ||
+        currentState === GAME_STATES.ROUND_END
+      ) {
+        this.uiManager.showScoreboard(() => this.getScoreboardData());
+      }
+    });
+
+    this.inputManager.on("keyup", ({ key }) => {
+      if (key === this.inputManager.getBinding("scoreboard")) {
+        this.uiManager.hideScoreboard();
+      }
+    });
+
+    globalEvents.on(EVENTS.MATCH_END, () => {
+      this.uiManager.showFinalScoreboard(this.getScoreboardData());
+    });
+
     globalEvents.on(EVENTS.ROUND_START, () => {
       this.roundManager.setupRound();
-      this.player.getMesh().visible = true;
       this.bots.forEach((b) => (b.getMesh().visible = true));
       Object.values(this.remotePlayers).forEach((rp) => {
         if (rp.getMesh()) rp.getMesh().visible = true;
         if (rp.reset) rp.reset(); // Reset health/alive for new round
       });
 
+      // Spectators keep whatever view they picked
+      if (this.isSpectating) return;
+      this.player.getMesh().visible = true;
+
       // Apply saved camera mode
       this.cameraController.applySavedMode(this.player);
 
@@ -509,9 +575,7 @@ export class Game {
    * Supports team sizes: e.g. 2v2 = player + 1 bot on BLUE vs 2 bots on RED.
    */
   startLocalGame() {
-    const playerId = NetworkManager.socket
-      ? NetworkManager.socket.id
-      : "LOCAL_PLAYER";
+    const playerId = NetworkManager.playerId || "LOCAL_PLAYER";
     const difficulty = this.uiManager.getDifficulty();
     const teamSize = this.uiManager.getTeamSize
       ? this.uiManager.getTeamSize()
@@ -551,7 +615,7 @@ export class Game {
       };
     }
 
-    this.startGame({ entities });
+    this.startGame({ entities, local: true });
   }
 
   startGame(data) {
@@ -563,6 +627,9 @@ export class Game {
       return;
     }
 
+    this.uiManager.showRatingChange(null);
+    this.isLocalMatch = !!data.local;
+
     // --- 1. Map Change ---
     const selectedMap = this.uiManager.getMap();
     if (this.arena && this.arena.mapId !== selectedMap) {
@@ -576,7 +643,7 @@ export class Game {
     this.bots = [];
 
     // --- 3. Parse entities from server ---
-    const myId = NetworkManager.socket.id;
+    const myId = NetworkManager.playerId;
     const isHost = NetworkManager.isHost;
 
     console.log("[Game] Parsing entities. My ID:", myId, "isHost:", isHost);
@@ -594,7 +661,7 @@ export class Game {
       if (entity.id === myId) {
         // It's me — update my team
         this.player.team = entity.team;
-        this.player.id = entity.id; // Socket ID for resolveEntityById
+        this.player.id = entity.id; // Player ID for resolveEntityById
         console.log("[Game] My team set to:", this.player.team);
         return;
       }
@@ -603,6 +670,7 @@ export class Game {
         // Create bot
         const bot = new Bot(entity.team);
         bot.id = entity.id;
+        bot.name = entity.name;
         bot.setDifficulty(entity.difficulty || "medium");
         bot.setReferences(this.player, this.missile);
         this.scene.add(bot.getMesh());
@@ -614,13 +682,18 @@ export class Game {
       }
     });
 
+    // Room rules from the server; local matches play by the defaults
+    this.applyMatchRules(data.rules || defaultMatchRules());
+
     // --- 4. Re-register entities with game systems ---
+    // Spectators have no player of their own in the match
+    const player = this.isSpectating ? null : this.player;
     const allOthers = [...this.bots, ...Object.values(this.remotePlayers)];
 
-    this.collisionSystem.setEntities(this.player, allOthers, this.missile);
+    this.collisionSystem.setEntities(player, allOthers, this.missile);
 
     this.roundManager.setEntities(
-      this.player,
+      player,
       this.bots,
       this.remotePlayers,
       this.missile,
@@ -628,25 +701,18 @@ export class Game {
     );
 
     // --- 4b. Configure multiplayer authority ---
-    const hasRemotePlayers = Object.keys(this.remotePlayers).length > 0;
-    if (hasRemotePlayers) {
-      this.roundManager.setMultiplayerMode(NetworkManager.isHost);
-      this.roundManager.onBroadcast = (eventType, data) => {
-        if (eventType === "round_state") {
-          NetworkManager.sendRoundState(data);
-        } else if (eventType === "player_hit") {
-          NetworkManager.sendPlayerHit(data);
-        }
-      };
-    }
+    // The server simulates multiplayer matches; we only render its events.
+    this.roundManager.setMultiplayerMode(!this.isLocalMatch);
+    this.player.setNetworked(!this.isLocalMatch);
 
     // --- 5. UI transition ---
     this.uiManager.hideAll();
     this.uiManager.showHUD();
-    this.uiManager.setLocalTeam(this.player.team);
+    this.uiManager.setLocalTeam(player ? player.team : null);
+    this.uiManager.setSpectating(this.isSpectating);
 
     // Make entities visible
-    this.player.getMesh().visible = true;
+    this.player.getMesh().visible = !this.isSpectating;
     this.bots.forEach((b) => {
       if (b.getMesh()) b.getMesh().visible = true;
     });
@@ -655,7 +721,17 @@ export class Game {
     });
 
     // --- 6. Camera & Input ---
-    this.cameraController.applySavedMode(this.player);
+    if (this.isSpectating) {
+      this.cameraController.startSpectating(
+        () => this.spectatorTargets(),
+        (target) =>
+          this.uiManager.setSpectatorTarget(
+            target ? this.entityName(target) : null,
+          ),
+      );
+    } else {
+      this.cameraController.applySavedMode(this.player);
+    }
     this.loadSettings();
     this.inputManager.requestPointerLock(this.canvas);
 
@@ -668,9 +744,28 @@ export class Game {
     }
 
     // --- 7. Start match ---
+    this.gameStateManager.setCombatants(
+      player ? [player, ...allOthers] : allOthers,
+      player ? player.id : null,
+    );
     this.gameStateManager.startMatch();
   }
 
+  /**
+   * Hand the match rules to everything that runs them on this client
+   */
+  applyMatchRules(rules) {
+    this.gameStateManager.roundsToWin = rules.roundsToWin;
+    this.gameStateManager.roundTimeLimit = rules.roundTimeLimit;
+    this.gameStateManager.drawPoints = rules.drawPoints;
+    this.missile.setRules(missileRules(rules));
+    this.player.applyMatchRules(rules);
+    Object.values(this.remotePlayers).forEach((rp) =>
+      rp.applyMatchRules(rules),
+    );
+    this.uiManager.setMatchRules(rules);
+  }
+
   pauseGame() {
     const currentState = this.gameStateManager.getState();
     if (
@@ -695,10 +790,15 @@ export class Game {
   quitToMenu() {
     this.gameStateManager.returnToMenu();
     this.uiManager.showMainMenu();
+    this.uiManager.hideMatchPaused();
+    this.matchPaused = false;
 
     // Release pointer lock
     this.inputManager.exitPointerLock();
 
+    if (this.isSpectating) this.stopSpectating();
+    this.uiManager.setChatVisible(false);
+
     // Reset and hide entities
     if (this.player.getMesh()) this.player.getMesh().visible = false;
     this.bots.forEach((b) => {
@@ -875,14 +975,15 @@ export class Game {
   }
 
   updateRemotePlayers(deltaTime) {
+    const renderTime = NetworkManager.getServerTime() - INTERPOLATION_DELAY;
     Object.values(this.remotePlayers).forEach((rp) => {
-      rp.update(deltaTime);
+      rp.update(deltaTime, renderTime, this.arena);
     });
   }
 
   updateGameplay(deltaTime) {
     // Update player with arena for collision bounds
-    this.player.update(deltaTime, this.arena);
+    if (!this.isSpectating) this.player.update(deltaTime, this.arena);
 
     // Update bots (pass missile position for AI tracking)
     const missilePos = this.missile.isActive
@@ -891,58 +992,48 @@ export class Game {
 
     this.bots.forEach((b) => b.update(deltaTime, missilePos, this.arena));
 
-    // Update missile (both host and client update for smooth rendering)
+    // Update missile: simulated locally, or interpolated from the server.
+    // Networked matches stay networked even once everyone else has left.
+    const isMultiplayer = !this.isLocalMatch;
     if (this.missile.isActive) {
-      this.missile.update(deltaTime, this.arena);
+      if (isMultiplayer) {
+        const state = this.missileSnapshots.sample(
+          NetworkManager.getServerTime() - INTERPOLATION_DELAY,
+        );
+        if (state) this.missile.applyNetworkState(state, deltaTime);
+      } else {
+        this.missile.update(deltaTime, this.arena);
+      }
     }
 
-    // Collision: only run on host in multiplayer (or always in single player)
-    const isMultiplayer = Object.keys(this.remotePlayers).length > 0;
-    if (!isMultiplayer || NetworkManager.isHost) {
+    // Collision: single player only — the server resolves hits in multiplayer
+    if (!isMultiplayer) {
       this.collisionSystem.update();
     }
 
-    // Client deflect: send attempt to host when deflect key is pressed
-    if (isMultiplayer && !NetworkManager.isHost) {
+    // The server's round clock stands still while the match is paused
+    if (!this.matchPaused) this.roundManager.updateRoundTimer(deltaTime);
+    this.uiManager.updateRoundTimer(
+      this.gameStateManager.getRoundTimeLeft(),
+      this.gameStateManager.overtime,
+    );
+
+    // Multiplayer deflect: send attempt to the server when deflect key is pressed.
+    // The server rewinds the missile to the time we rendered it at and
+    // places us where this frame's input command left us.
+    if (isMultiplayer && !this.isSpectating) {
       if (this.player.isDeflecting && this.missile.isActive) {
         NetworkManager.sendDeflectAttempt({
-          position: {
-            x: this.player.position.x,
-            y: this.player.position.y,
-            z: this.player.position.z,
-          },
           facingDirection: {
             x: this.player.facingDirection.x,
             y: this.player.facingDirection.y,
             z: this.player.facingDirection.z,
           },
+          time: NetworkManager.getServerTime() - INTERPOLATION_DELAY,
+          seq: this.inputManager.inputSequence,
         });
       }
     }
-
-    // Network update (Send local player state)
-    this.networkUpdateTimer += deltaTime;
-    if (this.networkUpdateTimer > 0.05) {
-      // 20 times per second
-      NetworkManager.sendMovement(this.player.position, this.player.rotationY);
-
-      // If host: send authoritative missile state + current target ID
-      if (NetworkManager.isHost && this.missile.isActive) {
-        NetworkManager.sendMissileUpdate({
-          x: this.missile.position.x,
-          y: this.missile.position.y,
-          z: this.missile.position.z,
-          vx: this.missile.velocity.x,
-          vy: this.missile.velocity.y,
-          vz: this.missile.velocity.z,
-          speed: this.missile.speed,
-          targetId: this.missile.target ? this.missile.target.id : null,
-          teamId: this.missile.teamId,
-        });
-      }
-
-      this.networkUpdateTimer = 0;
-    }
   }
 
   start() {
@@ -972,7 +1063,7 @@ export class Game {
         break;
       case GAME_STATES.COUNTDOWN:
         this.gameStateManager.updateCountdown(deltaTime, this.audioManager);
-        this.player.update(deltaTime, this.arena);
+        if (!this.isSpectating) this.player.update(deltaTime, this.arena);
         break;
       case GAME_STATES.PLAYING:
         this.updateGameplay(deltaTime);
@@ -1010,40 +1101,15 @@ export class Game {
       }
     }
 
-    // Check collisions
-    this.collisionSystem.update();
-
     // Update remote players
     this.updateRemotePlayers(deltaTime);
 
-    // Network updates (e.g., 60 times per second for smooth movement)
-    this.networkUpdateTimer += deltaTime;
-    // 60Hz = ~0.016s
-    const NETWORK_TICK_RATE = 0.016;
-
-    if (this.networkUpdateTimer >= NETWORK_TICK_RATE) {
-      // Subtract tick rate to maintain time accuracy (fix drift)
-      this.networkUpdateTimer -= NETWORK_TICK_RATE;
+    this.updatePings(deltaTime);
+    if (this.quickChatWheel) this.updateQuickChat();
 
-      // Send movement if changed (optimization can be added here)
-      NetworkManager.sendMovement(
-        this.player.mesh.position,
-        this.player.mesh.rotation.y,
-      );
-
-      // If we are host, we are authority on missile
-      if (NetworkManager.isHost && this.missile.isActive) {
-        NetworkManager.sendMissileUpdate({
-          x: this.missile.position.x,
-          y: this.missile.position.y,
-          z: this.missile.position.z,
-          vx: this.missile.velocity.x,
-          vy: this.missile.velocity.y,
-          vz: this.missile.velocity.z,
-          speed: this.missile.speed,
-        });
-      }
-    }
+    // Hand this frame's input commands to the network tick, which sends
+    // them at a fixed rate whatever the frame rate
+    NetworkManager.queueInputs(this.player.takeUnsentInputs());
 
     // Camera update
     this.cameraController.update(deltaTime);
@@ -1117,11 +1183,11 @@ export class Game {
     NetworkManager.on("onCurrentPlayers", (players) => {
       // If we are in lobby, update UI
       if (this.currentRoomId) {
-        this.uiManager.updateLobby(players);
+        this.uiManager.updateLobby(players, this.currentRoomSettings);
 
         // Also sync in-game if playing
         Object.values(players).forEach((p) => {
-          if (p.id !== NetworkManager.socket.id) {
+          if (p.id !== NetworkManager.playerId) {
             this.addRemotePlayer(p);
           }
         });
@@ -1146,16 +1212,25 @@ export class Game {
         // For simplicity, we trust onCurrentPlayers which usually follows or we can just trigger a refresh
       }
 
-      if (player.id !== NetworkManager.socket.id) {
+      if (player.id !== NetworkManager.playerId) {
         this.addRemotePlayer(player);
       }
     });
 
-    NetworkManager.on("onPlayerMoved", (data) => {
-      const remotePlayer = this.remotePlayers[data.id];
-      if (remotePlayer) {
-        remotePlayer.updateState(data);
-      }
+    // Authoritative positions: reconcile ourselves, move everyone else
+    NetworkManager.on("onSnapshot", (data) => {
+      data.players.forEach((state) => {
+        if (state.id === NetworkManager.playerId) {
+          this.player.reconcile(state);
+          return;
+        }
+        const remotePlayer = this.remotePlayers[state.id];
+        if (remotePlayer) {
+          remotePlayer.updateState(state, data.time);
+        }
+      });
+
+      if (data.missile) this.applyMissileState(data.time, data.missile);
     });
 
     NetworkManager.on("onPlayerDisconnected", (id) => {
@@ -1165,34 +1240,13 @@ export class Game {
 
     // Missile synchronization
     NetworkManager.on("onMissileUpdate", (data) => {
-      // Client accepts authoritative state from host
-      if (!NetworkManager.isHost && this.missile.isActive) {
-        this.missile.position.set(data.x, data.y, data.z);
-        this.missile.velocity.set(data.vx, data.vy, data.vz);
-        this.missile.speed = data.speed;
-
-        // Sync target by ID
-        if (
-          data.targetId &&
-          (!this.missile.target || this.missile.target.id !== data.targetId)
-        ) {
-          const target = this.resolveEntityById(data.targetId);
-          if (target) {
-            this.missile.setTarget(target);
-            if (data.teamId) this.missile.setTeam(data.teamId);
-          }
-        }
-
-        if (this.missile.mesh) {
-          this.missile.mesh.position.copy(this.missile.position);
-        }
-      }
+      this.applyMissileState(data.time, data);
     });
 
     // Handle remote deflections (visuals + logic)
     NetworkManager.on("onMissileDeflected", (data) => {
       let deflector = null;
-      if (data.deflectorId === NetworkManager.socket.id) {
+      if (data.deflectorId === NetworkManager.playerId) {
         deflector = this.player;
       } else if (this.remotePlayers[data.deflectorId]) {
         deflector = this.remotePlayers[data.deflectorId];
@@ -1202,19 +1256,23 @@ export class Game {
         this.spawnDeflectEffect(deflector);
         this.audioManager.play("pulse");
       }
+      this.gameStateManager.recordDeflection(data.deflectorId);
     });
 
-    // --- Host-Authoritative Events ---
+    // --- Server-Authoritative Events ---
 
-    // Round state from host (missile_spawn, round_end)
+    // Round state from the server (missile_spawn, overtime, round_end)
     NetworkManager.on("onRoundState", (data) => {
       console.log("[Game] Received round_state:", data);
 
-      if (data.type === "missile_spawn") {
-        // Host tells us who the missile targets
+      if (data.type === "overtime") {
+        this.gameStateManager.startOvertime();
+      } else if (data.type === "missile_spawn") {
+        // Server tells us who the missile targets
         const target = this.resolveEntityById(data.targetId);
         if (target) {
           this.missile.spawn(target, data.missileTeam);
+          this.missileSnapshots.clear();
           target.setTargeted(true);
           if (target === this.player && this.audioManager) {
             this.audioManager.play("targeted");
@@ -1224,77 +1282,44 @@ export class Game {
           });
         }
       } else if (data.type === "round_end") {
-        // Host tells us who won — apply locally
+        // Server tells us who won — apply locally
         const winner = data.winner;
         this.missile.reset();
         this.missile.hide();
+        this.missileSnapshots.clear();
         if (this.player) this.player.setMovementLocked(true);
 
-        // Sync scores from host
-        if (data.scores) {
-          this.gameStateManager.playerScore = data.scores.blue;
-          this.gameStateManager.botScore = data.scores.red;
-        }
+        // Sync combat stats from the server; endRound takes its scores
+        if (data.stats) this.gameStateManager.syncCombatStats(data.stats);
 
         // Determine winner relative to local player's team
         const localTeam = this.player.team;
         const localWon = winner === localTeam;
-        // We still pass the team to endRound, but we override the score
-        // because the host already told us the correct scores.
-        // GameStateManager.endRound increments scores, so we set them
-        // BEFORE calling endRound and let it increment — actually that
-        // would double count. Instead, set scores AFTER endRound.
-        // Let's just call endRound and then fix scores.
-        this.gameStateManager.endRound(winner, this.audioManager);
-        // Override with host-authoritative scores
-        if (data.scores) {
-          this.gameStateManager.playerScore = data.scores.blue;
-          this.gameStateManager.botScore = data.scores.red;
-        }
+        this.gameStateManager.endRound(winner, this.audioManager, data.scores);
       }
     });
 
-    // Player hit from host — apply damage on client
+    // Player hit from the server — apply damage on client
     NetworkManager.on("onPlayerHit", (data) => {
       console.log("[Game] Received player_hit:", data);
       const target = this.resolveEntityById(data.targetId);
       if (target) {
+        const dealt = Math.min(data.damage, target.health);
         target.takeDamage(data.damage);
+        this.gameStateManager.recordHit(data.targetId, dealt, !target.isAlive);
         if (this.audioManager) this.audioManager.play("explosion");
         this.spawnExplosion(target);
         this.missile.reset();
+        this.missile.hide();
+        this.missileSnapshots.clear();
       }
     });
 
-    // Deflect attempt from client — only received by host
-    NetworkManager.on("onDeflectAttempt", (data) => {
-      console.log("[Game] Received deflect_attempt from:", data.playerId);
-      if (!NetworkManager.isHost) return;
-
-      const remotePlayer = this.remotePlayers[data.playerId];
-      if (!remotePlayer || !remotePlayer.isAlive) return;
-      if (!this.missile.isActive) return;
-
-      // Check if the missile is targeting THIS remote player
-      if (this.missile.target !== remotePlayer) return;
-
-      // Check if missile is close enough and in front of the remote player
-      // Use the position/facing data from the client
-      const rPos = remotePlayer.position;
-      const missilePos = this.missile.getPosition();
-      const dist = rPos.distanceTo(missilePos);
-
-      // Simple proximity + facing check
-      if (dist < 5) {
-        // Deflect succeeded — handle it through the collision system
-        this.collisionSystem.handleDeflection(remotePlayer);
-
-        // Broadcast deflection to all clients
-        NetworkManager.sendMissileDeflect({
-          deflectorId: data.playerId,
-          newTargetId: this.missile.target ? this.missile.target.id : null,
-        });
-      }
+    // Ranked matches report how our rating moved for the match end screen
+    NetworkManager.on("onMatchResult", (data) => {
+      console.log("[Game] Match result:", data);
+      const change = data.ratings && data.ratings[NetworkManager.playerId];
+      this.uiManager.showRatingChange(change || null);
     });
 
     // Listen for team changes in lobby
@@ -1306,7 +1331,7 @@ export class Game {
           this.currentRoomSettings,
         );
       }
-      if (player.id === NetworkManager.socket.id) {
+      if (player.id === NetworkManager.playerId) {
         this.player.team = player.team;
       } else if (this.remotePlayers[player.id]) {
         this.remotePlayers[player.id].team = player.team;
@@ -1320,6 +1345,191 @@ export class Game {
         this.uiManager.updateLobby(NetworkManager.connectedPlayers, settings);
       }
     });
+
+    // Matchmaking grouped us: the server starts the match shortly
+    NetworkManager.on("onMatchFound", (data) => {
+      console.log("[Game] Match found:", data);
+      this.stopQueuePolling();
+      this.queueTicketId = null;
+      this.currentRoomId = data.roomId;
+      this.currentRoomSettings = { teamSize: data.teamSize, mode: data.mode };
+      this.uiManager.showMatchFound(data.startsIn);
+      this.uiManager.setChatVisible(true);
+
+      NetworkManager.sendPlayerData({
+        name: this.playerName(),
+        x: 0,
+        y: 0,
+        z: 0,
+        rotation: 0,
+      });
+    });
+
+    // A matched player left during the match found delay
+    NetworkManager.on("onMatchCancelled", (data) => {
+      console.log("[Game] Match cancelled:", data.reason);
+      this.currentRoomId = null;
+      this.currentRoomSettings = null;
+      this.uiManager.setChatVisible(false);
+      this.startQueueSearch(data);
+    });
+
+    // Host role moved to someone else (possibly us)
+    NetworkManager.on("onHostChanged", (hostId) => {
+      console.log("Host changed:", hostId);
+      if (this.currentRoomId) {
+        this.uiManager.setLobbyHost(NetworkManager.isHost);
+        this.uiManager.updateLobby(
+          NetworkManager.connectedPlayers,
+          this.currentRoomSettings,
+        );
+      }
+    });
+
+    // --- Reconnects ---
+
+    // Back in our room after a dropped connection or a page reload
+    NetworkManager.on("onSessionResumed", (data) => {
+      console.log("[Game] Session resumed in room", data.roomId);
+      this.currentRoomSettings = data.settings;
+      this.uiManager.setChatVisible(true);
+
+      if (!data.match) {
+        // Match ended while we were away
+        this.currentRoomId = data.roomId;
+        this.uiManager.showLobby(data.roomId, data.isHost);
+        this.uiManager.updateLobby(data.players, data.settings);
+        return;
+      }
+
+      // Fresh page: build the match scene before catching up
+      if (
+        this.currentRoomId !== data.roomId ||
+        this.gameStateManager.isState(GAME_STATES.MENU)
+      ) {
+        this.currentRoomId = data.roomId;
+        this.startGame({ entities: data.entities, rules: data.match.rules });
+      }
+      this.restoreMatchState(data.match);
+    });
+
+    // Server froze the match while a dropped player's slot is held
+    NetworkManager.on("onMatchPaused", (pause) => this.applyMatchPause(pause));
+
+    // --- Spectating ---
+
+    NetworkManager.on("onSpectatorsUpdated", (spectators) => {
+      this.uiManager.setLobbySpectators(spectators);
+    });
+
+    // Everyone we were watching left
+    NetworkManager.on("onRoomClosed", () => {
+      alert("The room was closed: all players left.");
+      window.location.reload();
+    });
+
+    NetworkManager.on("onKicked", ({ reason }) => {
+      alert(`You were kicked from the server (${reason}).`);
+      window.location.reload();
+    });
+  }
+
+  /**
+   * Catch up with a running match after resuming a session: round, scores,
+   * health, our own position and the missile in flight
+   */
+  restoreMatchState(state) {
+    this.gameStateManager.restoreMatch(state);
+    if (state.stats) this.gameStateManager.syncCombatStats(state.stats);
+    this.missile.reset();
+    this.missile.hide();
+    this.missileSnapshots.clear();
+
+    // Anyone who left while we were away
+    Object.keys(this.remotePlayers).forEach((id) => {
+      if (!state.players.some((p) => p.id === id)) this.removeRemotePlayer(id);
+    });
+
+    state.players.forEach((p) => {
+      const entity = this.resolveEntityById(p.id);
+      if (!entity) return;
+
+      const lost = entity.health - p.health;
+      if (lost > 0) entity.takeDamage(lost);
+
+      if (entity === this.player) {
+        // Keep numbering inputs after the last one the server saw
+        this.inputManager.inputSequence = Math.max(
+          this.inputManager.inputSequence,
+          p.seq,
+        );
+        this.player.reconcile(p);
+      }
+    });
+
+    if (state.missile) {
+      const target = this.resolveEntityById(state.missile.targetId);
+      if (target) {
+        this.missile.spawn(target, state.missile.teamId);
+        this.missile.deflectionCount = state.missile.deflectionCount;
+        this.applyMissileState(state.time, state.missile);
+      }
+    }
+
+    this.applyMatchPause(state.pause);
+  }
+
+  /**
+   * Lock movement and show who we're waiting for while the server holds
+   * a dropped player's slot
+   * @param {Object} pause - { paused, waitingFor: [{ id, deadline }],
+   *   roundTime } where roundTime is the server's round clock (ms)
+   */
+  applyMatchPause(pause) {
+    this.matchPaused = pause.paused;
+    if (Number.isFinite(pause.roundTime)) {
+      this.gameStateManager.roundTime = pause.roundTime / 1000;
+    }
+    if (!pause.paused) {
+      this.uiManager.hideMatchPaused();
+      if (this.gameStateManager.isState(GAME_STATES.PLAYING)) {
+        this.player.setMovementLocked(false);
+      }
+      return;
+    }
+
+    this.player.setMovementLocked(true);
+    const names = pause.waitingFor.map(({ id }) => {
+      const player = NetworkManager.connectedPlayers[id];
+      return (player && player.name) || `Player ${id.substr(0, 4)}`;
+    });
+    const deadline = Math.max(...pause.waitingFor.map((w) => w.deadline));
+    this.uiManager.showMatchPaused(
+      names,
+      deadline - NetworkManager.getServerTime(),
+    );
+  }
+
+  /**
+   * Buffer an authoritative missile state (snapshot or missile_update)
+   * and sync its target/team
+   */
+  applyMissileState(time, data) {
+    if (!this.missile.isActive) return;
+
+    this.missileSnapshots.push(time, data);
+    this.missile.speed = data.speed;
+
+    if (
+      data.targetId &&
+      (!this.missile.target || this.missile.target.id !== data.targetId)
+    ) {
+      const target = this.resolveEntityById(data.targetId);
+      if (target) {
+        this.missile.setTarget(target);
+        if (data.teamId) this.missile.setTeam(data.teamId);
+      }
+    }
   }
 
   addRemotePlayer(data) {
@@ -1343,7 +1553,7 @@ export class Game {
    */
   resolveEntityById(id) {
     if (this.player && this.player.id === id) return this.player;
-    if (NetworkManager.socket && id === NetworkManager.socket.id)
+    if (NetworkManager.playerId && id === NetworkManager.playerId)
       return this.player;
     if (this.remotePlayers[id]) return this.remotePlayers[id];
     const bot = this.bots.find((b) => b.id === id);
@@ -1360,13 +1570,459 @@ export class Game {
     }
   }
 
+  /**
+   * Show the queue screen for a ticket and keep its status fresh
+   * @param {Object} status - Queue status with ticketId, mode and teamSize
+   */
+  startQueueSearch(status) {
+    this.queueTicketId = status.ticketId;
+    this.uiManager.showQueueScreen(status.mode, status.teamSize);
+    this.uiManager.updateQueueStatus(status);
+
+    this.stopQueuePolling();
+    this.queuePollInterval = setInterval(async () => {
+      const latest = await NetworkManager.getQueueStatus();
+      if (latest.success && latest.inQueue) {
+        this.uiManager.updateQueueStatus(latest);
+      }
+    }, QUEUE_POLL_INTERVAL);
+  }
+
+  stopQueuePolling() {
+    if (this.queuePollInterval) {
+      clearInterval(this.queuePollInterval);
+      this.queuePollInterval = null;
+    }
+  }
+
+  /**
+   * Name we show up under: the account nickname, else the local one
+   */
+  playerName() {
+    if (NetworkManager.account) return NetworkManager.account.nickname;
+    return (
+      localStorage.getItem("dodgeball_nickname") ||
+      "Player " + String(NetworkManager.playerId || this.player.id).substr(0, 4)
+    );
+  }
+
+  /**
+   * Name an entity is listed under on the scoreboard
+   */
+  entityName(entity) {
+    if (entity === this.player) return this.playerName();
+    const player = NetworkManager.connectedPlayers[entity.id];
+    return (
+      entity.name ||
+      (player && player.name) ||
+      "Player " + String(entity.id).substr(0, 4)
+    );
+  }
+
+  /**
+   * Everyone in the match with their live combat stats and ping
+   */
+  getScoreboardData() {
+    const entities = [...this.bots, ...Object.values(this.remotePlayers)];
+    if (!this.isSpectating) entities.unshift(this.player);
+    const rows = entities.map((entity) => {
+      const stats = this.gameStateManager.getEntityStats(entity.id) || {};
+      const ping = NetworkManager.pings[entity.id];
+      return {
+        id: entity.id,
+        name: this.entityName(entity),
+        team: entity.team,
+        isAlive: entity.isAlive,
+        health: Math.max(0, Math.round(entity.health)),
+        kills: stats.kills || 0,
+        deaths: stats.deaths || 0,
+        assists: stats.assists || 0,
+        deflections: stats.deflections || 0,
+        ping: ping === undefined ? null : ping,
+        isLocal: entity === this.player,
+      };
+    });
+    return {
+      scores: {
+        blue: this.gameStateManager.playerScore,
+        red: this.gameStateManager.botScore,
+      },
+      rows,
+    };
+  }
+
+  setupProfileEvents() {
+    // The server records online matches; offline training is kept locally
+    globalEvents.on(EVENTS.MATCH_END, (data) => {
+      if (!this.isLocalMatch) return;
+      const stats = data.stats.players && data.stats.players[this.player.id];
+      if (!stats) return;
+      LocalStatsStore.recordMatch({
+        playedAt: Date.now(),
+        won: data.winner === this.player.team,
+        drawn: data.winner === DRAW,
+        duration: data.stats.matchDuration,
+        stats,
+      }).catch((err) => console.warn("Could not save offline stats:", err));
+    });
+
+    this.uiManager.bindProfileButtons({
+      onOpen: async () => {
+        const account = NetworkManager.account;
+        const [profile, offline] = await Promise.all([
+          account ? NetworkManager.getPlayer(account.id) : null,
+          LocalStatsStore.lifetime().catch(() => null),
+        ]);
+        if (profile && !profile.success) {
+          alert("Error loading profile: " + profile.error);
+          return;
+        }
+        this.uiManager.setProfile({
+          name: this.playerName(),
+          elo: profile ? profile.elo : null,
+          tier: profile ? profile.tier : null,
+          online: profile ? profile.stats : null,
+          offline,
+        });
+        this.uiManager.showProfileScreen();
+      },
+      onBack: () => this.uiManager.showMainMenu(),
+    });
+  }
+
+  setupChatEvents() {
+    const inMatch = () =>
+      [
+        GAME_STATES.PLAYING,
+        GAME_STATES.COUNTDOWN,
+        GAME_STATES.ROUND_END,
+      ].includes(this.gameStateManager.getState());
+
+    this.uiManager.bindChat({
+      onSend: (text, channel) => this.sendChat({ channel, text }),
+    });
+
+    NetworkManager.on("onChatMessage", (message) => {
+      this.uiManager.addChatMessage(
+        message,
+        this.isSpectating ? null : this.player.team,
+      );
+      if (message.ping && inMatch()) {
+        this.spawnPing(message.ping, message.team);
+      }
+    });
+
+    this.inputManager.on("keydown", ({ key, event }) => {
+      if (!this.uiManager.isChatVisible() || this.uiManager.isChatOpen()) {
+        return;
+      }
+      const bindings = this.inputManager.bindings;
+
+      if (key === bindings.chat || key === bindings.teamChat) {
+        // Don't type the key itself into the box
+        event.preventDefault();
+        this.inputManager.releaseKeys();
+        this.uiManager.openChat(
+          key === bindings.teamChat && !this.isSpectating
+            ? CHAT.CHANNELS.TEAM
+            : CHAT.CHANNELS.ALL,
+        );
+        return;
+      }
+
+      if (
+        key === bindings.quickChat &&
+        inMatch() &&
+        !this.isSpectating &&
+        this.inputManager.isLocked()
+      ) {
+        this.quickChatWheel = { x: 0, y: 0, choice: null };
+        this.uiManager.showQuickChat();
+        return;
+      }
+
+      // Number keys pick straight from the open wheel
+      if (this.quickChatWheel && /^Digit[1-9]$/.test(key)) {
+        const choice = Object.keys(CHAT.QUICK)[Number(key.slice(5)) - 1];
+        if (choice) this.closeQuickChat(choice);
+      }
+    });
+
+    this.inputManager.on("keyup", ({ key }) => {
+      if (
+        this.quickChatWheel &&
+        key === this.inputManager.getBinding("quickChat")
+      ) {
+        this.closeQuickChat(this.quickChatWheel.choice);
+      }
+    });
+  }
+
+  async sendChat(request) {
+    const result = await NetworkManager.sendChat(request);
+    if (!result.success) this.uiManager.addChatNotice(result.error);
+  }
+
+  /**
+   * While the quick-chat wheel is held the mouse picks a line instead of
+   * turning the camera
+   */
+  updateQuickChat() {
+    const wheel = this.quickChatWheel;
+    const delta = this.inputManager.getMouseDelta();
+    wheel.x += delta.x;
+    wheel.y += delta.y;
+
+    const length = Math.hypot(wheel.x, wheel.y);
+    if (length < QUICK_CHAT_DEADZONE) return;
+    // Cap the travel so a new direction takes over quickly
+    if (length > QUICK_CHAT_DEADZONE * 2) {
+      wheel.x *= (QUICK_CHAT_DEADZONE * 2) / length;
+      wheel.y *= (QUICK_CHAT_DEADZONE * 2) / length;
+    }
+
+    // Lines sit clockwise from the top, like the wheel on screen
+    const keys = Object.keys(CHAT.QUICK);
+    const angle = Math.atan2(wheel.x, -wheel.y) + Math.PI * 2;
+    const sector = (Math.PI * 2) / keys.length;
+    const choice = keys[Math.round(angle / sector) % keys.length];
+    if (choice !== wheel.choice) {
+      wheel.choice = choice;
+      this.uiManager.highlightQuickChat(choice);
+    }
+  }
+
+  /**
+   * @param {string|null} choice - CHAT.QUICK key to send to the team, if any
+   */
+  closeQuickChat(choice) {
+    this.quickChatWheel = null;
+    this.uiManager.hideQuickChat();
+    if (choice) this.sendChat({ channel: CHAT.CHANNELS.TEAM, quick: choice });
+  }
+
+  spawnPing(position, team) {
+    const ping = new PingMarker(position, team);
+    this.pings.push(ping);
+    this.scene.add(ping.getMesh());
+  }
+
+  updatePings(deltaTime) {
+    for (let i = this.pings.length - 1; i >= 0; i--) {
+      const ping = this.pings[i];
+      ping.update(deltaTime);
+      if (ping.isDone()) {
+        this.scene.remove(ping.getMesh());
+        ping.dispose();
+        this.pings.splice(i, 1);
+      }
+    }
+  }
+
+  setupLeaderboardEvents() {
+    let query = { offset: 0, search: "" };
+
+    const load = async (next) => {
+      const result = await NetworkManager.getLeaderboard(next);
+      if (!result.success) {
+        alert("Error loading leaderboard: " + result.error);
+        return;
+      }
+      query = { offset: result.offset, search: next.search };
+      this.uiManager.setLeaderboardPage(result, NetworkManager.playerId);
+    };
+
+    this.uiManager.bindLeaderboardButtons({
+      onOpen: () => {
+        this.uiManager.showLeaderboardScreen(!!NetworkManager.account);
+        load({ offset: 0, search: "" });
+      },
+      onSearch: () =>
+        load({ offset: 0, search: this.uiManager.getLeaderboardSearch() }),
+      onAroundMe: () =>
+        load({ search: query.search, around: NetworkManager.playerId }),
+      onPrev: () =>
+        load({
+          ...query,
+          offset: Math.max(0, query.offset - LEADERBOARD.PAGE_SIZE),
+        }),
+      onNext: () =>
+        load({ ...query, offset: query.offset + LEADERBOARD.PAGE_SIZE }),
+      onBack: () => this.uiManager.showMainMenu(),
+    });
+  }
+
+  setupHistoryEvents() {
+    let oldest = null; // playedAt of the last match shown, for paging
+
+    const loadPage = async () => {
+      const playerId = NetworkManager.playerId;
+      const result = await NetworkManager.getMatchHistory(playerId, oldest);
+      if (!result.success) {
+        alert("Error loading match history: " + result.error);
+        return;
+      }
+      const matches = result.matches;
+      if (matches.length > 0) oldest = matches[matches.length - 1].playedAt;
+      this.uiManager.addHistoryPage(
+        matches,
+        playerId,
+        matches.length === MATCH_HISTORY_PAGE,
+      );
+    };
+
+    this.uiManager.bindHistoryButtons({
+      onOpen: () => {
+        oldest = null;
+        this.uiManager.showHistoryScreen();
+        loadPage();
+      },
+      onMore: loadPage,
+      onBack: () => this.uiManager.showMainMenu(),
+    });
+  }
+
+  setupAccountEvents() {
+    this.uiManager.setupAccountMenu({
+      onLogin: (username, password) => NetworkManager.login(username, password),
+      onRegister: (username, password) =>
+        NetworkManager.register(username, password),
+      onLogout: () => NetworkManager.logout(),
+      onNicknameChange: async (nickname) => {
+        const result = await NetworkManager.updateProfile({ nickname });
+        if (!result.success) alert("Error saving nickname: " + result.error);
+      },
+    });
+
+    NetworkManager.on("onAccountChanged", (account) =>
+      this.uiManager.setAccount(account),
+    );
+  }
+
+  /**
+   * Join a room by code (password only needed for locked rooms)
+   */
+  async joinRoom(roomId, password = null) {
+    const result = await NetworkManager.joinRoom(roomId, password);
+    if (!result.success) {
+      alert("Error joining room: " + result.error);
+      return;
+    }
+
+    this.currentRoomId = result.room.id;
+    this.currentRoomSettings = result.room.settings;
+    this.uiManager.showLobby(result.room.id, false);
+    this.uiManager.setChatVisible(true);
+
+    // Force update ui with cached players
+    this.uiManager.updateLobby(
+      NetworkManager.connectedPlayers,
+      this.currentRoomSettings,
+    );
+
+    // Send player info
+    NetworkManager.sendPlayerData({
+      name: this.playerName(),
+      x: 0,
+      y: 0,
+      z: 0,
+      rotation: 0,
+    });
+
+    // Add existing players to scene
+    Object.values(NetworkManager.connectedPlayers).forEach((p) => {
+      if (p.id !== NetworkManager.playerId) {
+        this.addRemotePlayer(p);
+      }
+    });
+  }
+
+  /**
+   * Watch a room: straight into its match if one is running, else its lobby
+   */
+  async spectateRoom(roomId, password = null) {
+    const result = await NetworkManager.spectateRoom(roomId, password);
+    if (!result.success) {
+      alert("Error spectating room: " + result.error);
+      return;
+    }
+
+    this.isSpectating = true;
+    this.currentRoomId = result.room.id;
+    this.currentRoomSettings = result.room.settings;
+    this.uiManager.setChatVisible(true);
+    NetworkManager.sendPlayerData({ name: this.playerName() });
+
+    if (result.match) {
+      this.startGame({ entities: result.entities, rules: result.match.rules });
+      this.restoreMatchState(result.match);
+      return;
+    }
+
+    this.uiManager.setSpectating(true);
+    this.uiManager.showLobby(result.room.id, false);
+    this.uiManager.updateLobby(result.players, result.room.settings);
+    Object.values(result.players).forEach((p) => this.addRemotePlayer(p));
+  }
+
+  /**
+   * Stop watching: leave the room and give the camera back
+   */
+  stopSpectating() {
+    this.isSpectating = false;
+    this.currentRoomId = null;
+    NetworkManager.leaveRoom();
+    this.cameraController.stopSpectating();
+    this.uiManager.setSpectating(false);
+    Object.keys(this.remotePlayers).forEach((id) =>
+      this.removeRemotePlayer(id),
+    );
+  }
+
+  /**
+   * Who the spectator camera can follow: everyone still standing
+   */
+  spectatorTargets() {
+    return [...this.bots, ...Object.values(this.remotePlayers)].filter(
+      (entity) => entity.isAlive,
+    );
+  }
+
   setupLobbyEvents() {
+    // Find Match (matchmaking queue)
+    document
+      .getElementById("btn-find-match")
+      .addEventListener("click", async () => {
+        const mode = this.uiManager.getQueueMode();
+        const teamSize = this.uiManager.getTeamSize();
+
+        const result = await NetworkManager.joinQueue(mode, teamSize);
+        if (!result.success) {
+          alert("Error joining queue: " + result.error);
+          return;
+        }
+
+        this.startQueueSearch(result);
+      });
+
+    // Cancel matchmaking
+    this.uiManager.bindQueueCancel(async () => {
+      this.stopQueuePolling();
+      if (this.queueTicketId) {
+        await NetworkManager.leaveQueue(this.queueTicketId);
+        this.queueTicketId = null;
+      }
+      this.uiManager.hideQueueScreen();
+      this.uiManager.showMainMenu();
+    });
+
     // Create Room
     document
       .getElementById("btn-create-room")
       .addEventListener("click", async () => {
         const settings = {
           maxPlayers: 4,
+          ...this.uiManager.getRoomOptions(),
         };
 
         console.log("Creating room with settings:", settings);
@@ -1375,21 +2031,23 @@ export class Game {
 
         if (result.success) {
           this.currentRoomId = result.roomId;
+          this.currentRoomSettings = result.settings;
           this.uiManager.showLobby(result.roomId, true);
+          this.uiManager.setChatVisible(true);
 
           // Force update ui with cached players (in case event beat us here)
           console.log(
             "Updating lobby with players:",
             NetworkManager.connectedPlayers,
           );
-          this.uiManager.updateLobby(NetworkManager.connectedPlayers);
+          this.uiManager.updateLobby(
+            NetworkManager.connectedPlayers,
+            this.currentRoomSettings,
+          );
 
           // Send player info
-          const nickname =
-            localStorage.getItem("dodgeball_nickname") ||
-            "Player " + NetworkManager.socket.id.substr(0, 4);
           NetworkManager.sendPlayerData({
-            name: nickname,
+            name: this.playerName(),
             x: 0,
             y: 0,
             z: 0,
@@ -1406,47 +2064,72 @@ export class Game {
           .getElementById("input-room-code")
           .value.toUpperCase();
         if (!code) return;
+        this.joinRoom(code);
+      });
 
-        const result = await NetworkManager.joinRoom(code);
-        if (result.success) {
-          this.currentRoomId = result.room.id;
-          this.uiManager.showLobby(result.room.id, false);
+    // Watch Room (by code, so private rooms can be watched too)
+    document.getElementById("btn-watch-room").addEventListener("click", () => {
+      const code = document
+        .getElementById("input-room-code")
+        .value.toUpperCase();
+      if (!code) return;
+      this.spectateRoom(code);
+    });
 
-          // Force update ui with cached players
-          this.uiManager.updateLobby(NetworkManager.connectedPlayers);
+    // Locked rooms ask for their password first
+    const withPassword = (action) => (room) => {
+      let password = null;
+      if (room.locked) {
+        password = prompt(`Password for ${room.name}`);
+        if (password === null) return;
+      }
+      action(room.id, password);
+    };
 
-          // Send player info
-          const nickname =
-            localStorage.getItem("dodgeball_nickname") ||
-            "Player " + NetworkManager.socket.id.substr(0, 4);
-          NetworkManager.sendPlayerData({
-            name: nickname,
-            x: 0,
-            y: 0,
-            z: 0,
-            rotation: 0,
-          });
+    // Room browser: refresh while the main menu is up
+    const refreshRooms = async () => {
+      if (!NetworkManager.isConnected || !this.uiManager.isMainMenuOpen()) {
+        return;
+      }
+      const result = await NetworkManager.listRooms();
+      if (!result.success) return;
+      this.uiManager.setRoomList(
+        result.rooms,
+        withPassword((id, password) => this.joinRoom(id, password)),
+        withPassword((id, password) => this.spectateRoom(id, password)),
+      );
+    };
+    NetworkManager.on("onConnect", refreshRooms);
+    setInterval(refreshRooms, ROOM_LIST_POLL_INTERVAL);
 
-          // Add existing players to scene
-          Object.values(NetworkManager.connectedPlayers).forEach((p) => {
-            if (p.id !== NetworkManager.socket.id) {
-              this.addRemotePlayer(p);
-            }
-          });
-        } else {
-          alert("Error joining room: " + result.error);
-        }
+    // Leave Room
+    document
+      .getElementById("btn-lobby-leave")
+      .addEventListener("click", async () => {
+        // Free our slot first, or a reload would resume straight back into it
+        await NetworkManager.leaveRoom();
+        window.location.reload(); // Simple way to reset state for now
       });
 
-    // Leave Room
-    document.getElementById("btn-lobby-leave").addEventListener("click", () => {
-      window.location.reload(); // Simple way to reset state for now
-    });
+    // Ready toggle: the match starts by itself once everyone is ready
+    document
+      .getElementById("btn-lobby-ready")
+      .addEventListener("click", async () => {
+        const me = NetworkManager.connectedPlayers[NetworkManager.playerId];
+        const result = await NetworkManager.setReady(!(me && me.ready));
+        if (!result.success) alert("Error: " + result.error);
+      });
 
-    // Start Game (Host only)
-    document.getElementById("btn-lobby-start").addEventListener("click", () => {
-      // Tell server to start game
-      NetworkManager.startGame();
+    NetworkManager.on("onLobbyCountdown", ({ startsIn }) => {
+      this.uiManager.setLobbyCountdown(startsIn);
     });
+
+    // Start Game (Host only): skips the countdown, same checks
+    document
+      .getElementById("btn-lobby-start")
+      .addEventListener("click", async () => {
+        const result = await NetworkManager.startGame();
+        if (!result.success) alert("Cannot start match: " + result.error);
+      });
   }
 }
@@ -49,6 +49,9 @@ export class CameraController {
     // Input manager reference (set later)
     this.inputManager = null;
 
+    // Spectator camera: { getTargets, onChange, freeFly } while watching
+    this.spectating = null;
+
     // FPS weapon (viewmodel attached to camera)
     this.fpsWeapon = null;
     this.loadFPSWeapon();
@@ -128,6 +131,10 @@ export class CameraController {
     // Listen for 'F' key to toggle camera mode
     if (this.inputManager) {
       this.inputManager.on("keydown", ({ key }) => {
+        if (this.spectating) {
+          this.onSpectatorKey(key);
+          return;
+        }
         if (key === "KeyF") {
           const newMode = this.toggleMode();
           console.log(`Camera mode switched to: ${newMode.toUpperCase()}`);
@@ -161,6 +168,11 @@ export class CameraController {
       this.pitch = MathUtils.clamp(this.pitch, this.minPitch, this.maxPitch);
     }
 
+    if (this.spectating) {
+      this.updateSpectator(deltaTime);
+      return;
+    }
+
     if (!this.target) {
       // console.warn("Camera: No target set!");
       return;
@@ -280,6 +292,113 @@ export class CameraController {
     this.camera.lookAt(lookAtTarget);
   }
 
+  // --- Spectator Camera ---
+
+  /**
+   * Watch instead of play: follow a player from behind (E / Q cycle through
+   * them) or fly freely (V; WASD, jump to rise, Left Shift to sink)
+   * @param {Function} getTargets - Returns the entities that can be followed
+   * @param {Function} onChange - Called with the followed entity, or null
+   *   when flying freely
+   */
+  startSpectating(getTargets, onChange) {
+    this.spectating = { getTargets, onChange, freeFly: false };
+    // Always third-person, without touching the player's saved preference
+    this.mode = "tps";
+    this.loadSavedSettings();
+    if (this.fpsWeapon) this.fpsWeapon.visible = false;
+    this.target = null;
+    this.cycleTarget(1);
+  }
+
+  stopSpectating() {
+    this.spectating = null;
+    this.target = null;
+    this.mode = this.loadSavedMode();
+  }
+
+  onSpectatorKey(key) {
+    if (key === "KeyE") this.cycleTarget(1);
+    else if (key === "KeyQ") this.cycleTarget(-1);
+    else if (key === "KeyV") this.toggleFreeFly();
+  }
+
+  /**
+   * Follow the next (step 1) or previous (step -1) player. With nobody to
+   * follow the camera flies freely.
+   */
+  cycleTarget(step) {
+    const spectating = this.spectating;
+    if (!spectating) return;
+
+    const targets = spectating.getTargets();
+    const index = targets.indexOf(this.target);
+    let next = null;
+    if (targets.length > 0) {
+      next =
+        index === -1
+          ? targets[0]
+          : targets[(index + step + targets.length) % targets.length];
+    }
+
+    this.target = next;
+    spectating.freeFly = next === null;
+    spectating.onChange(next);
+  }
+
+  toggleFreeFly() {
+    const spectating = this.spectating;
+    if (!spectating) return;
+
+    if (spectating.freeFly) {
+      this.cycleTarget(1);
+      return;
+    }
+    // Take off from where the follow camera is now
+    spectating.freeFly = true;
+    this.target = null;
+    spectating.onChange(null);
+  }
+
+  updateSpectator(deltaTime) {
+    const spectating = this.spectating;
+    if (spectating.freeFly) {
+      this.updateFreeFly(deltaTime);
+      return;
+    }
+
+    // Followed player is gone: move on to someone else
+    if (!spectating.getTargets().includes(this.target)) this.cycleTarget(1);
+    if (this.target) this.updateTPS();
+  }
+
+  updateFreeFly(deltaTime) {
+    const lookDirection = new THREE.Vector3(
+      -Math.sin(this.yaw) * Math.cos(this.pitch),
+      -Math.sin(this.pitch),
+      -Math.cos(this.yaw) * Math.cos(this.pitch),
+    );
+
+    if (this.inputManager) {
+      const move = this.inputManager.getMovementInput();
+      const velocity = lookDirection
+        .clone()
+        .multiplyScalar(-move.z)
+        .add(this.getRightDirection().multiplyScalar(move.x));
+      if (this.inputManager.isKeyPressed(this.inputManager.getBinding("jump")))
+        velocity.y += 1;
+      if (this.inputManager.isKeyPressed("ShiftLeft")) velocity.y -= 1;
+
+      this.camera.position.addScaledVector(
+        velocity,
+        CAMERA.SPECTATOR_FLY_SPEED * deltaTime,
+      );
+    }
+
+    this.currentPosition.copy(this.camera.position);
+    this.camera.lookAt(this.camera.position.clone().add(lookDirection));
+  }
+
   /**
    * Get the forward direction of the camera (for movement)
    */
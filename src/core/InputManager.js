@@ -1,10 +1,16 @@
 import { EventEmitter } from "../utils/EventEmitter.js";
+import { quantizeInput } from "../../shared/codec.js";
 
 /**
  * InputManager
  * Handles keyboard and mouse input
  */
 
+// Keys typed into a text field (chat, room code) are for that field
+const isTextField = (target) =>
+  target instanceof HTMLElement &&
+  target.matches("input:not([type=checkbox]), textarea");
+
 export class InputManager extends EventEmitter {
   constructor() {
     super();
@@ -24,6 +30,9 @@ export class InputManager extends EventEmitter {
     this.isPointerLocked = false;
     this.mouseSensitivity = 0.002;
 
+    // Input command sequence (acknowledged by the server for reconciliation)
+    this.inputSequence = 0;
+
     // Default key bindings
     this.bindings = {
       forward: "KeyW",
@@ -32,6 +41,10 @@ export class InputManager extends EventEmitter {
       right: "KeyD",
       jump: "Space",
       pause: "Escape", // Added pause binding
+      scoreboard: "Tab", // Held to show the scoreboard
+      chat: "Enter", // Chat to everyone in the room
+      teamChat: "KeyT", // Chat to your team
+      quickChat: "KeyC", // Held to open the quick-chat wheel
     };
 
     this.setupEventListeners();
@@ -63,9 +76,14 @@ export class InputManager extends EventEmitter {
   }
 
   onKeyDown(event) {
+    if (isTextField(event.target)) return;
+    const key = event.code;
+    // Holding Tab for the scoreboard must not move focus mid-match
+    if (key === this.bindings.scoreboard && this.isPointerLocked) {
+      event.preventDefault();
+    }
     if (event.repeat) return;
 
-    const key = event.code;
     this.keys.set(key, true);
     this.emit("keydown", { key, event });
   }
@@ -117,6 +135,14 @@ export class InputManager extends EventEmitter {
     }
   }
 
+  /**
+   * Forget held keys, e.g. when the chat box opens, so nothing keeps
+   * moving while the player types
+   */
+  releaseKeys() {
+    this.keys.clear();
+  }
+
   /**
    * Check if a key is currently pressed
    */
@@ -159,6 +185,27 @@ export class InputManager extends EventEmitter {
     return { x, z };
   }
 
+  /**
+   * Sample this frame's input as a numbered command
+   * (see shared/movement.js for the command format). Values are rounded to
+   * the network precision so prediction replays exactly what the server runs.
+   * @param {number} deltaTime - Frame time the command covers (s)
+   * @param {number} yaw - Camera yaw movement is relative to
+   * @param {boolean} movementLocked - Record no movement (countdown/round end)
+   */
+  createInputCommand(deltaTime, yaw, movementLocked = false) {
+    const move = movementLocked ? { x: 0, z: 0 } : this.getMovementInput();
+
+    return quantizeInput({
+      seq: ++this.inputSequence,
+      dt: deltaTime,
+      moveX: move.x,
+      moveZ: move.z,
+      yaw,
+      jump: this.isJumpPressed(),
+    });
+  }
+
   /**
    * Check if jump is pressed (Space)
    */
@@ -248,6 +295,10 @@ export class InputManager extends EventEmitter {
       right: "KeyD",
       jump: "Space",
       pause: "Escape",
+      scoreboard: "Tab",
+      chat: "Enter",
+      teamChat: "KeyT",
+      quickChat: "KeyC",
     };
   }
 
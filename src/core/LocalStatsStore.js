@@ -0,0 +1,62 @@
+import { emptyLifetime, addMatchResult } from "../../shared/stats.js";
+
+const DB_NAME = "dodgeball";
+const DB_VERSION = 1;
+const MATCHES = "offlineMatches";
+
+/**
+ * LocalStatsStore
+ * Offline (single-player training) matches kept in IndexedDB, so the profile
+ * screen has lifetime stats without an account or a server.
+ */
+class LocalStatsStoreClass {
+  constructor() {
+    this.db = null; // Promise of the open database
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(MATCHES, { autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * @param {Object} match - { playedAt, won, drawn, duration, stats } where stats is
+   *   the local player's StatsTracker entry
+   */
+  async recordMatch(match) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(MATCHES, "readwrite");
+      tx.objectStore(MATCHES).add(match);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Totals over every recorded offline match
+   */
+  async lifetime() {
+    const db = await this.open();
+    const matches = await new Promise((resolve, reject) => {
+      const request = db
+        .transaction(MATCHES, "readonly")
+        .objectStore(MATCHES)
+        .getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return matches.reduce(addMatchResult, emptyLifetime());
+  }
+}
+
+export const LocalStatsStore = new LocalStatsStoreClass();
@@ -1,4 +1,10 @@
 import { io } from "socket.io-client";
+import {
+  PROTOCOLS,
+  SnapshotDecoder,
+  encodeInputs,
+} from "../../shared/codec.js";
+import { NETWORK } from "../../shared/constants.js";
 
 /**
  * NetworkManager
@@ -9,6 +15,14 @@ class NetworkManagerClass {
     this.socket = null;
     this.isConnected = false;
 
+    // Stable player ID from the server; survives reconnects, unlike socket.id
+    this.playerId = null;
+    // Session token proving we own playerId (per tab, so a reload resumes)
+    this.sessionToken = sessionStorage.getItem("dodgeball_session");
+    // Login token for a registered account (kept across visits); null = guest
+    this.accountToken = localStorage.getItem("dodgeball_account");
+    this.account = null; // Our profile while logged in
+
     // Server URL
     this.serverUrl =
       import.meta.env.VITE_SERVER_URL ||
@@ -19,23 +33,59 @@ class NetworkManagerClass {
       onConnect: [],
       onDisconnect: [],
       onPlayerJoined: [],
-      onPlayerMoved: [],
       onPlayerDisconnected: [],
       onCurrentPlayers: [],
       onMissileUpdate: [],
       onMissileDeflected: [],
       onPlayerRole: [],
+      onHostChanged: [],
+      onMatchFound: [],
+      onMatchCancelled: [],
       onGameStarted: [],
+      onLobbyCountdown: [],
       onPlayerTeamChanged: [],
       onRoomSettingsUpdated: [],
-      // Host-authoritative events
+      // Server-authoritative events
       onRoundState: [],
       onPlayerHit: [],
-      onDeflectAttempt: [],
+      onSnapshot: [],
+      onMatchResult: [],
+      // Reconnects
+      onSessionResumed: [],
+      onMatchPaused: [],
+      // Accounts
+      onAccountChanged: [],
+      // Spectating
+      onSpectatorsUpdated: [],
+      onRoomClosed: [],
+      // Chat
+      onChatMessage: [],
+      // Anti-cheat
+      onKicked: [],
     };
 
     this.connectedPlayers = {};
     this.isHost = false;
+    this.isSpectator = false; // Watching the room rather than playing in it
+    this.pings = {}; // playerId -> round trip ms, for everyone in our room
+
+    // Estimated (server clock - local clock), from snapshot timestamps
+    this.clockOffset = null;
+
+    // Wire format for snapshots/inputs: binary unless ?net=json (debugging)
+    const params = new URLSearchParams(window.location.search);
+    const requested = params.get("net") || import.meta.env.VITE_NET_PROTOCOL;
+    this.protocol =
+      requested === PROTOCOLS.JSON ? PROTOCOLS.JSON : PROTOCOLS.BINARY;
+    this.snapshotDecoder = new SnapshotDecoder();
+    this.lastSentAck = null;
+
+    // Outgoing messages wait here and go out together once per network tick,
+    // so send rate doesn't follow the monitor's refresh rate
+    this.tickRate = NETWORK.DEFAULT_TICK_RATE;
+    this.tickInterval = null;
+    this.pendingInputs = [];
+    this.outbox = [];
   }
 
   /**
@@ -43,23 +93,72 @@ class NetworkManagerClass {
    */
   connect() {
     console.log(`Connecting to server at ${this.serverUrl}...`);
-    this.socket = io(this.serverUrl);
+    this.socket = io(this.serverUrl, {
+      query: { protocol: this.protocol },
+      // Read on every (re)connect attempt so we always offer the latest token
+      auth: (cb) =>
+        cb({ token: this.sessionToken, account: this.accountToken }),
+    });
 
     this.socket.on("connect", () => {
-      console.log(`Connected to server! ID: ${this.socket.id}`);
+      console.log(`Connected to server! Socket: ${this.socket.id}`);
+    });
+
+    // Sent right after connecting: either a fresh session or our old one
+    this.socket.on("session", ({ token, playerId, account }) => {
+      this.sessionToken = token;
+      sessionStorage.setItem("dodgeball_session", token);
+      this.playerId = playerId;
+      // Login expired or revoked elsewhere: carry on as a guest
+      if (!account && this.accountToken) this.storeAccountToken(null);
+      this.account = account;
       this.isConnected = true;
       this.connectedPlayers = {};
-      this.trigger("onConnect", this.socket.id);
+      this.startTick();
+      console.log(`Session ready! Player ID: ${playerId}`);
+      this.trigger("onConnect", playerId);
+      this.trigger("onAccountChanged", account);
+    });
+
+    // Our held slot in a room (and its match, if running) was given back
+    this.socket.on("session_resumed", (data) => {
+      this.connectedPlayers = data.players;
+      this.isHost = data.isHost;
+      this.trigger("onSessionResumed", data);
     });
 
     this.socket.on("disconnect", () => {
       console.log("Disconnected from server");
       this.isConnected = false;
       this.isHost = false;
+      this.isSpectator = false;
+      this.clockOffset = null;
+      this.snapshotDecoder.reset();
+      this.lastSentAck = null;
+      this.stopTick();
       this.connectedPlayers = {};
+      this.pings = {};
       this.trigger("onDisconnect");
     });
 
+    // Round-trip measurement: the server times how long the ack takes
+    this.socket.on("latency_check", (sentAt, ack) => {
+      if (typeof ack === "function") ack();
+    });
+
+    this.socket.on("player_pings", (pings) => {
+      this.pings = pings || {};
+    });
+
+    // Everything the server sent during one of its network ticks
+    this.socket.on(NETWORK.BATCH_EVENT, (messages) => {
+      if (!Array.isArray(messages)) return;
+      messages.forEach(([event, data]) => {
+        if (event === NETWORK.BATCH_EVENT) return;
+        this.socket.listeners(event).forEach((listener) => listener(data));
+      });
+    });
+
     // --- Room/Lobby Events ---
     this.socket.on("current_players", (players) => {
       this.connectedPlayers = players;
@@ -71,10 +170,6 @@ class NetworkManagerClass {
       this.trigger("onPlayerJoined", player);
     });
 
-    this.socket.on("player_moved", (player) =>
-      this.trigger("onPlayerMoved", player),
-    );
-
     this.socket.on("player_team_changed", (player) => {
       if (!this.connectedPlayers[player.id]) {
         this.connectedPlayers[player.id] = player;
@@ -95,6 +190,28 @@ class NetworkManagerClass {
       this.trigger("onPlayerRole", data);
     });
 
+    // Host left or dropped; the server picked someone else
+    this.socket.on("host_changed", ({ hostId }) => {
+      this.isHost = hostId === this.playerId;
+      Object.values(this.connectedPlayers).forEach((p) => {
+        p.isHost = p.id === hostId;
+      });
+      this.trigger("onHostChanged", hostId);
+    });
+
+    // Matchmaking put us in a room ({ roomId, mode, teamSize, players, startsIn })
+    this.socket.on("match_found", (data) => {
+      this.connectedPlayers = data.players;
+      this.trigger("onMatchFound", data);
+    });
+
+    // Someone left before it started: we're back in the queue
+    // ({ reason, ...queue status })
+    this.socket.on("match_cancelled", (data) => {
+      this.connectedPlayers = {};
+      this.trigger("onMatchCancelled", data);
+    });
+
     // --- Game Events ---
     this.socket.on("game_started", (data) =>
       this.trigger("onGameStarted", data),
@@ -104,25 +221,180 @@ class NetworkManagerClass {
       this.trigger("onRoomSettingsUpdated", data),
     );
 
-    // --- Host-Authoritative Events ---
-    this.socket.on("missile_update", (data) =>
-      this.trigger("onMissileUpdate", data),
+    // Everyone is ready: { startsIn } ms until the match, or null if cancelled
+    this.socket.on("lobby_countdown", (data) =>
+      this.trigger("onLobbyCountdown", data),
+    );
+
+    // Who is watching the room: [{ id, name }]
+    this.socket.on("spectators_updated", (spectators) =>
+      this.trigger("onSpectatorsUpdated", spectators),
     );
 
+    // { from, name, team, channel, text, quick, ping } for the room or our team
+    this.socket.on("chat_message", (message) =>
+      this.trigger("onChatMessage", message),
+    );
+
+    // Too many refused requests; the server disconnects us right after
+    this.socket.on("kicked", (data) => this.trigger("onKicked", data));
+
+    // Every player left; spectators have nothing left to watch
+    this.socket.on("room_closed", () => {
+      this.isSpectator = false;
+      this.connectedPlayers = {};
+      this.trigger("onRoomClosed");
+    });
+
+    // --- Server-Authoritative Events ---
+    this.socket.on("missile_update", (data) => {
+      this.syncClock(data.time);
+      this.trigger("onMissileUpdate", data);
+    });
+
     this.socket.on("missile_deflected", (data) =>
       this.trigger("onMissileDeflected", data),
     );
 
-    // Round lifecycle from host (countdown, playing, round_end with scores)
+    // Round lifecycle from the server (missile_spawn, round_end with scores)
     this.socket.on("round_state", (data) => this.trigger("onRoundState", data));
 
-    // Player hit from host (target ID, damage)
+    // Player hit from the server (target ID, damage)
     this.socket.on("player_hit", (data) => this.trigger("onPlayerHit", data));
 
-    // Deflect attempt from client (only received by host)
-    this.socket.on("deflect_attempt", (data) =>
-      this.trigger("onDeflectAttempt", data),
+    // Final result ({ winner, scores, mode, ratings }); ratings is
+    // playerId -> { before, after, delta, tier } for ranked matches, else null
+    this.socket.on("match_result", (data) => {
+      const change = data.ratings && data.ratings[this.playerId];
+      if (this.account && change) {
+        this.account = {
+          ...this.account,
+          elo: change.after,
+          tier: change.tier,
+        };
+        this.trigger("onAccountChanged", this.account);
+      }
+      this.trigger("onMatchResult", data);
+    });
+
+    // Match frozen while a dropped player's slot is held ({ paused, waitingFor })
+    this.socket.on("match_paused", (data) =>
+      this.trigger("onMatchPaused", data),
     );
+
+    // Authoritative player states, each with the last input seq it processed
+    this.socket.on("snapshot", (data) => {
+      // Binary snapshots may be deltas; undecodable ones are dropped and
+      // the server falls back to a full snapshot once we stop acking
+      const snapshot =
+        data instanceof ArrayBuffer ? this.snapshotDecoder.decode(data) : data;
+      if (!snapshot) return;
+
+      this.syncClock(snapshot.time);
+      this.trigger("onSnapshot", snapshot);
+    });
+  }
+
+  /**
+   * Track the server clock from a timestamp that just arrived. Transit time
+   * is folded into the offset, so getServerTime() trails the real server
+   * clock by about one-way latency — the same clock snapshots arrive on.
+   */
+  syncClock(serverTime) {
+    if (!Number.isFinite(serverTime)) return;
+
+    const sample = serverTime - Date.now();
+    if (
+      this.clockOffset === null ||
+      Math.abs(sample - this.clockOffset) > 1000
+    ) {
+      this.clockOffset = sample;
+    } else {
+      // Smooth out jitter
+      this.clockOffset += (sample - this.clockOffset) * 0.1;
+    }
+  }
+
+  /**
+   * Current server time (ms) as seen by this client
+   */
+  getServerTime() {
+    return Date.now() + (this.clockOffset || 0);
+  }
+
+  // --- Network Tick ---
+
+  /**
+   * Change how often queued messages are flushed to the server
+   * @param {number} hz - One of NETWORK.TICK_RATES
+   */
+  setTickRate(hz) {
+    if (!NETWORK.TICK_RATES.includes(hz)) return;
+    this.tickRate = hz;
+    if (this.tickInterval) this.startTick();
+  }
+
+  startTick() {
+    this.stopTick();
+    this.tickInterval = setInterval(() => this.flush(), 1000 / this.tickRate);
+  }
+
+  stopTick() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+    this.pendingInputs = [];
+    this.outbox = [];
+  }
+
+  /**
+   * Queue a message for the next network tick
+   */
+  queue(event, data) {
+    if (!this.socket || !this.isConnected) return;
+    this.outbox.push([event, data]);
+  }
+
+  /**
+   * Queue input commands for the next network tick
+   * @param {Array} inputs - Commands from Player.takeUnsentInputs()
+   */
+  queueInputs(inputs) {
+    if (!this.socket || !this.isConnected) return;
+    this.pendingInputs.push(...inputs);
+  }
+
+  /**
+   * Send everything queued since the last tick: one message as is, several
+   * as a single batch. Inputs go first (along with the newest snapshot we
+   * decoded, the server's next delta base) so a deflect attempt never
+   * arrives ahead of the input command it refers to.
+   */
+  flush() {
+    if (!this.socket || !this.isConnected) return;
+
+    const messages = [];
+    const inputs = this.pendingInputs;
+    const ack = this.snapshotDecoder.latestId;
+    if (inputs.length > 0 || ack !== this.lastSentAck) {
+      this.lastSentAck = ack;
+      messages.push([
+        "player_input",
+        this.protocol === PROTOCOLS.JSON
+          ? { inputs }
+          : encodeInputs(inputs, ack),
+      ]);
+    }
+    messages.push(...this.outbox);
+    this.pendingInputs = [];
+    this.outbox = [];
+
+    if (messages.length === 1) {
+      this.socket.emit(...messages[0]);
+    } else if (messages.length > 1) {
+      this.socket.emit(NETWORK.BATCH_EVENT, messages);
+    }
   }
 
   // --- Send Methods ---
@@ -144,56 +416,44 @@ class NetworkManagerClass {
     });
   }
 
-  sendMovement(position, rotation) {
-    if (!this.socket || !this.isConnected) return;
-    this.socket.emit("player_move", {
-      x: position.x,
-      y: position.y,
-      z: position.z,
-      rotation: rotation,
+  setReady(ready) {
+    return new Promise((resolve) => {
+      if (!this.socket || !this.isConnected) {
+        resolve({ success: false, error: "Not connected" });
+        return;
+      }
+      this.socket.emit("set_ready", ready, resolve);
     });
   }
 
-  sendPlayerData(data) {
-    if (!this.socket || !this.isConnected) return;
-    this.socket.emit("update_player_data", data);
-  }
-
-  sendMissileUpdate(data) {
-    if (!this.socket || !this.isConnected) return;
-    this.socket.emit("missile_update", data);
-  }
-
-  sendMissileDeflect(data) {
-    if (!this.socket || !this.isConnected) return;
-    this.socket.emit("missile_deflected", data);
-  }
-
   /**
-   * Host broadcasts round state to all clients
-   * @param {Object} data - { type: 'countdown'|'playing'|'round_end', ... }
+   * @param {Object} request - { channel, text } or { channel, quick }
+   * @returns {Promise<Object>} { success } or { success, error } when the
+   *   server refused it (too long, too fast, ...)
    */
-  sendRoundState(data) {
-    if (!this.socket || !this.isConnected) return;
-    this.socket.emit("round_state", data);
+  sendChat(request) {
+    return new Promise((resolve) => {
+      if (!this.socket || !this.isConnected) {
+        resolve({ success: false, error: "Not connected" });
+        return;
+      }
+      this.socket.emit("chat_message", request, resolve);
+    });
   }
 
-  /**
-   * Host broadcasts that a player was hit
-   * @param {Object} data - { targetId, damage }
-   */
-  sendPlayerHit(data) {
+  sendPlayerData(data) {
     if (!this.socket || !this.isConnected) return;
-    this.socket.emit("player_hit", data);
+    this.socket.emit("update_player_data", data);
   }
 
   /**
-   * Client sends deflect attempt to host for evaluation
-   * @param {Object} data - { position, facingDirection }
+   * Client sends deflect attempt to the server for evaluation
+   * @param {Object} data - { facingDirection, time, seq }
+   *   time: server time the missile was rendered at (for rewinding)
+   *   seq: input command of the frame the key was pressed
    */
   sendDeflectAttempt(data) {
-    if (!this.socket || !this.isConnected) return;
-    this.socket.emit("deflect_attempt", data);
+    this.queue("deflect_attempt", data);
   }
 
   updateRoomSettings(settings) {
@@ -216,24 +476,225 @@ class NetworkManagerClass {
     });
   }
 
-  joinRoom(roomId) {
+  /**
+   * Public rooms for the room browser
+   * @returns {Promise<Object>} { success, rooms } or { success, error }
+   */
+  listRooms() {
+    return new Promise((resolve) => {
+      if (!this.socket || !this.isConnected) {
+        resolve({ success: false, error: "Not connected" });
+        return;
+      }
+      this.socket.emit("list_rooms", resolve);
+    });
+  }
+
+  joinRoom(roomId, password = null) {
+    return new Promise((resolve) => {
+      if (!this.socket || !this.isConnected) {
+        resolve({ success: false, error: "Not connected" });
+        return;
+      }
+      this.socket.emit("join_room", { roomId, password }, (response) => {
+        if (response.success) {
+          this.isHost = false;
+        }
+        resolve(response);
+      });
+    });
+  }
+
+  /**
+   * Watch a room without taking a slot, even mid-match
+   * @returns {Promise<Object>} { success, room, players, entities, match }
+   *   where match is the running match's full state (or null in the lobby)
+   */
+  spectateRoom(roomId, password = null) {
     return new Promise((resolve) => {
       if (!this.socket || !this.isConnected) {
         resolve({ success: false, error: "Not connected" });
         return;
       }
-      this.socket.emit("join_room", roomId, (response) => {
+      this.socket.emit("spectate_room", { roomId, password }, (response) => {
         if (response.success) {
           this.isHost = false;
+          this.isSpectator = true;
+          this.connectedPlayers = response.players;
         }
         resolve(response);
       });
     });
   }
 
+  /**
+   * Give up our room slot right away (otherwise it is held after a drop)
+   */
+  leaveRoom() {
+    return new Promise((resolve) => {
+      if (!this.socket || !this.isConnected) {
+        resolve({ success: false, error: "Not connected" });
+        return;
+      }
+      this.socket.emit("leave_room", (response) => {
+        this.isHost = false;
+        this.isSpectator = false;
+        this.connectedPlayers = {};
+        resolve(response);
+      });
+    });
+  }
+
+  // --- Matchmaking API ---
+
+  /**
+   * Call the REST API as our session (the server pushes "match found"
+   * to the socket that owns it)
+   * @returns {Promise<Object>} response body plus success / error
+   */
+  async request(method, path, body = null, token = this.sessionToken) {
+    if (!this.isConnected) return { success: false, error: "Not connected" };
+
+    try {
+      const response = await fetch(`${this.serverUrl}${path}`, {
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = response.status === 204 ? {} : await response.json();
+      return response.ok
+        ? { success: true, ...data }
+        : { success: false, error: data.error || response.statusText };
+    } catch (err) {
+      return { success: false, error: "Server unreachable" };
+    }
+  }
+
+  /**
+   * @param {string} mode - MATCHMAKING.MODES value
+   * @param {number} teamSize - Players per team
+   */
+  joinQueue(mode, teamSize) {
+    return this.request("POST", "/api/matchmaking/queue", { mode, teamSize });
+  }
+
+  leaveQueue(ticketId) {
+    return this.request("DELETE", `/api/matchmaking/queue/${ticketId}`);
+  }
+
+  getQueueStatus() {
+    return this.request("GET", "/api/matchmaking/status");
+  }
+
+  /**
+   * A page of finished matches, newest first
+   * @param {number} [before] - playedAt of the oldest match already shown
+   */
+  getMatchHistory(playerId, before = null) {
+    const query = before ? `?before=${before}` : "";
+    return this.request("GET", `/api/match/history/${playerId}${query}`);
+  }
+
+  /**
+   * @param {Object} [query] - { offset, search, around }
+   */
+  getLeaderboard(query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== "") {
+        params.set(key, value);
+      }
+    });
+    const suffix = params.toString() ? `?${params}` : "";
+    return this.request("GET", `/api/leaderboard${suffix}`);
+  }
+
+  // --- Accounts ---
+
+  async register(username, password) {
+    const result = await this.request("POST", "/api/player/register", {
+      username,
+      password,
+    });
+    if (result.success) this.switchAccount(result.token);
+    return result;
+  }
+
+  async login(username, password) {
+    const result = await this.request("POST", "/api/player/login", {
+      username,
+      password,
+    });
+    if (result.success) this.switchAccount(result.token);
+    return result;
+  }
+
+  async logout() {
+    if (!this.accountToken) return;
+    await this.request("POST", "/api/player/logout", null, this.accountToken);
+    this.switchAccount(null);
+  }
+
+  getPlayer(id) {
+    return this.request("GET", `/api/player/${id}`);
+  }
+
+  getPlayerRank(id) {
+    return this.request("GET", `/api/player/${id}/rank`);
+  }
+
+  /**
+   * @param {Object} changes - { nickname }
+   */
+  async updateProfile(changes) {
+    if (!this.account) return { success: false, error: "Not logged in" };
+    const result = await this.request(
+      "PUT",
+      `/api/player/${this.account.id}`,
+      changes,
+      this.accountToken,
+    );
+    if (result.success) {
+      const { success, ...profile } = result;
+      this.account = profile;
+      this.trigger("onAccountChanged", profile);
+    }
+    return result;
+  }
+
+  storeAccountToken(token) {
+    this.accountToken = token;
+    if (token) localStorage.setItem("dodgeball_account", token);
+    else localStorage.removeItem("dodgeball_account");
+  }
+
+  /**
+   * Play as another account (or a guest, for null). Our player ID changes
+   * with it, so reconnect and let the server hand us the new session.
+   */
+  switchAccount(token) {
+    this.storeAccountToken(token);
+    if (!this.socket) return;
+    this.socket.disconnect();
+    this.socket.connect();
+  }
+
+  /**
+   * Host only; the server refuses while teams are empty, over size or not
+   * everyone is ready
+   * @returns {Promise<Object>} { success } or { success, error }
+   */
   startGame() {
-    if (!this.socket || !this.isConnected || !this.isHost) return;
-    this.socket.emit("start_game");
+    return new Promise((resolve) => {
+      if (!this.socket || !this.isConnected || !this.isHost) {
+        resolve({ success: false, error: "Only the host can start the match" });
+        return;
+      }
+      this.socket.emit("start_game", resolve);
+    });
   }
 
   on(event, callback) {
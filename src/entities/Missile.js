@@ -1,8 +1,15 @@
 import * as THREE from 'three';
 import { Entity } from './Entity.js';
-import { MISSILE, COLORS, DEFLECTION, ARENA } from '../utils/Constants.js';
+import { MISSILE, COLORS, DEFLECTION } from '../utils/Constants.js';
 import { MathUtils } from '../utils/MathUtils.js';
 import { AssetManager } from '../core/AssetManager.js';
+import {
+  missileSpeed,
+  missileDamage,
+  missileAimPoint,
+  steerMissile,
+  constrainMissile,
+} from '../../shared/rules.js';
 
 /**
  * Missile
@@ -13,6 +20,10 @@ export class Missile extends Entity {
   constructor() {
     super();
 
+    // Speed and damage curve (MISSILE, or a room's rules via setRules)
+    this.rules = MISSILE;
+    this.speedBonus = 0; // Overtime speed-up on top of the curve
+
     // Movement
     this.speed = MISSILE.BASE_SPEED;
     this.turnRate = MISSILE.TURN_RATE;
@@ -104,25 +115,17 @@ export class Missile extends Entity {
       this.deflectGraceTimer -= deltaTime * 1000;
     }
 
-    // Update target position
+    // Update target position (aim at center mass)
     if (this.target.getPosition) {
-      this.targetPosition.copy(this.target.getPosition());
-      // Aim at center mass
-      this.targetPosition.y = this.target.position.y + 0.9;
+      this.targetPosition.copy(missileAimPoint(this.target.getPosition()));
     }
 
-    const toTarget = new THREE.Vector3().subVectors(this.targetPosition, this.position);
-    const distanceToTarget = toTarget.length();
-    toTarget.normalize();
-
-    // Target velocity always points toward target
-    const targetVelocity = toTarget.clone().multiplyScalar(this.speed);
-
-    const tickRate = 66;
-    const frameTurnRate = 1 - Math.pow(1 - this.turnRate, deltaTime * tickRate);
+    const distanceToTarget = this.position.distanceTo(this.targetPosition);
 
-    // Lerp velocity toward target (drag impulses will be gradually corrected)
-    this.velocity.lerp(targetVelocity, frameTurnRate);
+    // Steer toward target (drag impulses will be gradually corrected)
+    this.velocity.copy(
+      steerMissile(this.velocity, this.position, this.targetPosition, this.speed, deltaTime, this.turnRate)
+    );
 
     // Update direction for visual orientation
     this.direction.copy(this.velocity).normalize();
@@ -146,38 +149,34 @@ export class Missile extends Entity {
     return distanceToTarget;
   }
 
+  /**
+   * Move to an interpolated server state (multiplayer) instead of simulating
+   * @param {Object} state - { x, y, z, vx, vy, vz } from a SnapshotBuffer
+   */
+  applyNetworkState(state, deltaTime) {
+    this.previousPosition.copy(this.position);
+    this.position.set(state.x, state.y, state.z);
+    this.velocity.set(state.vx, state.vy, state.vz);
+
+    if (this.velocity.lengthSq() > 0) {
+      this.direction.copy(this.velocity).normalize();
+    }
+
+    if (this.mesh) {
+      this.mesh.position.copy(this.position);
+      this.mesh.lookAt(this.position.clone().add(this.direction));
+    }
+
+    this.updateParticles(deltaTime);
+  }
+
   /**
    * Constrain missile position to environment bounds (floor, arena boundary, walls)
    * Removes velocity component pushing into the surface so the missile slides along it.
    */
   constrainToEnvironment(arena) {
-    // Floor constraint
     const groundHeight = arena && arena.getFloorHeight ? arena.getFloorHeight(this.position.x, this.position.z) : 0;
-    const minY = groundHeight + MISSILE.RADIUS;
-    
-    if (this.position.y < minY) {
-      this.position.y = minY;
-      if (this.velocity.y < 0) {
-        this.velocity.y = 0;
-      }
-    }
-
-    // Arena circular boundary
-    const maxDist = ARENA.RADIUS - MISSILE.RADIUS;
-    const distXZ = Math.sqrt(this.position.x * this.position.x + this.position.z * this.position.z);
-    if (distXZ > maxDist) {
-      // Push position back to boundary
-      const scale = maxDist / distXZ;
-      this.position.x *= scale;
-      this.position.z *= scale;
-
-      // Remove outward radial velocity component (slide along wall)
-      const normal = new THREE.Vector3(this.position.x, 0, this.position.z).normalize();
-      const dot = this.velocity.dot(normal);
-      if (dot > 0) {
-        this.velocity.addScaledVector(normal, -dot);
-      }
-    }
+    constrainMissile(this.position, this.velocity, groundHeight);
   }
 
   updateParticles(deltaTime) {
@@ -248,16 +247,10 @@ export class Missile extends Entity {
   deflect(newTarget) {
     this.deflectionCount++;
 
-    // Additive increments based on deflection count
-    this.speed = MISSILE.BASE_SPEED + (MISSILE.SPEED_INCREMENT * this.deflectionCount);
-    if (MISSILE.MAX_SPEED > 0) {
-      this.speed = Math.min(this.speed, MISSILE.MAX_SPEED);
-    }
-
-    this.turnRate = MISSILE.TURN_RATE
-
-    // Damage: base + (increment * deflections)
-    this.damage = MISSILE.BASE_DAMAGE + (MISSILE.DAMAGE_INCREMENT * this.deflectionCount);
+    // Speed and damage scale with deflection count
+    this.speed = missileSpeed(this.deflectionCount, this.rules) + this.speedBonus;
+    this.turnRate = MISSILE.TURN_RATE;
+    this.damage = missileDamage(this.deflectionCount, this.rules);
 
     // Set new target
     this.setTarget(newTarget);
@@ -269,7 +262,7 @@ export class Missile extends Entity {
     this.direction.copy(this.velocity).normalize();
 
     // Start grace period (prevents immediate collision with new target)
-    this.deflectGraceTimer = 150; // 150ms grace period
+    this.deflectGraceTimer = MISSILE.DEFLECT_GRACE;
 
     // Emit event
     this.emit('deflect', {
@@ -365,13 +358,30 @@ export class Missile extends Entity {
     return distance < collisionDistance;
   }
 
+  /**
+   * Use a room's speed and damage curve from the next reset on
+   * @param {Object} rules - MISSILE-shaped, see missileRules()
+   */
+  setRules(rules) {
+    this.rules = rules;
+  }
+
+  /**
+   * Overtime speed-up; it outlasts resets until set back to 0
+   */
+  setSpeedBonus(bonus) {
+    if (bonus === this.speedBonus) return;
+    this.speed += bonus - this.speedBonus;
+    this.speedBonus = bonus;
+  }
+
   /**
    * Reset missile for new round
    */
   reset() {
-    this.speed = MISSILE.BASE_SPEED;
+    this.speed = this.rules.BASE_SPEED + this.speedBonus;
     this.turnRate = MISSILE.TURN_RATE;
-    this.damage = MISSILE.BASE_DAMAGE;
+    this.damage = this.rules.BASE_DAMAGE;
     this.deflectionCount = 0;
     this.target = null;
     this.velocity.set(0, 0, 1);
@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+import { CHAT, COLORS } from '../utils/Constants.js';
+
+/**
+ * PingMarker
+ * Quick-chat ping: a light beam with a pulsing ring on the ground where the
+ * sender stood, fading out over CHAT.PING_DURATION
+ */
+
+const BEAM_HEIGHT = 6;
+const BEAM_RADIUS = 0.08;
+const RING_RADIUS = 0.8;
+const PULSE_SPEED = 4; // Ring pulses per second
+const FADE_TIME = 0.5; // Seconds of fade-out at the end
+
+export class PingMarker {
+  constructor(position, team) {
+    this.group = new THREE.Group();
+    this.group.position.set(position.x, position.y, position.z);
+
+    this.duration = CHAT.PING_DURATION / 1000;
+    this.elapsed = 0;
+    this.done = false;
+
+    const color = team === 'RED' ? COLORS.RED : COLORS.BLUE;
+
+    this.beamMaterial = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.6,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    });
+    const beam = new THREE.Mesh(
+      new THREE.CylinderGeometry(BEAM_RADIUS, BEAM_RADIUS, BEAM_HEIGHT, 8),
+      this.beamMaterial
+    );
+    beam.position.y = BEAM_HEIGHT / 2;
+    this.group.add(beam);
+
+    this.ringMaterial = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.8,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    });
+    this.ring = new THREE.Mesh(
+      new THREE.RingGeometry(RING_RADIUS * 0.8, RING_RADIUS, 32),
+      this.ringMaterial
+    );
+    // Lie flat, just above the floor
+    this.ring.rotation.x = -Math.PI / 2;
+    this.ring.position.y = 0.05;
+    this.group.add(this.ring);
+  }
+
+  update(deltaTime) {
+    if (this.done) return;
+
+    this.elapsed += deltaTime;
+    if (this.elapsed >= this.duration) {
+      this.done = true;
+      return;
+    }
+
+    const pulse = (this.elapsed * PULSE_SPEED) % 1;
+    this.ring.scale.setScalar(1 + pulse);
+
+    const remaining = this.duration - this.elapsed;
+    const fade = Math.min(1, remaining / FADE_TIME);
+    this.beamMaterial.opacity = 0.6 * fade;
+    this.ringMaterial.opacity = 0.8 * (1 - pulse) * fade;
+  }
+
+  getMesh() {
+    return this.group;
+  }
+
+  isDone() {
+    return this.done;
+  }
+
+  dispose() {
+    this.group.children.forEach((child) => child.geometry.dispose());
+    this.beamMaterial.dispose();
+    this.ringMaterial.dispose();
+  }
+}
@@ -8,12 +8,19 @@ import {
   EVENTS,
 } from "../utils/Constants.js";
 import { MathUtils } from "../utils/MathUtils.js";
+import { isInDeflectCone, deflectOrigin } from "../../shared/rules.js";
+import { applyMovementCommand } from "../../shared/movement.js";
 import { globalEvents } from "../utils/EventEmitter.js";
 import { AssetManager } from "../core/AssetManager.js";
 
+const MAX_PENDING_INPUTS = 240; // ~4s of unacknowledged input at 60 FPS
+
 /**
  * Player
- * Controllable player character with jump ability
+ * Controllable player character with jump ability.
+ *
+ * In multiplayer, movement is predicted locally from numbered input commands
+ * and reconciled against the server's authoritative position.
  */
 
 export class Player extends Entity {
@@ -39,6 +46,7 @@ export class Player extends Entity {
     // Deflection
     this.canDeflect = true;
     this.deflectCooldown = 0;
+    this.deflectCooldownTime = DEFLECTION.COOLDOWN;
     this.deflectRange = DEFLECTION.RANGE;
     this.deflectConeAngle = DEFLECTION.CONE_ANGLE;
 
@@ -55,6 +63,11 @@ export class Player extends Entity {
     // Missile reference for drag mechanic
     this.missile = null;
 
+    // Client-side prediction (multiplayer only)
+    this.isNetworked = false;
+    this.pendingInputs = []; // Sent but not yet acknowledged by the server
+    this.unsentInputs = []; // Recorded since the last network send
+
     // Visual elements
     this.weaponMesh = null;
 
@@ -154,7 +167,7 @@ export class Player extends Entity {
     if (!this.isActive || !this.isAlive) return;
 
     // Handle movement input
-    this.handleMovement(deltaTime, arena);
+    const command = this.handleMovement(deltaTime);
 
     // Handle rotation (always face camera direction)
     this.handleRotation();
@@ -162,6 +175,8 @@ export class Player extends Entity {
     // Handle jump
     this.handleJump(deltaTime, arena);
 
+    this.recordInput(command);
+
     // Update deflect cooldown
     if (!this.canDeflect) {
       this.deflectCooldown -= deltaTime * 1000;
@@ -178,7 +193,7 @@ export class Player extends Entity {
     if (isDeflectPressed && !this.wasDeflectPressed && this.canDeflect) {
       this.isDeflecting = true;
       this.canDeflect = false;
-      this.deflectCooldown = DEFLECTION.COOLDOWN;
+      this.deflectCooldown = this.deflectCooldownTime;
 
       // Emit pulse event for sound effect
       globalEvents.emit(EVENTS.PLAYER_DEFLECT, { player: this });
@@ -205,41 +220,81 @@ export class Player extends Entity {
     }
   }
 
-  handleMovement(deltaTime, arena) {
-    const input = this.inputManager.getMovementInput();
+  handleMovement(deltaTime) {
+    const yaw = this.cameraController ? this.cameraController.getYaw() : 0;
+    const command = this.inputManager.createInputCommand(
+      deltaTime,
+      yaw,
+      this.isMovementLocked,
+    );
 
-    if (input.x !== 0 || input.z !== 0) {
-      // Get camera directions for movement
-      let forward, right;
+    // Same step the server runs (also keeps us inside the circular arena)
+    applyMovementCommand(this.position, command, this.moveSpeed);
 
-      if (this.cameraController) {
-        forward = this.cameraController.getForwardDirection();
-        right = this.cameraController.getRightDirection();
-      } else {
-        // Fallback if no camera
-        forward = new THREE.Vector3(0, 0, -1);
-        right = new THREE.Vector3(1, 0, 0);
-      }
+    return command;
+  }
 
-      // Calculate movement direction relative to camera
-      const moveDirection = new THREE.Vector3();
-      moveDirection.addScaledVector(forward, -input.z); // W/S
-      moveDirection.addScaledVector(right, input.x); // A/D
+  /**
+   * Health and deflect tuning from the room's match rules
+   */
+  applyMatchRules(rules) {
+    this.maxHealth = rules.playerHealth;
+    this.health = this.maxHealth;
+    this.deflectRange = rules.deflectRange;
+    this.deflectCooldownTime = rules.deflectCooldown;
+  }
 
-      if (moveDirection.length() > 0) {
-        moveDirection.normalize();
+  /**
+   * Enable input recording for server reconciliation
+   */
+  setNetworked(isNetworked) {
+    this.isNetworked = isNetworked;
+    this.pendingInputs = [];
+    this.unsentInputs = [];
+  }
 
-        // Apply movement if not locked
-        if (!this.isMovementLocked) {
-          this.position.x += moveDirection.x * this.moveSpeed * deltaTime;
-          this.position.z += moveDirection.z * this.moveSpeed * deltaTime;
-        }
-      }
+  /**
+   * Buffer a processed command until the server acknowledges it
+   */
+  recordInput(command) {
+    if (!this.isNetworked) return;
 
-      // Constrain to circular arena bounds
-      if (arena && arena.constrainToBounds) {
-        arena.constrainToBounds(this.position, PLAYER.RADIUS);
-      }
+    this.pendingInputs.push(command);
+    this.unsentInputs.push(command);
+
+    if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+      this.pendingInputs.shift();
+    }
+  }
+
+  /**
+   * Commands recorded since the last call (for NetworkManager.sendInputs)
+   */
+  takeUnsentInputs() {
+    const inputs = this.unsentInputs;
+    this.unsentInputs = [];
+    return inputs;
+  }
+
+  /**
+   * Rewind to the server's authoritative position and replay every input
+   * it hasn't processed yet
+   * @param {Object} state - { x, z, seq } from a server snapshot
+   */
+  reconcile(state) {
+    if (!this.isNetworked || !this.isAlive) return;
+
+    this.pendingInputs = this.pendingInputs.filter((c) => c.seq > state.seq);
+
+    const corrected = { x: state.x, z: state.z };
+    this.pendingInputs.forEach((command) =>
+      applyMovementCommand(corrected, command, this.moveSpeed),
+    );
+
+    this.position.x = corrected.x;
+    this.position.z = corrected.z;
+    if (this.mesh) {
+      this.mesh.position.copy(this.position);
     }
   }
 
@@ -333,13 +388,9 @@ export class Player extends Entity {
 
     const missilePosition = missile.getPosition();
 
-    // Check if missile is in deflect cone (use approx eye position for better feel)
-    const eyePos = this.position.clone();
-    eyePos.y += PLAYER.HEIGHT * 0.75;
-
-    const toPoint = new THREE.Vector3().subVectors(missilePosition, eyePos);
-    const inCone = MathUtils.isInCone(
-      eyePos,
+    // Check if missile is in deflect cone (from approx eye position for better feel)
+    const inCone = isInDeflectCone(
+      this.position,
       this.facingDirection,
       missilePosition,
       this.deflectConeAngle,
@@ -356,7 +407,7 @@ export class Player extends Entity {
         "Angle:",
         this.deflectConeAngle,
         "Dist:",
-        toPoint.length(),
+        MathUtils.distance(deflectOrigin(this.position), missilePosition),
       );
     }
 
@@ -406,6 +457,8 @@ export class Player extends Entity {
     this.velocityY = 0;
     this.isGrounded = true;
     this.position.y = 0;
+    this.pendingInputs = [];
+    this.unsentInputs = [];
 
     if (spawnData) {
       const pos = spawnData.position || spawnData;
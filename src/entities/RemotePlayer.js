@@ -2,16 +2,17 @@ import * as THREE from "three";
 import { Entity } from "./Entity.js";
 import { PLAYER, COLORS, TEAMS } from "../utils/Constants.js";
 import { AssetManager } from "../core/AssetManager.js";
+import { SnapshotBuffer } from "../utils/SnapshotBuffer.js";
 
 /**
  * RemotePlayer
  * Represents a player connected via network
- * Controlled by server updates, not local input
+ * Controlled by server snapshots, not local input — rendered slightly in the
+ * past (see SnapshotBuffer) so movement stays smooth under jitter
  *
- * In the current architecture, all game logic (collision, damage, rounds)
- * runs independently on each client. RemotePlayer needs the same interface
- * as Player and Bot so that CollisionSystem and RoundManager can treat it
- * uniformly.
+ * Game logic (collision, damage, rounds) runs on the server; clients apply
+ * its events. RemotePlayer still needs the same interface as Player and Bot
+ * so that CollisionSystem and RoundManager can treat it uniformly.
  */
 export class RemotePlayer extends Entity {
   constructor(id, initialData) {
@@ -31,9 +32,8 @@ export class RemotePlayer extends Entity {
     this.headGroup = null;
     this.weaponMesh = null;
 
-    // Interpolation target
-    this.targetPosition = new THREE.Vector3();
-    this.targetRotation = 0;
+    // Server snapshots to interpolate between
+    this.snapshots = new SnapshotBuffer({ angleKeys: ["rotation"] });
 
     // Initialize with data
     if (initialData) {
@@ -42,9 +42,7 @@ export class RemotePlayer extends Entity {
         initialData.y || 0,
         initialData.z || 0,
       );
-      this.targetPosition.copy(this.position);
       this.rotation.y = initialData.rotation || 0;
-      this.targetRotation = this.rotation.y;
     }
 
     this.init();
@@ -150,7 +148,7 @@ export class RemotePlayer extends Entity {
   // ===== Interface methods needed by CollisionSystem & RoundManager =====
 
   /**
-   * Remote players don't deflect locally — the remote client handles their own deflection.
+   * Remote players don't deflect locally — the server resolves their deflect attempts.
    * Always returns false so CollisionSystem doesn't double-process.
    */
   tryDeflect(_missile) {
@@ -158,8 +156,7 @@ export class RemotePlayer extends Entity {
   }
 
   /**
-   * Take damage. In multiplayer, each client runs collision detection locally
-   * for now (no authoritative server), so we apply damage here.
+   * Take damage (applied when the server reports a player_hit).
    */
   takeDamage(amount) {
     if (!this.isAlive) return;
@@ -189,11 +186,19 @@ export class RemotePlayer extends Entity {
     this.isTargeted = targeted;
   }
 
+  /**
+   * Health from the room's match rules
+   */
+  applyMatchRules(rules) {
+    this.maxHealth = rules.playerHealth;
+    this.health = this.maxHealth;
+  }
+
   /**
    * Reset for new round — restore health, visibility, position.
    */
   reset(spawnData) {
-    this.health = PLAYER.MAX_HEALTH;
+    this.health = this.maxHealth;
     this.isAlive = true;
     this.isTargeted = false;
 
@@ -202,12 +207,12 @@ export class RemotePlayer extends Entity {
       if (pos.x !== undefined) this.position.x = pos.x;
       if (pos.y !== undefined) this.position.y = pos.y;
       if (pos.z !== undefined) this.position.z = pos.z;
-      this.targetPosition.copy(this.position);
-
       if (spawnData.rotation !== undefined) {
         this.rotation.y = spawnData.rotation;
-        this.targetRotation = spawnData.rotation;
       }
+
+      // Drop pre-respawn snapshots so we don't slide back to them
+      this.snapshots.clear();
     }
 
     if (this.mesh) {
@@ -218,27 +223,38 @@ export class RemotePlayer extends Entity {
   }
 
   /**
-   * Update remote player state from server data
+   * Buffer a state from a server snapshot
+   * @param {Object} data - { x, y, z, rotation }
+   * @param {number} time - Snapshot server timestamp (ms)
    */
-  updateState(data) {
-    if (data.x !== undefined) this.targetPosition.x = data.x;
-    if (data.y !== undefined) this.targetPosition.y = data.y;
-    if (data.z !== undefined) this.targetPosition.z = data.z;
-    if (data.rotation !== undefined) this.targetRotation = data.rotation;
+  updateState(data, time) {
+    this.snapshots.push(time, {
+      x: data.x,
+      y: data.y,
+      z: data.z,
+      rotation: data.rotation,
+    });
   }
 
-  update(deltaTime) {
-    // Smoother interpolation for 60Hz updates
-    const lerpFactor = 15 * deltaTime;
-
-    this.position.lerp(this.targetPosition, lerpFactor);
-
-    // Interpolate rotation (shortest path)
-    let diff = this.targetRotation - this.rotation.y;
-    while (diff > Math.PI) diff -= Math.PI * 2;
-    while (diff < -Math.PI) diff += Math.PI * 2;
-
-    this.rotation.y += diff * lerpFactor;
+  /**
+   * @param {number} deltaTime
+   * @param {number} renderTime - Server time to display (ms)
+   * @param {Object} [arena] - Snapshot y is the height above its floor
+   */
+  update(deltaTime, renderTime, arena) {
+    const state = this.snapshots.sample(renderTime);
+    if (!state) return;
+
+    if (Number.isFinite(state.x)) this.position.x = state.x;
+    if (Number.isFinite(state.z)) this.position.z = state.z;
+    if (Number.isFinite(state.y)) {
+      const floor =
+        arena && arena.getFloorHeight
+          ? arena.getFloorHeight(this.position.x, this.position.z)
+          : 0;
+      this.position.y = floor + state.y;
+    }
+    if (Number.isFinite(state.rotation)) this.rotation.y = state.rotation;
 
     // Update mesh
     if (this.mesh) {
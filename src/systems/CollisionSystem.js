@@ -1,7 +1,6 @@
-import { MISSILE, PLAYER } from "../utils/Constants.js";
-import { MathUtils } from "../utils/MathUtils.js";
 import { globalEvents } from "../utils/EventEmitter.js";
 import { EVENTS } from "../utils/Constants.js";
+import { missileHitsTarget, pickDeflectTarget } from "../../shared/rules.js";
 
 /**
  * CollisionSystem
@@ -66,27 +65,13 @@ export class CollisionSystem {
    * Handle deflection
    */
   handleDeflection(deflector) {
-    // Find a new target (someone else who is alive and different team usually)
-    // For simplicity: any alive entity that is NOT the deflector.
-    // Ideally: prioritize enemies.
-
-    const candidates = [this.player, ...this.others].filter(
-      (e) => e !== deflector && e.isAlive && e.team !== deflector.team, // Try to target opposite team
-    );
-
-    // If no enemies, target anyone else (friendly fire? maybe not)
-    // If empty, random alive
-    let possibleTargets = candidates;
-    if (possibleTargets.length === 0) {
-      possibleTargets = [this.player, ...this.others].filter(
-        (e) => e !== deflector && e.isAlive,
-      );
-    }
-
-    if (possibleTargets.length === 0) return; // No one left to target
+    // Find a new target (a living enemy, else anyone else alive)
+    const newTarget = pickDeflectTarget(deflector, [
+      this.player,
+      ...this.others,
+    ]);
 
-    const newTarget =
-      possibleTargets[Math.floor(Math.random() * possibleTargets.length)];
+    if (!newTarget) return; // No one left to target
 
     // Apply deflection
     this.missile.deflect(newTarget);
@@ -126,19 +111,14 @@ export class CollisionSystem {
     const missilePos = this.missile.getPosition();
     const missilePrevPos = this.missile.previousPosition || missilePos;
 
-    // Get target position and adjust to center of mass (chest height)
-    const targetPos = this.missile.target.getPosition();
-    targetPos.y += PLAYER.HEIGHT / 2;
-
-    // Use continuous collision detection (segment vs sphere) to prevent tunneling
-    const distance = MathUtils.distanceToSegment(
-      targetPos,
-      missilePrevPos,
-      missilePos,
-    );
-    const collisionThreshold = MISSILE.RADIUS + PLAYER.RADIUS;
-
-    if (distance < collisionThreshold) {
+    // Continuous collision detection (segment vs sphere) prevents tunneling
+    if (
+      missileHitsTarget(
+        missilePrevPos,
+        missilePos,
+        this.missile.target.getPosition(),
+      )
+    ) {
       this.handleMissileHit(this.missile.target);
     }
   }
@@ -148,6 +128,7 @@ export class CollisionSystem {
    */
   handleMissileHit(target) {
     const damage = this.missile.getDamage();
+    const dealt = Math.min(damage, target.health); // Overkill doesn't count
 
     // Apply damage
     if (target.takeDamage) target.takeDamage(damage);
@@ -164,6 +145,7 @@ export class CollisionSystem {
     globalEvents.emit(EVENTS.MISSILE_HIT, {
       target,
       damage,
+      dealt,
       deflectionCount: this.missile.deflectionCount,
     });
   }
@@ -1,5 +1,14 @@
-import { GAME_STATES, EVENTS, GAME, TEAMS } from "../utils/Constants.js";
+import {
+  GAME_STATES,
+  EVENTS,
+  GAME,
+  TEAMS,
+  OVERTIME,
+  DRAW,
+} from "../utils/Constants.js";
 import { globalEvents } from "../utils/EventEmitter.js";
+import { isMatchOver, matchWinner } from "../../shared/rules.js";
+import { StatsTracker } from "../../shared/stats.js";
 
 /**
  * GameStateManager
@@ -17,6 +26,13 @@ export class GameStateManager {
     this.botScore = 0;
     this.currentRound = 0;
     this.roundsToWin = GAME.ROUNDS_TO_WIN;
+    this.drawPoints = 0; // Each team's points for a drawn round
+
+    // Round clock: seconds of PLAYING this round, against the room's limit
+    // (0 = no limit); overtime follows once it runs out
+    this.roundTimeLimit = 0;
+    this.roundTime = 0;
+    this.overtime = false;
 
     // Timing
     this.stateTimer = 0;
@@ -27,13 +43,12 @@ export class GameStateManager {
 
     // Statistics
     this.stats = {
-      playerKills: 0,
-      playerDeaths: 0,
-      botKills: 0,
-      botDeaths: 0,
       totalDeflections: 0,
       matchStartTime: 0,
     };
+    // Per-entity K/D/A; the server's copy wins in multiplayer
+    this.combatStats = new StatsTracker();
+    this.localPlayerId = null;
   }
 
   /**
@@ -85,6 +100,9 @@ export class GameStateManager {
    */
   startRound() {
     this.currentRound++;
+    this.roundTime = 0;
+    this.overtime = false;
+    this.combatStats.startChain();
     this.setState(GAME_STATES.COUNTDOWN);
     this.countdownValue = 3;
 
@@ -95,6 +113,39 @@ export class GameStateManager {
     });
   }
 
+  /**
+   * Pick up a match already running on the server (resumed session).
+   * Restarts the current round locally, then jumps to the server's phase.
+   * @param {Object} state - { round, scores: { blue, red }, phase, phaseTimer,
+   *   roundTime, overtime }; phase is the server's: "COUNTDOWN", "PLAYING"
+   *   or "ROUND_END", roundTime is in ms
+   */
+  restoreMatch({ round, scores, phase, phaseTimer, roundTime, overtime }) {
+    this.clearPendingTimers();
+    this.currentRound = round - 1;
+    this.playerScore = scores.blue;
+    this.botScore = scores.red;
+    this.startRound();
+    this.roundTime = (roundTime || 0) / 1000;
+    this.overtime = !!overtime;
+
+    if (phase === "PLAYING") {
+      this.setState(GAME_STATES.PLAYING);
+    } else if (phase === "ROUND_END") {
+      this.setState(GAME_STATES.ROUND_END);
+      this.pendingRoundTimer = setTimeout(() => {
+        this.pendingRoundTimer = null;
+        this.startRound();
+      }, phaseTimer);
+    } else {
+      // Line the countdown up with the time the server has left
+      this.stateTimer = Math.max(
+        0,
+        (GAME.ROUND_START_DELAY - phaseTimer) / 1000,
+      );
+    }
+  }
+
   /**
    * Update countdown
    */
@@ -122,11 +173,48 @@ export class GameStateManager {
     }
   }
 
+  /**
+   * Round time limit ran out: overtime until someone wins or it runs out too
+   */
+  startOvertime() {
+    if (this.overtime) return;
+    this.overtime = true;
+    this.roundTime = Math.max(this.roundTime, this.roundTimeLimit);
+    globalEvents.emit(EVENTS.ROUND_OVERTIME, { round: this.currentRound });
+  }
+
+  /**
+   * Seconds left on the round clock, or null when rounds have no time limit
+   */
+  getRoundTimeLeft() {
+    if (!this.roundTimeLimit) return null;
+    return Math.max(0, this.roundTimeLimit - this.roundTime);
+  }
+
+  /**
+   * Milliseconds into overtime, or null before it
+   */
+  getOvertimeElapsed() {
+    if (!this.overtime) return null;
+    return (this.roundTime - this.roundTimeLimit) * 1000;
+  }
+
+  /**
+   * Overtime ran out with nobody winning: the round is a draw
+   */
+  isOvertimeOver() {
+    return this.overtime && this.getOvertimeElapsed() >= OVERTIME.DURATION;
+  }
+
   /**
    * End current round
+   * @param {string} winner - TEAMS.BLUE, TEAMS.RED or DRAW (each team gets
+   *   drawPoints)
+   * @param {Object} [scores] - { blue, red } from the server, used instead of
+   *   scoring the round locally (a forfeit can end the match early)
    */
-  endRound(winner, audioManager) {
-    // winner is now TEAMS.BLUE or TEAMS.RED
+  endRound(winner, audioManager, scores = null) {
+    // winner is TEAMS.BLUE, TEAMS.RED or DRAW
     // We need to map team to score
     // Assuming PLAYER = BLUE, BOT = RED for scoring terminology
     // better to rename scores to blueScore/redScore but that's a big refactor
@@ -135,14 +223,16 @@ export class GameStateManager {
     // BLUE = Player Team (usually)
     // RED = Bot Team (usually)
     // Using string literals to avoid ReferenceError with TEAMS constant if import fails
-    if (winner === "BLUE") {
+    if (scores) {
+      this.playerScore = scores.blue;
+      this.botScore = scores.red;
+    } else if (winner === "BLUE") {
       this.playerScore++;
-      this.stats.playerKills++;
-      this.stats.botDeaths++;
     } else if (winner === "RED") {
       this.botScore++;
-      this.stats.botKills++;
-      this.stats.playerDeaths++;
+    } else if (winner === DRAW) {
+      this.playerScore += this.drawPoints;
+      this.botScore += this.drawPoints;
     }
 
     if (audioManager) {
@@ -163,8 +253,10 @@ export class GameStateManager {
 
     // Check for match end
     if (
-      this.playerScore >= this.roundsToWin ||
-      this.botScore >= this.roundsToWin
+      isMatchOver(
+        { [TEAMS.BLUE]: this.playerScore, [TEAMS.RED]: this.botScore },
+        this.roundsToWin,
+      )
     ) {
       this.pendingMatchEndTimer = setTimeout(() => {
         this.pendingMatchEndTimer = null;
@@ -196,12 +288,16 @@ export class GameStateManager {
    * End match
    */
   endMatch(audioManager) {
-    const winner = this.playerScore > this.botScore ? "BLUE" : "RED";
+    const winner = matchWinner({
+      [TEAMS.BLUE]: this.playerScore,
+      [TEAMS.RED]: this.botScore,
+    });
 
     this.setState(GAME_STATES.MATCH_END);
 
     if (audioManager) {
-      audioManager.play(winner === "BLUE" ? "victory" : "defeat");
+      if (winner === DRAW) audioManager.play("roundEnd");
+      else audioManager.play(winner === "BLUE" ? "victory" : "defeat");
     }
 
     globalEvents.emit(EVENTS.MATCH_END, {
@@ -209,6 +305,7 @@ export class GameStateManager {
       playerScore: this.playerScore,
       botScore: this.botScore,
       stats: this.getStats(),
+      localPlayerId: this.localPlayerId,
     });
   }
 
@@ -293,11 +390,57 @@ export class GameStateManager {
     this.setState(GAME_STATES.MENU);
   }
 
+  /**
+   * Entities whose combat stats we track this match
+   * @param {Array} entities - [{ id, team }]
+   * @param {string} localPlayerId - Whose stats the match end screen shows
+   */
+  setCombatants(entities, localPlayerId) {
+    this.combatStats = new StatsTracker();
+    entities.forEach((e) => this.combatStats.addEntity(e.id, e.team));
+    this.localPlayerId = localPlayerId;
+  }
+
   /**
    * Record a deflection
+   * @param {string} deflectorId - Entity that sent the missile back
    */
-  recordDeflection() {
+  recordDeflection(deflectorId) {
     this.stats.totalDeflections++;
+    this.combatStats.recordDeflection(deflectorId);
+  }
+
+  /**
+   * Record a missile hit (ends the missile's deflection chain)
+   */
+  recordHit(targetId, damage, eliminated) {
+    this.combatStats.recordHit(targetId, damage, eliminated);
+  }
+
+  /**
+   * Take the server's tallies over our own (multiplayer)
+   * @param {Object} stats - id -> stats, as from StatsTracker.getAll
+   */
+  syncCombatStats(stats) {
+    this.combatStats.load(stats);
+    this.stats.totalDeflections = Object.values(stats).reduce(
+      (sum, entry) => sum + entry.deflections,
+      0,
+    );
+  }
+
+  /**
+   * Combat stats of one entity, or null if it isn't tracked
+   */
+  getEntityStats(id) {
+    return this.combatStats.get(id);
+  }
+
+  /**
+   * Combat stats of everyone: id -> { team, kills, deaths, assists, ... }
+   */
+  getAllEntityStats() {
+    return this.combatStats.getAll();
   }
 
   /**
@@ -305,13 +448,10 @@ export class GameStateManager {
    */
   resetStats() {
     this.stats = {
-      playerKills: 0,
-      playerDeaths: 0,
-      botKills: 0,
-      botDeaths: 0,
       totalDeflections: 0,
       matchStartTime: Date.now(),
     };
+    this.combatStats.reset();
   }
 
   /**
@@ -321,6 +461,7 @@ export class GameStateManager {
     return {
       ...this.stats,
       matchDuration: Date.now() - this.stats.matchStartTime,
+      players: this.getAllEntityStats(),
     };
   }
 
@@ -1,14 +1,16 @@
 import * as THREE from "three";
 import { globalEvents } from "../utils/EventEmitter.js";
-import { EVENTS, GAME_STATES, TEAMS } from "../utils/Constants.js";
+import { EVENTS, GAME_STATES, TEAMS, DRAW } from "../utils/Constants.js";
 import { MathUtils } from "../utils/MathUtils.js";
+import { roundWinner, overtimeSpeedBonus } from "../../shared/rules.js";
+import { spawnPoint } from "../../shared/movement.js";
 
 /**
  * RoundManager
  * Manages round setup, spawning, and round flow.
  *
- * In multiplayer the HOST runs authoritative game logic and broadcasts
- * events to clients. Clients apply events from the host.
+ * In multiplayer the server runs the authoritative match simulation and
+ * every client (host included) only applies the events it broadcasts.
  */
 export class RoundManager {
   constructor(gameStateManager, audioManager) {
@@ -21,12 +23,8 @@ export class RoundManager {
     this.missile = null;
     this.arena = null;
 
-    // Network authority
+    // Network authority (the server decides everything in multiplayer)
     this.isMultiplayer = false;
-    this.isHost = false;
-
-    // Broadcast callback — set by Game.js to wire into NetworkManager
-    this.onBroadcast = null; // (eventType, data) => void
 
     this.setupEventListeners();
   }
@@ -34,7 +32,7 @@ export class RoundManager {
   setupEventListeners() {
     globalEvents.on(EVENTS.PLAYER_DEATH, () => this.checkRoundEnd());
     globalEvents.on(EVENTS.MISSILE_HIT, (data) => this.onMissileHit(data));
-    globalEvents.on(EVENTS.MISSILE_DEFLECT, () => this.onDeflection());
+    globalEvents.on(EVENTS.MISSILE_DEFLECT, (data) => this.onDeflection(data));
   }
 
   /**
@@ -56,19 +54,16 @@ export class RoundManager {
   }
 
   /**
-   * Configure for multiplayer
+   * Configure for multiplayer (server-authoritative) or local play
    */
-  setMultiplayerMode(isHost) {
-    this.isMultiplayer = true;
-    this.isHost = isHost;
+  setMultiplayerMode(isMultiplayer) {
+    this.isMultiplayer = isMultiplayer;
   }
 
   /**
    * Setup a new round
    */
   setupRound() {
-    const spawnPositions = this.arena.getSpawnPositions();
-
     const blueTeam = [];
     const redTeam = [];
 
@@ -81,23 +76,21 @@ export class RoundManager {
     this.bots.forEach(assignTeam);
     Object.values(this.remotePlayers).forEach(assignTeam);
 
-    const positionEntity = (entity, teamIndex, teamSide) => {
-      const baseSpawn =
-        teamSide === TEAMS.BLUE ? spawnPositions.player : spawnPositions.bot;
+    // In multiplayer every client (and the server) must agree on who stands
+    // where, so order teammates by id rather than local-player-first
+    if (this.isMultiplayer) {
+      const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+      blueTeam.sort(byId);
+      redTeam.sort(byId);
+    }
 
+    const positionEntity = (entity, teamIndex, teamSide) => {
+      const spawn = spawnPoint(teamSide, teamIndex);
       const pos = {
-        position: { ...baseSpawn.position },
-        rotation: baseSpawn.rotation,
+        position: { x: spawn.x, y: spawn.y, z: spawn.z },
+        rotation: spawn.rotation,
       };
 
-      const spacing = 2.5;
-      let offsetX = 0;
-      if (teamIndex > 0) {
-        offsetX =
-          Math.ceil(teamIndex / 2) * spacing * (teamIndex % 2 === 0 ? -1 : 1);
-      }
-      pos.position.x += offsetX;
-
       if (entity.reset) {
         entity.reset(pos);
       } else {
@@ -110,10 +103,27 @@ export class RoundManager {
     blueTeam.forEach((e, i) => positionEntity(e, i, TEAMS.BLUE));
     redTeam.forEach((e, i) => positionEntity(e, i, TEAMS.RED));
 
+    this.missile.setSpeedBonus(0);
     this.missile.reset();
     this.missile.hide();
   }
 
+  /**
+   * Run the round clock (PLAYING only). Locally this also starts overtime,
+   * speeds the missile up during it and calls the draw when it runs out; the
+   * server sends all of that in multiplayer.
+   */
+  updateRoundTimer(deltaTime) {
+    const gsm = this.gameStateManager;
+    gsm.roundTime += deltaTime;
+    if (this.isMultiplayer || !gsm.roundTimeLimit) return;
+    if (gsm.roundTime < gsm.roundTimeLimit) return;
+
+    gsm.startOvertime();
+    this.missile.setSpeedBonus(overtimeSpeedBonus(gsm.getOvertimeElapsed()));
+    this.checkRoundEnd();
+  }
+
   /**
    * Start a match
    */
@@ -126,11 +136,11 @@ export class RoundManager {
 
   /**
    * Spawn missile and start round.
-   * In multiplayer: only the HOST picks the target and broadcasts it.
+   * In multiplayer the server picks the target and broadcasts it.
    */
   startRoundGameplay() {
-    if (this.isMultiplayer && !this.isHost) {
-      // Client waits for host to tell us who the target is
+    if (this.isMultiplayer) {
+      // Wait for the server to tell us who the target is
       return;
     }
 
@@ -155,34 +165,18 @@ export class RoundManager {
     globalEvents.emit(EVENTS.MISSILE_SPAWN, {
       target: initialTarget === this.player ? "player" : "opponent",
     });
-
-    // Broadcast to clients: missile spawned with this target
-    if (this.isMultiplayer && this.isHost && this.onBroadcast) {
-      this.onBroadcast("round_state", {
-        type: "missile_spawn",
-        targetId: initialTarget.id,
-        missileTeam: initialTeam,
-      });
-    }
   }
 
   /**
-   * Handle missile hit event — ONLY runs on host in multiplayer.
+   * Handle missile hit event — local play only (the server handles it in multiplayer).
    * NOTE: CollisionSystem already applied damage and hid the missile.
-   * We handle: broadcasting, audio, respawn logic.
+   * We handle: audio, respawn logic.
    */
   onMissileHit(data) {
-    if (this.isMultiplayer && !this.isHost) return;
+    if (this.isMultiplayer) return;
 
     const { target } = data;
-
-    // Broadcast hit to clients (damage already applied locally by CollisionSystem)
-    if (this.isMultiplayer && this.onBroadcast) {
-      this.onBroadcast("player_hit", {
-        targetId: target.id,
-        damage: data.damage || 100,
-      });
-    }
+    this.gameStateManager.recordHit(target.id, data.dealt, !target.isAlive);
 
     if (this.audioManager) this.audioManager.play("explosion");
 
@@ -228,22 +222,13 @@ export class RoundManager {
           if (newTarget === this.player && this.audioManager) {
             this.audioManager.play("targeted");
           }
-
-          // Broadcast new target
-          if (this.isMultiplayer && this.onBroadcast) {
-            this.onBroadcast("round_state", {
-              type: "missile_spawn",
-              targetId: newTarget.id,
-              missileTeam: newTeam,
-            });
-          }
         }
       }, 500);
     }
   }
 
-  onDeflection() {
-    this.gameStateManager.recordDeflection();
+  onDeflection(data) {
+    this.gameStateManager.recordDeflection(data.deflector.id);
     if (this.missile.target === this.player && this.audioManager) {
       this.audioManager.play("targeted");
     }
@@ -260,31 +245,21 @@ export class RoundManager {
   }
 
   /**
-   * Check if round should end — only HOST decides in multiplayer
+   * Check if round should end — the server decides in multiplayer.
+   * A team wiped out loses; nobody winning by the end of overtime is a draw.
    */
   checkRoundEnd() {
-    if (this.isMultiplayer && !this.isHost) return;
+    if (this.isMultiplayer) return;
     if (this.gameStateManager.getState() !== GAME_STATES.PLAYING) return;
 
-    let blueAlive = 0;
-    let redAlive = 0;
-
-    const checkEntity = (ent) => {
-      if (ent && ent.isAlive) {
-        if (ent.team === TEAMS.BLUE) blueAlive++;
-        else if (ent.team === TEAMS.RED) redAlive++;
-      }
-    };
+    const winner = roundWinner([
+      this.player,
+      ...this.bots,
+      ...Object.values(this.remotePlayers),
+    ]);
 
-    checkEntity(this.player);
-    this.bots.forEach(checkEntity);
-    Object.values(this.remotePlayers).forEach(checkEntity);
-
-    if (blueAlive === 0) {
-      this.endRound(TEAMS.RED);
-    } else if (redAlive === 0) {
-      this.endRound(TEAMS.BLUE);
-    }
+    if (winner) this.endRound(winner);
+    else if (this.gameStateManager.isOvertimeOver()) this.endRound(DRAW);
   }
 
   endRound(winner) {
@@ -294,18 +269,6 @@ export class RoundManager {
     if (this.player) this.player.setMovementLocked(true);
 
     this.gameStateManager.endRound(winner);
-
-    // Broadcast round end to clients
-    if (this.isMultiplayer && this.isHost && this.onBroadcast) {
-      this.onBroadcast("round_state", {
-        type: "round_end",
-        winner: winner,
-        scores: {
-          blue: this.gameStateManager.playerScore,
-          red: this.gameStateManager.botScore,
-        },
-      });
-    }
   }
 
   getCurrentTarget() {
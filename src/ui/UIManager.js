@@ -1,7 +1,46 @@
 import { globalEvents } from "../utils/EventEmitter.js";
-import { EVENTS, GAME_STATES, PLAYER, MAPS } from "../utils/Constants.js";
+import {
+  EVENTS,
+  GAME_STATES,
+  MAPS,
+  NETWORK,
+  MATCHMAKING,
+  ROOMS,
+  CHAT,
+  MATCH_RULES,
+  DRAW,
+} from "../utils/Constants.js";
 import { MathUtils } from "../utils/MathUtils.js";
 import { NetworkManager } from "../core/NetworkManager.js";
+import { kdRatio, winRate, losses } from "../../shared/stats.js";
+import { lobbyStartError, defaultMatchRules } from "../../shared/rules.js";
+
+// Rank badge colors on the profile screen
+const TIER_COLORS = {
+  "Top 500": "text-orange-300 border-orange-400/50 bg-orange-500/10",
+  "Grand Master": "text-rose-300 border-rose-400/50 bg-rose-500/10",
+  Master: "text-purple-300 border-purple-400/50 bg-purple-500/10",
+  Diamond: "text-sky-300 border-sky-400/50 bg-sky-500/10",
+  Platinum: "text-teal-300 border-teal-400/50 bg-teal-500/10",
+  Gold: "text-yellow-300 border-yellow-400/50 bg-yellow-500/10",
+  Silver: "text-slate-200 border-slate-300/50 bg-slate-400/10",
+  Bronze: "text-amber-500 border-amber-600/50 bg-amber-700/10",
+};
+
+// Lobby labels for MATCH_RULES
+const RULE_LABELS = {
+  roundsToWin: "Rounds to Win",
+  missileBaseSpeed: "Missile Speed",
+  missileSpeedIncrement: "Speed per Deflect",
+  missileMaxSpeed: "Max Speed (0 = none)",
+  missileBaseDamage: "Missile Damage",
+  missileDamageIncrement: "Damage per Deflect",
+  deflectCooldown: "Deflect Cooldown (ms)",
+  deflectRange: "Deflect Range",
+  playerHealth: "Player HP",
+  roundTimeLimit: "Round Time (s, 0 = none)",
+  drawPoints: "Points per Draw (each)",
+};
 
 /**
  * UIManager
@@ -18,10 +57,19 @@ export class UIManager {
     this.confirmationModal = null;
     this.matchEndScreen = null;
     this.countdown = null;
+    this.matchPausedInterval = null;
+    this.queueScreen = null;
+    this.queueTimerInterval = null;
+    this.lobbyCountdownInterval = null;
+    this.lobbyStatus = ""; // What the lobby waits for, shown between countdowns
+    this.scoreboard = null;
+    this.scoreboardInterval = null;
     this.roundAnnouncement = null;
 
     // Which team is the local player on? Default BLUE for single-player.
     this.localTeam = "BLUE";
+    this.spectating = false; // Watching: no own team, health or team buttons
+    this.matchRules = defaultMatchRules(); // HUD health and speed scale by these
 
     this.init();
     this.setupEventListeners();
@@ -34,6 +82,10 @@ export class UIManager {
     this.localTeam = team;
   }
 
+  setMatchRules(rules) {
+    this.matchRules = rules;
+  }
+
   init() {
     // Create UI container
     this.container = document.createElement("div");
@@ -54,6 +106,13 @@ export class UIManager {
     this.createCountdown();
     this.createRoundAnnouncement();
     this.createLobbyUI(); // Added missing call
+    this.createQueueScreen();
+    this.createHistoryScreen();
+    this.createProfileScreen();
+    this.createLeaderboardScreen();
+    this.createScoreboard();
+    this.createChatPanel();
+    this.createQuickChat();
 
     // Show main menu by default
     this.showMainMenu();
@@ -62,6 +121,9 @@ export class UIManager {
   setupEventListeners() {
     globalEvents.on(EVENTS.ROUND_START, (data) => this.onRoundStart(data));
     globalEvents.on(EVENTS.ROUND_END, (data) => this.onRoundEnd(data));
+    globalEvents.on(EVENTS.ROUND_OVERTIME, () =>
+      this.showAnnouncement("OVERTIME", "text-amber-400"),
+    );
     globalEvents.on(EVENTS.ROUND_COUNTDOWN, (data) => this.onCountdown(data));
     globalEvents.on(EVENTS.MATCH_END, (data) => this.onMatchEnd(data));
     globalEvents.on(EVENTS.PLAYER_DAMAGE, (data) => this.onPlayerDamage(data));
@@ -82,6 +144,7 @@ export class UIManager {
     this.mainMenu.className =
       "absolute inset-0 flex items-center justify-center bg-slate-950/90 backdrop-blur-sm pointer-events-auto transition-opacity duration-300";
     this.mainMenu.innerHTML = `
+      <div class="flex gap-6 items-start max-h-full overflow-y-auto p-4">
       <div class="panel-glass p-12 max-w-2xl w-full text-center transform transition-all duration-500 hover:border-cyan-500/30">
         <h1 class="text-6xl font-black mb-2 tracking-tighter bg-linear-to-r from-cyan-400 via-blue-500 to-purple-600 bg-clip-text text-transparent drop-shadow-lg">
           DODGEBALL MASTERS
@@ -122,6 +185,26 @@ export class UIManager {
         </div>
 
         <div class="flex flex-col gap-4 max-w-xs mx-auto">
+          <!-- Account -->
+          <div class="flex flex-col gap-2" id="account-guest">
+            <div class="flex gap-2">
+              <input type="text" id="input-username" placeholder="USERNAME" maxlength="16" autocomplete="username" class="bg-slate-900/50 border border-white/10 rounded px-3 py-2 text-sm text-center font-bold w-full text-white placeholder-slate-600 focus:border-cyan-500 outline-none transition-colors">
+              <input type="password" id="input-password" placeholder="PASSWORD" autocomplete="current-password" class="bg-slate-900/50 border border-white/10 rounded px-3 py-2 text-sm text-center font-bold w-full text-white placeholder-slate-600 focus:border-cyan-500 outline-none transition-colors">
+            </div>
+            <div class="flex gap-2">
+              <button class="btn-secondary cursor-pointer flex-1 py-1 text-xs" id="btn-login">Log In</button>
+              <button class="btn-secondary cursor-pointer flex-1 py-1 text-xs" id="btn-register">Register</button>
+            </div>
+            <p class="text-xs text-rose-400 hidden" id="account-error"></p>
+          </div>
+          <div class="hidden justify-between items-center bg-slate-800/50 rounded px-3 py-2 border border-white/5" id="account-user">
+            <div class="text-left">
+              <div class="text-sm font-bold text-white" id="account-username">-</div>
+              <div class="text-xs text-cyan-400 font-mono" id="account-rank">1000 · Master</div>
+            </div>
+            <button class="text-xs font-bold text-slate-400 hover:text-white uppercase tracking-wider cursor-pointer" id="btn-logout">Log Out</button>
+          </div>
+
           <div class="mb-6">
             <input type="text" id="input-nickname" placeholder="ENTER NICKNAME" class="bg-slate-900/50 border border-white/10 rounded px-4 py-3 text-lg text-center font-bold w-full text-white placeholder-slate-600 focus:border-cyan-500 outline-none transition-colors uppercase">
           </div>
@@ -133,24 +216,59 @@ export class UIManager {
           <div class="border-t border-white/10 my-2"></div>
           
           <div class="flex flex-col gap-2">
-            <button class="btn-primary-alt cursor-pointer bg-cyan-700 hover:bg-cyan-600" id="btn-create-room">Create Room</button>
+            <div class="flex bg-slate-800/50 rounded p-1 border border-white/5" id="queue-mode-selector">
+              <button class="queue-mode-btn flex-1 px-4 py-1 text-xs font-bold rounded transition-colors bg-cyan-600 text-white" data-mode="${MATCHMAKING.MODES.RANKED}">Ranked</button>
+              <button class="queue-mode-btn flex-1 px-4 py-1 text-xs font-bold rounded transition-colors text-slate-400 hover:text-white" data-mode="${MATCHMAKING.MODES.UNRANKED}">Unranked</button>
+            </div>
+            <button class="btn-primary-alt cursor-pointer bg-purple-700 hover:bg-purple-600" id="btn-find-match">Find Match</button>
+          </div>
+
+          <div class="flex flex-col gap-2">
             <div class="flex gap-2">
                 <input type="text" id="input-room-code" placeholder="ROOM CODE" class="bg-slate-900/50 border border-white/10 rounded px-3 py-2 text-sm text-center font-mono w-full uppercase text-white placeholder-slate-600 focus:border-cyan-500 outline-none transition-colors">
                 <button class="btn-secondary cursor-pointer min-w-20" id="btn-join-room">JOIN</button>
+                <button class="btn-secondary cursor-pointer min-w-20" id="btn-watch-room">WATCH</button>
             </div>
           </div>
           
           <div class="border-t border-white/10 my-2"></div>
 
+          <button class="btn-secondary cursor-pointer" id="btn-profile">Profile</button>
+          <button class="btn-secondary cursor-pointer" id="btn-history">Match History</button>
+          <button class="btn-secondary cursor-pointer" id="btn-leaderboard">Leaderboard</button>
           <button class="btn-secondary cursor-pointer" id="btn-settings-main">Settings</button>
         </div>
       </div>
+
+      <!-- Room Browser -->
+      <div class="panel-glass p-6 w-96 flex flex-col gap-4 text-left">
+        <div class="flex justify-between items-baseline border-b border-white/10 pb-3">
+          <h2 class="text-xl font-black text-white tracking-widest">ROOMS</h2>
+          <span class="text-xs text-slate-500 font-mono" id="room-list-count">—</span>
+        </div>
+        <ul class="space-y-2 max-h-80 overflow-y-auto" id="room-list"></ul>
+        <p class="text-center text-slate-500 text-sm py-6" id="room-list-empty">No public rooms</p>
+
+        <div class="border-t border-white/10 pt-4 flex flex-col gap-2">
+          <input type="text" id="input-room-name" placeholder="ROOM NAME" maxlength="${ROOMS.NAME_MAX_LENGTH}" class="bg-slate-900/50 border border-white/10 rounded px-3 py-2 text-sm font-bold text-white placeholder-slate-600 focus:border-cyan-500 outline-none transition-colors">
+          <div class="flex gap-2 items-center">
+            <input type="password" id="input-room-password" placeholder="PASSWORD (OPTIONAL)" maxlength="${ROOMS.PASSWORD_MAX_LENGTH}" autocomplete="new-password" class="bg-slate-900/50 border border-white/10 rounded px-3 py-2 text-sm text-white placeholder-slate-600 focus:border-cyan-500 outline-none transition-colors flex-1 min-w-0">
+            <label class="flex items-center gap-2 text-xs text-slate-400 uppercase tracking-wider cursor-pointer">
+              <input type="checkbox" id="checkbox-room-private" class="accent-cyan-500">
+              Private
+            </label>
+          </div>
+          <button class="btn-primary-alt cursor-pointer bg-cyan-700 hover:bg-cyan-600" id="btn-create-room">Create Room</button>
+        </div>
+      </div>
+      </div>
     `;
     this.container.appendChild(this.mainMenu);
 
     // Setup selectors
     this.setupDifficultySelector();
     this.setupMapSelector();
+    this.setupQueueModeSelector();
 
     // Load saved nickname
     const savedName = localStorage.getItem("dodgeball_nickname");
@@ -159,17 +277,80 @@ export class UIManager {
       if (input) input.value = savedName;
     }
 
-    // Save nickname on change
+    // Save nickname on change (a logged in player's goes to their account)
     document
       .getElementById("input-nickname")
       ?.addEventListener("change", (e) => {
-        localStorage.setItem(
-          "dodgeball_nickname",
-          e.target.value.toUpperCase(),
-        );
+        const nickname = e.target.value.toUpperCase();
+        if (this.account && this.onNicknameChange) {
+          this.onNicknameChange(nickname);
+          return;
+        }
+        localStorage.setItem("dodgeball_nickname", nickname);
       });
   }
 
+  /**
+   * Wire the main menu's account controls
+   * @param {Object} handlers - { onLogin, onRegister, onLogout, onNicknameChange }
+   *   onLogin/onRegister get (username, password) and resolve to
+   *   { success, error }
+   */
+  setupAccountMenu({ onLogin, onRegister, onLogout, onNicknameChange }) {
+    this.onNicknameChange = onNicknameChange;
+
+    const submit = async (handler) => {
+      const username = document.getElementById("input-username").value.trim();
+      const password = document.getElementById("input-password").value;
+      if (!username || !password) return;
+
+      const result = await handler(username, password);
+      const error = document.getElementById("account-error");
+      if (result.success) {
+        document.getElementById("input-password").value = "";
+        error.classList.add("hidden");
+      } else {
+        error.textContent = result.error;
+        error.classList.remove("hidden");
+      }
+    };
+
+    document
+      .getElementById("btn-login")
+      .addEventListener("click", () => submit(onLogin));
+    document
+      .getElementById("btn-register")
+      .addEventListener("click", () => submit(onRegister));
+    document.getElementById("btn-logout").addEventListener("click", onLogout);
+  }
+
+  /**
+   * Show who we're logged in as, or the login form for guests
+   * @param {Object|null} account - { username, nickname, elo, tier }
+   */
+  setAccount(account) {
+    this.account = account;
+    const guest = document.getElementById("account-guest");
+    const user = document.getElementById("account-user");
+    const nickname = document.getElementById("input-nickname");
+
+    if (!account) {
+      guest.classList.remove("hidden");
+      user.classList.add("hidden");
+      user.classList.remove("flex");
+      nickname.value = localStorage.getItem("dodgeball_nickname") || "";
+      return;
+    }
+
+    guest.classList.add("hidden");
+    user.classList.remove("hidden");
+    user.classList.add("flex");
+    document.getElementById("account-username").textContent = account.username;
+    document.getElementById("account-rank").textContent =
+      `${account.elo} · ${account.tier}`;
+    nickname.value = account.nickname;
+  }
+
   setupDifficultySelector() {
     this.selectedDifficulty = "medium";
     const buttons = this.mainMenu.querySelectorAll(".difficulty-btn");
@@ -287,6 +468,27 @@ export class UIManager {
     return this.selectedDifficulty;
   }
 
+  setupQueueModeSelector() {
+    this.selectedQueueMode = MATCHMAKING.MODES.RANKED;
+    const buttons = this.mainMenu.querySelectorAll(".queue-mode-btn");
+
+    buttons.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        this.selectedQueueMode = btn.dataset.mode;
+        buttons.forEach((b) => {
+          b.className =
+            b === btn
+              ? "queue-mode-btn flex-1 px-4 py-1 text-xs font-bold rounded transition-colors bg-cyan-600 text-white"
+              : "queue-mode-btn flex-1 px-4 py-1 text-xs font-bold rounded transition-colors text-slate-400 hover:text-white";
+        });
+      });
+    });
+  }
+
+  getQueueMode() {
+    return this.selectedQueueMode;
+  }
+
   getTeamSize() {
     const el = document.getElementById("select-team-size");
     return el ? parseInt(el.value) || 1 : 1;
@@ -306,7 +508,7 @@ export class UIManager {
         <!-- Player Score -->
         <div class="flex items-center gap-4 px-8 py-3 bg-linear-to-r from-cyan-500/10 to-transparent border-r border-white/5">
           <div class="flex flex-col items-start">
-            <span class="text-[10px] font-black text-cyan-400 tracking-tighter uppercase leading-none mb-1">YOU</span>
+            <span class="text-[10px] font-black text-cyan-400 tracking-tighter uppercase leading-none mb-1" id="hud-blue-label">YOU</span>
             <div class="w-4 h-0.5 bg-cyan-500/50"></div>
           </div>
           <span class="text-4xl font-black text-white tabular-nums drop-shadow-sm" id="player-score">0</span>
@@ -316,18 +518,25 @@ export class UIManager {
         <div class="px-6 flex flex-col items-center justify-center bg-white/5 min-w-25">
           <span class="text-[9px] font-bold text-slate-500 tracking-[0.3em] uppercase mb-0.5">MATCH</span>
           <span class="text-sm font-mono font-black text-slate-200" id="round-counter">ROUND 1</span>
+          <span class="hidden text-[10px] font-mono font-bold text-slate-400 tabular-nums" id="round-timer"></span>
         </div>
 
         <!-- Bot Score -->
         <div class="flex items-center gap-4 px-8 py-3 bg-linear-to-l from-rose-500/10 to-transparent border-l border-white/5 text-right">
           <span class="text-4xl font-black text-white tabular-nums drop-shadow-sm" id="bot-score">0</span>
           <div class="flex flex-col items-end">
-            <span class="text-[10px] font-black text-rose-500 tracking-tighter uppercase leading-none mb-1">BOT</span>
+            <span class="text-[10px] font-black text-rose-500 tracking-tighter uppercase leading-none mb-1" id="hud-red-label">BOT</span>
             <div class="w-4 h-0.5 bg-rose-500/50"></div>
           </div>
         </div>
       </div>
 
+      <!-- Reconnect Banner -->
+      <div class="absolute top-28 left-1/2 -translate-x-1/2 hidden flex-col items-center gap-1 bg-slate-900/90 backdrop-blur-md border border-amber-500/30 rounded-xl px-6 py-3" id="match-paused">
+        <span class="text-xs font-black text-amber-400 tracking-widest uppercase">Match Paused</span>
+        <span class="text-sm font-mono text-slate-200" id="match-paused-text"></span>
+      </div>
+
       <!-- Bottom Bar: Stats & Health -->
       <div class="absolute bottom-0 left-0 w-full p-8 flex flex-col items-center gap-4">
         
@@ -342,8 +551,15 @@ export class UIManager {
           </div>
         </div>
 
+        <!-- Spectator Bar -->
+        <div class="hidden items-center gap-4 bg-slate-900/90 backdrop-blur-md border border-white/10 rounded-xl px-6 py-2" id="spectator-bar">
+          <span class="text-[10px] font-black text-slate-400 tracking-widest uppercase">Spectating</span>
+          <span class="text-sm font-bold text-white" id="spectator-target">Free camera</span>
+          <span class="text-[10px] font-mono text-slate-500">Q / E switch · V free camera</span>
+        </div>
+
         <!-- Health Bar -->
-        <div class="w-full max-w-md relative group">
+        <div class="w-full max-w-md relative group" id="hud-health">
           <div class="absolute -inset-1 bg-linear-to-r from-cyan-500 to-green-500 rounded-full blur opacity-25 group-hover:opacity-50 transition duration-1000"></div>
           <div class="relative bg-slate-900/90 h-6 rounded-full overflow-hidden border border-white/10 shadow-xl">
             <div class="absolute top-0 left-0 h-full w-full bg-linear-to-r from-green-500 to-emerald-400 transition-all duration-300 ease-out" id="health-fill" style="width: 100%"></div>
@@ -392,6 +608,7 @@ export class UIManager {
           <button class="px-4 py-2 text-sm font-bold uppercase tracking-wider text-cyan-400 border-b-2 border-cyan-400 transition-colors" data-tab="camera">Camera</button>
           <button class="px-4 py-2 text-sm font-bold uppercase tracking-wider text-slate-500 hover:text-slate-300 transition-colors" data-tab="controls">Controls</button>
           <button class="px-4 py-2 text-sm font-bold uppercase tracking-wider text-slate-500 hover:text-slate-300 transition-colors" data-tab="audio">Audio</button>
+          <button class="px-4 py-2 text-sm font-bold uppercase tracking-wider text-slate-500 hover:text-slate-300 transition-colors" data-tab="network">Network</button>
         </div>
 
         <!-- Camera Settings -->
@@ -468,6 +685,22 @@ export class UIManager {
                 <span class="text-sm font-bold text-slate-300">Jump</span>
                 <button class="key-bind-btn px-3 py-1 bg-slate-700 rounded text-xs font-mono text-white min-w-15 border border-white/10 hover:border-cyan-500 transition-colors" data-action="jump">Space</button>
              </div>
+             <div class="flex items-center justify-between bg-slate-800/30 p-2 rounded border border-white/5">
+                <span class="text-sm font-bold text-slate-300">Scoreboard (hold)</span>
+                <button class="key-bind-btn px-3 py-1 bg-slate-700 rounded text-xs font-mono text-white min-w-15 border border-white/10 hover:border-cyan-500 transition-colors" data-action="scoreboard">Tab</button>
+             </div>
+             <div class="flex items-center justify-between bg-slate-800/30 p-2 rounded border border-white/5">
+                <span class="text-sm font-bold text-slate-300">Chat</span>
+                <button class="key-bind-btn px-3 py-1 bg-slate-700 rounded text-xs font-mono text-white min-w-15 border border-white/10 hover:border-cyan-500 transition-colors" data-action="chat">Enter</button>
+             </div>
+             <div class="flex items-center justify-between bg-slate-800/30 p-2 rounded border border-white/5">
+                <span class="text-sm font-bold text-slate-300">Team Chat</span>
+                <button class="key-bind-btn px-3 py-1 bg-slate-700 rounded text-xs font-mono text-white min-w-15 border border-white/10 hover:border-cyan-500 transition-colors" data-action="teamChat">KeyT</button>
+             </div>
+             <div class="flex items-center justify-between bg-slate-800/30 p-2 rounded border border-white/5">
+                <span class="text-sm font-bold text-slate-300">Quick Chat (hold)</span>
+                <button class="key-bind-btn px-3 py-1 bg-slate-700 rounded text-xs font-mono text-white min-w-15 border border-white/10 hover:border-cyan-500 transition-colors" data-action="quickChat">KeyC</button>
+             </div>
           </div>
           <div class="pt-4 border-t border-white/5">
             <button id="btn-reset-controls" class="text-xs text-rose-400 hover:text-rose-300 transition-colors underline cursor-pointer">Reset Control Defaults</button>
@@ -488,6 +721,20 @@ export class UIManager {
           </div>
         </div>
 
+        <!-- Network Settings -->
+        <div id="settings-network" class="settings-content hidden space-y-6">
+          <div class="flex flex-col gap-2">
+            <label class="text-xs font-bold text-slate-400 uppercase tracking-wider">Send Rate</label>
+            <div class="flex bg-slate-800/50 rounded p-1 border border-white/5 w-fit">
+              ${NETWORK.TICK_RATES.map(
+                (hz) =>
+                  `<button class="tick-rate-btn px-4 py-1 text-xs font-bold rounded transition-colors text-slate-400 hover:text-white" data-rate="${hz}">${hz} Hz</button>`,
+              ).join("")}
+            </div>
+            <p class="text-xs text-slate-500">How often your inputs are sent in multiplayer. Lower rates use less bandwidth.</p>
+          </div>
+        </div>
+
         <div class="mt-8 pt-6 border-t border-white/10 flex justify-end">
           <button id="btn-settings-save" class="btn-primary">Back</button>
         </div>
@@ -594,6 +841,17 @@ export class UIManager {
           <!-- Stats populated by JS -->
         </div>
 
+        <div class="mb-8 hidden" id="match-end-scoreboard">${this.scoreboardMarkup()}</div>
+
+        <div class="hidden justify-between items-center bg-slate-800/50 rounded-xl px-4 py-3 mb-8 border border-white/5" id="rating-change">
+          <div class="text-left">
+            <p class="text-xs text-slate-400 uppercase tracking-wider">Rating</p>
+            <span class="text-2xl font-black text-white font-mono" id="rating-value">1000</span>
+            <span class="text-sm font-bold font-mono" id="rating-delta">+0</span>
+          </div>
+          <span class="text-sm font-bold text-cyan-400 uppercase tracking-widest" id="rating-tier">Master</span>
+        </div>
+
         <div class="flex flex-col gap-3">
           <button class="btn-primary" id="btn-play-again">Play Again</button>
           <button class="btn-secondary" id="btn-main-menu">Main Menu</button>
@@ -603,6 +861,304 @@ export class UIManager {
     this.container.appendChild(this.matchEndScreen);
   }
 
+  /**
+   * Both teams' tables; shared by the Tab overlay and the match end screen
+   */
+  scoreboardMarkup() {
+    const table = (team, label, color) => `
+      <div>
+        <div class="flex justify-between items-baseline mb-2 border-b border-${color}-500/30 pb-1">
+          <h3 class="text-sm font-black text-${color}-400 uppercase tracking-widest">${label}</h3>
+          <span class="text-2xl font-black text-white font-mono" data-scoreboard-score="${team}">0</span>
+        </div>
+        <table class="w-full text-xs font-mono">
+          <thead class="text-slate-500 uppercase">
+            <tr>
+              <th class="text-left py-1">Player</th><th>HP</th><th>K</th><th>D</th><th>A</th><th>Defl</th><th class="text-right">Ping</th>
+            </tr>
+          </thead>
+          <tbody data-scoreboard-team="${team}"></tbody>
+        </table>
+      </div>
+    `;
+    return `
+      <div class="grid grid-cols-2 gap-6 text-left">
+        ${table("BLUE", "Team Blue", "blue")}
+        ${table("RED", "Team Red", "red")}
+      </div>
+    `;
+  }
+
+  createScoreboard() {
+    this.scoreboard = document.createElement("div");
+    this.scoreboard.className =
+      "absolute inset-0 flex items-center justify-center pointer-events-none hidden z-40";
+    this.scoreboard.innerHTML = `
+      <div class="panel-glass p-6 max-w-3xl w-full">
+        <h2 class="text-center text-lg font-black text-white tracking-[0.3em] mb-4">SCOREBOARD</h2>
+        ${this.scoreboardMarkup()}
+      </div>
+    `;
+    this.container.appendChild(this.scoreboard);
+  }
+
+  /**
+   * Fill a scoreboard (the overlay unless another root is given)
+   * @param {Object} data - { scores: { blue, red }, rows } where rows is
+   *   [{ id, name, team, isAlive, health, kills, deaths, assists,
+   *   deflections, ping, isLocal }]; ping is null when unknown
+   */
+  renderScoreboard(data, root = this.scoreboard) {
+    ["BLUE", "RED"].forEach((team) => {
+      root.querySelector(`[data-scoreboard-score="${team}"]`).textContent =
+        data.scores[team.toLowerCase()];
+
+      const body = root.querySelector(`[data-scoreboard-team="${team}"]`);
+      body.innerHTML = "";
+      data.rows
+        .filter((r) => r.team === team)
+        .sort((a, b) => b.kills - a.kills || a.deaths - b.deaths)
+        .forEach((r) => {
+          const row = document.createElement("tr");
+          row.className = `border-t border-white/5 ${r.isAlive ? "text-white" : "text-slate-600"} ${r.isLocal ? "bg-cyan-500/10" : ""}`;
+          const cells = [
+            r.name,
+            r.isAlive ? r.health : "✕",
+            r.kills,
+            r.deaths,
+            r.assists,
+            r.deflections,
+            r.ping === null ? "—" : `${r.ping}ms`,
+          ];
+          cells.forEach((value, i) => {
+            const cell = document.createElement("td");
+            cell.textContent = value;
+            cell.className =
+              i === 0
+                ? "text-left py-1 truncate max-w-32 font-bold"
+                : i === cells.length - 1
+                  ? "text-right"
+                  : "text-center";
+            row.appendChild(cell);
+          });
+          body.appendChild(row);
+        });
+    });
+  }
+
+  /**
+   * Show the overlay while the scoreboard key is held, refreshing live
+   * @param {Function} getData - Returns the renderScoreboard data
+   */
+  showScoreboard(getData) {
+    if (this.scoreboardInterval) return;
+    const render = () => this.renderScoreboard(getData());
+    render();
+    this.scoreboardInterval = setInterval(render, 250);
+    this.scoreboard.classList.remove("hidden");
+    this.scoreboard.classList.add("flex");
+  }
+
+  hideScoreboard() {
+    if (this.scoreboardInterval) {
+      clearInterval(this.scoreboardInterval);
+      this.scoreboardInterval = null;
+    }
+    if (!this.scoreboard) return;
+    this.scoreboard.classList.add("hidden");
+    this.scoreboard.classList.remove("flex");
+  }
+
+  /**
+   * Final standings on the match end screen
+   */
+  showFinalScoreboard(data) {
+    const root = document.getElementById("match-end-scoreboard");
+    this.renderScoreboard(data, root);
+    root.classList.remove("hidden");
+  }
+
+  // --- Chat ---
+
+  createChatPanel() {
+    this.chatPanel = document.createElement("div");
+    this.chatPanel.className =
+      "absolute left-4 bottom-4 w-96 hidden flex-col gap-1 z-60";
+    this.chatPanel.innerHTML = `
+      <ul class="flex flex-col gap-0.5 max-h-48 overflow-y-auto text-sm drop-shadow-md" id="chat-log"></ul>
+      <div class="flex items-center gap-2 bg-slate-900/80 border border-white/10 rounded px-2 py-1 pointer-events-auto focus-within:border-cyan-500">
+        <button class="text-[10px] font-black tracking-widest text-slate-300 min-w-10 cursor-pointer" id="chat-channel" title="Tab switches channel">ALL</button>
+        <input type="text" id="chat-input" maxlength="${CHAT.MAX_LENGTH}" placeholder="Enter to chat · T for team" class="bg-transparent flex-1 text-sm text-white outline-none placeholder-slate-500">
+      </div>
+    `;
+    this.container.appendChild(this.chatPanel);
+    this.chatChannel = CHAT.CHANNELS.ALL;
+  }
+
+  /**
+   * Shown while in a room (lobby or match)
+   */
+  setChatVisible(visible) {
+    this.chatPanel.classList.toggle("hidden", !visible);
+    this.chatPanel.classList.toggle("flex", visible);
+    if (!visible) {
+      document.getElementById("chat-log").innerHTML = "";
+      this.closeChat();
+    }
+  }
+
+  setChatChannel(channel) {
+    this.chatChannel = channel;
+    const label = document.getElementById("chat-channel");
+    label.textContent = channel === CHAT.CHANNELS.TEAM ? "TEAM" : "ALL";
+    label.classList.toggle("text-emerald-400", channel === CHAT.CHANNELS.TEAM);
+    label.classList.toggle("text-slate-300", channel !== CHAT.CHANNELS.TEAM);
+  }
+
+  openChat(channel) {
+    this.setChatChannel(channel);
+    document.getElementById("chat-input").focus();
+  }
+
+  closeChat() {
+    const input = document.getElementById("chat-input");
+    input.value = "";
+    input.blur();
+  }
+
+  isChatOpen() {
+    return document.activeElement === document.getElementById("chat-input");
+  }
+
+  /**
+   * @param {Object} message - From chat_message
+   * @param {string|null} localTeam - Our team (null when spectating)
+   */
+  addChatMessage(message, localTeam) {
+    const line = document.createElement("li");
+    line.className = "px-1 text-slate-200";
+
+    const teamColor =
+      message.team === "RED"
+        ? "text-rose-400"
+        : message.team === "BLUE"
+          ? "text-cyan-400"
+          : "text-slate-400";
+    line.innerHTML = `
+      ${message.channel === CHAT.CHANNELS.TEAM ? '<span class="text-[10px] font-black text-emerald-400">[TEAM]</span>' : ""}
+      ${message.team ? "" : '<span class="text-[10px] font-black text-slate-500">[SPEC]</span>'}
+      <span class="font-bold ${teamColor}" data-name></span>:
+      <span class="${message.quick ? "italic text-amber-300" : ""}" data-text></span>
+    `;
+    line.querySelector("[data-name]").textContent =
+      message.name || "Player " + message.from.substr(0, 4);
+    line.querySelector("[data-text]").textContent = message.text;
+    if (message.team && localTeam && message.team !== localTeam) {
+      line.classList.add("opacity-80");
+    }
+    this.appendChatLine(line);
+  }
+
+  /**
+   * Local-only line, e.g. why the server refused a message
+   */
+  addChatNotice(text) {
+    const line = document.createElement("li");
+    line.className = "px-1 text-xs text-slate-500 italic";
+    line.textContent = text;
+    this.appendChatLine(line);
+  }
+
+  appendChatLine(line) {
+    const log = document.getElementById("chat-log");
+    log.appendChild(line);
+    while (log.children.length > CHAT.HISTORY) log.firstChild.remove();
+    log.scrollTop = log.scrollHeight;
+  }
+
+  isChatVisible() {
+    return !this.chatPanel.classList.contains("hidden");
+  }
+
+  /**
+   * @param {Object} handlers - { onSend(text, channel) }
+   */
+  bindChat({ onSend }) {
+    const input = document.getElementById("chat-input");
+    const toggleChannel = () =>
+      this.setChatChannel(
+        this.chatChannel === CHAT.CHANNELS.TEAM
+          ? CHAT.CHANNELS.ALL
+          : CHAT.CHANNELS.TEAM,
+      );
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Tab") {
+        e.preventDefault();
+        toggleChannel();
+      } else if (e.key === "Enter") {
+        const text = input.value.trim();
+        if (text) onSend(text, this.chatChannel);
+        this.closeChat();
+      } else if (e.key === "Escape") {
+        this.closeChat();
+      }
+    });
+    document
+      .getElementById("chat-channel")
+      .addEventListener("click", toggleChannel);
+  }
+
+  createQuickChat() {
+    this.quickChat = document.createElement("div");
+    this.quickChat.className =
+      "absolute inset-0 items-center justify-center pointer-events-none hidden z-40";
+
+    // Lines sit clockwise from the top, numbered for the keyboard
+    const keys = Object.keys(CHAT.QUICK);
+    const options = keys
+      .map((key, i) => {
+        const angle = (i / keys.length) * Math.PI * 2;
+        const x = Math.sin(angle) * 110;
+        const y = -Math.cos(angle) * 110;
+        return `
+          <div class="absolute -translate-x-1/2 -translate-y-1/2 whitespace-nowrap px-4 py-2 rounded-full bg-slate-900/90 border border-white/10 text-sm font-bold text-slate-200 transition-colors" style="left: calc(50% + ${x}px); top: calc(50% + ${y}px)" data-quick="${key}">
+            <span class="text-slate-500 font-mono mr-1">${i + 1}</span>${CHAT.QUICK[key]}
+          </div>`;
+      })
+      .join("");
+    this.quickChat.innerHTML = `
+      <div class="relative w-96 h-96">
+        <div class="absolute left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-4 h-4 rounded-full border-2 border-white/40"></div>
+        ${options}
+      </div>
+    `;
+    this.container.appendChild(this.quickChat);
+  }
+
+  showQuickChat() {
+    this.highlightQuickChat(null);
+    this.quickChat.classList.remove("hidden");
+    this.quickChat.classList.add("flex");
+  }
+
+  hideQuickChat() {
+    this.quickChat.classList.add("hidden");
+    this.quickChat.classList.remove("flex");
+  }
+
+  /**
+   * @param {string|null} key - CHAT.QUICK key under the mouse, if any
+   */
+  highlightQuickChat(key) {
+    this.quickChat.querySelectorAll("[data-quick]").forEach((option) => {
+      const selected = option.dataset.quick === key;
+      option.classList.toggle("border-amber-400", selected);
+      option.classList.toggle("text-amber-300", selected);
+      option.classList.toggle("border-white/10", !selected);
+    });
+  }
+
   createCountdown() {
     this.countdown = document.createElement("div");
     this.countdown.className =
@@ -677,6 +1233,21 @@ export class UIManager {
   }
 
   onRoundEnd(data) {
+    if (data.winner === DRAW) {
+      this.showAnnouncement("ROUND DRAW", "text-slate-300");
+      this.updateScores(data.playerScore, data.botScore);
+      return;
+    }
+
+    if (this.spectating) {
+      this.showAnnouncement(
+        `${data.winner} WINS THE ROUND`,
+        data.winner === "BLUE" ? "text-cyan-400" : "text-rose-500",
+      );
+      this.updateScores(data.playerScore, data.botScore);
+      return;
+    }
+
     const isWin = data.winner === this.localTeam;
     const text = isWin ? "ROUND WON" : "ROUND LOST";
     const colorClass = isWin ? "text-green-400" : "text-rose-500";
@@ -687,11 +1258,20 @@ export class UIManager {
 
   onMatchEnd(data) {
     this.hud.classList.add("hidden");
+    this.hideScoreboard();
     const isWin = data.winner === this.localTeam;
 
     const title = document.getElementById("result-title");
     title.textContent = isWin ? "VICTORY" : "DEFEAT";
     title.className = `text-6xl font-black mb-2 tracking-tighter ${isWin ? "text-green-400 drop-shadow-[0_0_20px_rgba(74,222,128,0.5)]" : "text-rose-500 drop-shadow-[0_0_20px_rgba(244,63,94,0.5)]"}`;
+    if (data.winner === DRAW) {
+      title.textContent = "DRAW";
+      title.className =
+        "text-6xl font-black mb-2 tracking-tighter text-slate-300";
+    } else if (this.spectating) {
+      title.textContent = `${data.winner} WINS`;
+      title.className = `text-6xl font-black mb-2 tracking-tighter ${data.winner === "BLUE" ? "text-cyan-400" : "text-rose-500"}`;
+    }
 
     document.getElementById("final-player-score").textContent =
       data.playerScore;
@@ -699,15 +1279,46 @@ export class UIManager {
 
     const stats = document.getElementById("match-stats");
     const duration = Math.floor(data.stats.matchDuration / 1000);
+    const mine = data.stats.players && data.stats.players[data.localPlayerId];
     stats.innerHTML = `
       <div class="flex justify-between border-b border-white/5 pb-2"><span>Match Duration</span> <span class="text-white">${Math.floor(duration / 60)}:${(duration % 60).toString().padStart(2, "0")}</span></div>
       <div class="flex justify-between pt-2"><span>Total Deflections</span> <span class="text-white">${data.stats.totalDeflections}</span></div>
     `;
+    if (mine) {
+      stats.innerHTML += `
+        <div class="flex justify-between border-t border-white/5 pt-2"><span>K / D / A</span> <span class="text-white">${mine.kills} / ${mine.deaths} / ${mine.assists}</span></div>
+        <div class="flex justify-between"><span>Your Deflections</span> <span class="text-white">${mine.deflections}</span></div>
+        <div class="flex justify-between"><span>Damage Dealt</span> <span class="text-white">${mine.damageDealt}</span></div>
+        <div class="flex justify-between"><span>Longest Chain</span> <span class="text-white">${mine.longestChain}</span></div>
+      `;
+    }
 
     this.matchEndScreen.classList.remove("hidden");
     this.matchEndScreen.classList.add("flex");
   }
 
+  /**
+   * Rating change after a ranked match, or null to hide it
+   * @param {Object|null} change - { before, after, delta, tier }
+   */
+  showRatingChange(change) {
+    const panel = document.getElementById("rating-change");
+    if (!change) {
+      panel.classList.add("hidden");
+      panel.classList.remove("flex");
+      return;
+    }
+
+    document.getElementById("rating-value").textContent = change.after;
+    const delta = document.getElementById("rating-delta");
+    delta.textContent = `${change.delta >= 0 ? "+" : ""}${change.delta}`;
+    delta.className = `text-sm font-bold font-mono ${change.delta >= 0 ? "text-green-400" : "text-rose-500"}`;
+    document.getElementById("rating-tier").textContent = change.tier;
+
+    panel.classList.remove("hidden");
+    panel.classList.add("flex");
+  }
+
   createLobbyUI() {
     this.lobbyScreen = document.createElement("div");
     this.lobbyScreen.className =
@@ -744,7 +1355,7 @@ export class UIManager {
             <!-- Settings & Controls (Middle) -->
             <div class="flex flex-col gap-6">
                  <!-- Game Settings -->
-                 <div class="bg-slate-900/30 rounded-xl p-4 border border-white/5 space-y-4">
+                 <div class="bg-slate-900/30 rounded-xl p-4 border border-white/5 space-y-4 overflow-y-auto min-h-0">
                      <h3 class="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Match Settings</h3>
 
                      <!-- Team Size -->
@@ -767,10 +1378,28 @@ export class UIManager {
                             <option value="gladiator">Gladiator</option>
                         </select>
                      </div>
+
+                     <!-- Match Rules -->
+                     <div>
+                        <label class="text-xs text-slate-500 block mb-1">Match Rules</label>
+                        <div class="grid grid-cols-2 gap-2">
+                            ${Object.entries(MATCH_RULES)
+                              .map(
+                                ([key, rule]) => `
+                            <label class="text-[10px] text-slate-500 flex flex-col gap-0.5">
+                                ${RULE_LABELS[key]}
+                                <input type="number" data-rule="${key}" min="${rule.min}" max="${rule.max}" step="${rule.step}" value="${rule.default}" class="bg-slate-800 border border-white/10 rounded px-2 py-1 text-sm text-white outline-none focus:border-cyan-500 disabled:opacity-50">
+                            </label>`,
+                              )
+                              .join("")}
+                        </div>
+                     </div>
                  </div>
 
                  <!-- Actions -->
                  <div class="mt-auto space-y-3">
+                    <div class="text-center text-sm font-bold text-slate-400" id="lobby-status"></div>
+                    <button class="btn-secondary w-full py-3 text-lg" id="btn-lobby-ready">READY</button>
                     <button class="btn-primary w-full py-4 text-xl shadow-lg shadow-cyan-500/20" id="btn-lobby-start">START MATCH</button>
                     <button class="btn-secondary w-full" id="btn-lobby-leave">LEAVE ROOM</button>
                  </div>
@@ -788,6 +1417,8 @@ export class UIManager {
             </div>
             
         </div>
+
+        <div class="mt-4 text-xs text-slate-500 shrink-0" id="lobby-spectators">No spectators</div>
       </div>
     `;
     this.container.appendChild(this.lobbyScreen);
@@ -803,16 +1434,25 @@ export class UIManager {
       const sizeSelect = document.getElementById("lobby-setting-teamsize");
       const mapSelect = document.getElementById("lobby-setting-map");
 
+      const ruleInputs = this.lobbyScreen.querySelectorAll("[data-rule]");
+
       const updateSettings = () => {
+        const rules = {};
+        ruleInputs.forEach((input) => {
+          // The server clamps and sends back what it kept
+          rules[input.dataset.rule] = Number(input.value);
+        });
         const settings = {
           teamSize: parseInt(sizeSelect.value),
           map: mapSelect.value,
+          rules,
         };
         NetworkManager.updateRoomSettings(settings);
       };
 
       if (sizeSelect) sizeSelect.onchange = updateSettings;
       if (mapSelect) mapSelect.onchange = updateSettings;
+      ruleInputs.forEach((input) => (input.onchange = updateSettings));
     }, 100);
   }
 
@@ -838,6 +1478,359 @@ export class UIManager {
     this.container.appendChild(overlay);
   }
 
+  createQueueScreen() {
+    this.queueScreen = document.createElement("div");
+    this.queueScreen.className =
+      "absolute inset-0 flex items-center justify-center bg-slate-950/95 backdrop-blur-md pointer-events-auto hidden z-50";
+    this.queueScreen.innerHTML = `
+      <div class="panel-glass p-10 text-center min-w-96">
+        <h2 class="text-3xl font-black text-white mb-2 tracking-widest" id="queue-title">SEARCHING</h2>
+        <p class="text-sm text-slate-400 uppercase tracking-widest mb-6" id="queue-mode">Ranked · 1 vs 1</p>
+        <div class="text-5xl font-mono font-black text-cyan-400 mb-6 tabular-nums" id="queue-timer">0:00</div>
+        <div class="grid grid-cols-2 gap-4 text-xs font-mono text-slate-400 mb-8">
+          <div>IN QUEUE: <span class="text-white" id="queue-searching">1/2</span></div>
+          <div>ELO RANGE: <span class="text-white" id="queue-elo-window">—</span></div>
+        </div>
+        <button class="btn-secondary cursor-pointer" id="btn-queue-cancel">Cancel</button>
+      </div>
+    `;
+    this.container.appendChild(this.queueScreen);
+  }
+
+  createHistoryScreen() {
+    this.historyScreen = document.createElement("div");
+    this.historyScreen.className =
+      "absolute inset-0 flex items-center justify-center bg-slate-950/95 backdrop-blur-md pointer-events-auto hidden z-50";
+    this.historyScreen.innerHTML = `
+      <div class="panel-glass p-8 max-w-3xl w-full h-[80vh] flex flex-col">
+        <div class="flex justify-between items-center mb-6 border-b border-white/10 pb-4 shrink-0">
+          <h2 class="text-3xl font-black text-white tracking-widest">MATCH HISTORY</h2>
+          <button class="btn-secondary cursor-pointer" id="btn-history-back">Back</button>
+        </div>
+        <div class="grid grid-cols-6 gap-2 px-4 pb-2 text-xs text-slate-500 uppercase tracking-widest shrink-0">
+          <span>Result</span><span>Score</span><span>Mode</span><span>K / D / A</span><span>Time</span><span class="text-right">Played</span>
+        </div>
+        <ul class="space-y-2 flex-1 overflow-y-auto" id="history-list"></ul>
+        <p class="text-center text-slate-500 text-sm py-8 hidden" id="history-empty">No matches played yet</p>
+        <button class="btn-secondary cursor-pointer mt-4 shrink-0 hidden" id="btn-history-more">Load More</button>
+      </div>
+    `;
+    this.container.appendChild(this.historyScreen);
+  }
+
+  showHistoryScreen() {
+    this.hideAll();
+    document.getElementById("history-list").innerHTML = "";
+    document.getElementById("history-empty").classList.add("hidden");
+    document.getElementById("btn-history-more").classList.add("hidden");
+    this.historyScreen.classList.remove("hidden");
+    this.historyScreen.classList.add("flex");
+  }
+
+  /**
+   * Append a page of matches from the history API
+   * @param {Array} matches - Stored matches, newest first
+   * @param {string} playerId - Whose history this is
+   * @param {boolean} hasMore - Show the "Load More" button
+   */
+  addHistoryPage(matches, playerId, hasMore) {
+    const list = document.getElementById("history-list");
+    matches.forEach((match) => {
+      const me = match.players.find((p) => p.id === playerId);
+      if (!me) return;
+      // Leaving loses the match, as it does for ranked ratings
+      const won = !me.left && match.winner === me.team;
+      const drawn = !me.left && match.winner === DRAW;
+      const ours = match.scores[me.team.toLowerCase()];
+      const theirs = match.scores[me.team === "BLUE" ? "red" : "blue"];
+      const seconds = Math.floor(match.duration / 1000);
+      const mode = String(match.mode || "custom");
+      const size = match.teamSize || "?";
+
+      const row = document.createElement("li");
+      row.className = `grid grid-cols-6 gap-2 items-center px-4 py-3 rounded-lg border font-mono text-sm ${won ? "bg-green-900/20 border-green-500/20" : drawn ? "bg-slate-800/40 border-white/10" : "bg-rose-900/20 border-rose-500/20"}`;
+      // Results can come from an external match authority: text only
+      const cells = [
+        [
+          `${won ? "WIN" : drawn ? "DRAW" : "LOSS"}${me.left ? " (LEFT)" : ""}`,
+          `font-black ${won ? "text-green-400" : drawn ? "text-slate-300" : "text-rose-500"}`,
+        ],
+        [`${ours} - ${theirs}`, "text-white"],
+        [
+          `${mode.charAt(0).toUpperCase()}${mode.slice(1)} ${size}v${size}`,
+          "text-slate-300",
+        ],
+        [`${me.kills} / ${me.deaths} / ${me.assists}`, "text-white"],
+        [
+          `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`,
+          "text-slate-300",
+        ],
+        [
+          new Date(match.playedAt).toLocaleString(),
+          "text-right text-slate-500 text-xs",
+        ],
+      ];
+      cells.forEach(([value, className]) => {
+        const cell = document.createElement("span");
+        cell.className = className;
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      row.title = `${match.map || "Unknown map"} · ${me.deflections} deflections`;
+      list.appendChild(row);
+    });
+
+    document
+      .getElementById("history-empty")
+      .classList.toggle("hidden", list.children.length > 0);
+    document
+      .getElementById("btn-history-more")
+      .classList.toggle("hidden", !hasMore);
+  }
+
+  createProfileScreen() {
+    const section = (id, title) => `
+      <div id="${id}">
+        <h3 class="text-sm font-bold text-slate-400 uppercase tracking-widest mb-3">${title}</h3>
+        <p class="text-slate-500 text-sm hidden" data-profile-empty></p>
+        <div class="grid grid-cols-4 gap-3" data-profile-stats></div>
+      </div>
+    `;
+
+    this.profileScreen = document.createElement("div");
+    this.profileScreen.className =
+      "absolute inset-0 flex items-center justify-center bg-slate-950/95 backdrop-blur-md pointer-events-auto hidden z-50";
+    this.profileScreen.innerHTML = `
+      <div class="panel-glass p-8 max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-6 border-b border-white/10 pb-4">
+          <h2 class="text-3xl font-black text-white tracking-widest">PROFILE</h2>
+          <button class="btn-secondary cursor-pointer" id="btn-profile-back">Back</button>
+        </div>
+        <div class="flex items-center gap-6 mb-8">
+          <div class="w-28 h-28 rounded-full border-2 flex items-center justify-center text-center text-sm font-black uppercase tracking-wider p-2" id="profile-badge"></div>
+          <div>
+            <div class="text-3xl font-black text-white" id="profile-name"></div>
+            <div class="text-slate-400 font-mono" id="profile-elo"></div>
+          </div>
+        </div>
+        <div class="space-y-8">
+          ${section("profile-online", "Online")}
+          ${section("profile-offline", "Offline Training")}
+        </div>
+      </div>
+    `;
+    this.container.appendChild(this.profileScreen);
+  }
+
+  showProfileScreen() {
+    this.hideAll();
+    this.profileScreen.classList.remove("hidden");
+    this.profileScreen.classList.add("flex");
+  }
+
+  /**
+   * Fill the profile screen
+   * @param {Object} profile - { name, elo, tier, online, offline } where
+   *   online/offline are lifetime totals (shared/stats.js emptyLifetime) or
+   *   null when unavailable; elo and tier are null for guests
+   */
+  setProfile({ name, elo, tier, online, offline }) {
+    document.getElementById("profile-name").textContent = name;
+    document.getElementById("profile-elo").textContent =
+      elo === null ? "Unranked · log in to earn a rating" : `${elo} ELO`;
+
+    const badge = document.getElementById("profile-badge");
+    badge.textContent = tier || "Unranked";
+    badge.className = `w-28 h-28 rounded-full border-2 flex items-center justify-center text-center text-sm font-black uppercase tracking-wider p-2 ${TIER_COLORS[tier] || "text-slate-500 border-slate-600 bg-slate-800/50"}`;
+
+    this.renderLifetime(
+      document.getElementById("profile-online"),
+      online,
+      "Log in to track online matches",
+    );
+    this.renderLifetime(
+      document.getElementById("profile-offline"),
+      offline,
+      "Offline stats are unavailable in this browser",
+    );
+  }
+
+  renderLifetime(section, lifetime, emptyText) {
+    const empty = section.querySelector("[data-profile-empty]");
+    const grid = section.querySelector("[data-profile-stats]");
+    empty.textContent = emptyText;
+    empty.classList.toggle("hidden", !!lifetime);
+    grid.classList.toggle("hidden", !lifetime);
+    grid.innerHTML = "";
+    if (!lifetime) return;
+
+    const minutes = Math.floor(lifetime.playtime / 60000);
+    const cells = [
+      ["Kills", lifetime.kills],
+      ["Deaths", lifetime.deaths],
+      ["Assists", lifetime.assists],
+      ["K/D", kdRatio(lifetime).toFixed(2)],
+      [
+        "W / D / L",
+        `${lifetime.wins} / ${lifetime.draws || 0} / ${losses(lifetime)}`,
+      ],
+      ["Win Rate", `${Math.round(winRate(lifetime) * 100)}%`],
+      ["Playtime", `${Math.floor(minutes / 60)}h ${minutes % 60}m`],
+      ["Best Chain", lifetime.bestChain],
+    ];
+    cells.forEach(([label, value]) => {
+      const cell = document.createElement("div");
+      cell.className =
+        "bg-slate-800/50 rounded-lg p-3 border border-white/5 text-center";
+      cell.innerHTML = `
+        <div class="text-2xl font-black text-white font-mono">${value}</div>
+        <div class="text-xs text-slate-500 uppercase tracking-widest">${label}</div>
+      `;
+      grid.appendChild(cell);
+    });
+  }
+
+  createLeaderboardScreen() {
+    this.leaderboardScreen = document.createElement("div");
+    this.leaderboardScreen.className =
+      "absolute inset-0 flex items-center justify-center bg-slate-950/95 backdrop-blur-md pointer-events-auto hidden z-50";
+    this.leaderboardScreen.innerHTML = `
+      <div class="panel-glass p-8 max-w-3xl w-full h-[80vh] flex flex-col">
+        <div class="flex justify-between items-center mb-6 border-b border-white/10 pb-4 shrink-0">
+          <h2 class="text-3xl font-black text-white tracking-widest">LEADERBOARD</h2>
+          <button class="btn-secondary cursor-pointer" id="btn-leaderboard-back">Back</button>
+        </div>
+        <div class="flex gap-2 mb-4 shrink-0">
+          <input type="text" id="input-leaderboard-search" placeholder="Search players" maxlength="16" class="bg-slate-900/50 border border-white/10 rounded px-3 py-2 text-sm text-white placeholder-slate-600 focus:border-cyan-500 outline-none transition-colors flex-1">
+          <button class="btn-secondary cursor-pointer" id="btn-leaderboard-search">Search</button>
+          <button class="btn-secondary cursor-pointer hidden" id="btn-leaderboard-me">Around Me</button>
+        </div>
+        <div class="grid grid-cols-4 gap-2 px-4 pb-2 text-xs text-slate-500 uppercase tracking-widest shrink-0">
+          <span>Rank</span><span>Player</span><span>Tier</span><span class="text-right">ELO</span>
+        </div>
+        <ul class="space-y-1 flex-1 overflow-y-auto" id="leaderboard-list"></ul>
+        <p class="text-center text-slate-500 text-sm py-8 hidden" id="leaderboard-empty">No players found</p>
+        <div class="flex justify-between items-center mt-4 shrink-0">
+          <button class="btn-secondary cursor-pointer" id="btn-leaderboard-prev">Prev</button>
+          <span class="text-slate-400 font-mono text-sm" id="leaderboard-range"></span>
+          <button class="btn-secondary cursor-pointer" id="btn-leaderboard-next">Next</button>
+        </div>
+      </div>
+    `;
+    this.container.appendChild(this.leaderboardScreen);
+  }
+
+  /**
+   * @param {boolean} loggedIn - Offer "Around Me" (guests aren't ranked)
+   */
+  showLeaderboardScreen(loggedIn) {
+    this.hideAll();
+    document.getElementById("input-leaderboard-search").value = "";
+    document
+      .getElementById("btn-leaderboard-me")
+      .classList.toggle("hidden", !loggedIn);
+    this.leaderboardScreen.classList.remove("hidden");
+    this.leaderboardScreen.classList.add("flex");
+  }
+
+  getLeaderboardSearch() {
+    return document.getElementById("input-leaderboard-search").value.trim();
+  }
+
+  /**
+   * @param {Object} page - From GET /api/leaderboard
+   * @param {string} playerId - Our own row is highlighted
+   */
+  setLeaderboardPage(page, playerId) {
+    const list = document.getElementById("leaderboard-list");
+    list.innerHTML = "";
+    page.entries.forEach((entry) => {
+      const row = document.createElement("li");
+      const isMe = entry.id === playerId;
+      row.className = `grid grid-cols-4 gap-2 items-center px-4 py-2 rounded-lg border font-mono text-sm ${isMe ? "bg-cyan-900/30 border-cyan-500/40" : "bg-slate-800/40 border-white/5"}`;
+      row.innerHTML = `
+        <span class="font-black text-slate-300">#${entry.rank}</span>
+        <span class="text-white font-bold truncate" data-name></span>
+        <span class="${entry.tier === "Top 500" ? "text-orange-300 font-bold" : "text-slate-400"}">${entry.tier}</span>
+        <span class="text-right text-white">${entry.elo}</span>
+      `;
+      row.querySelector("[data-name]").textContent = entry.nickname;
+      list.appendChild(row);
+    });
+
+    document
+      .getElementById("leaderboard-empty")
+      .classList.toggle("hidden", page.entries.length > 0);
+    document.getElementById("leaderboard-range").textContent =
+      page.total === 0
+        ? "0 / 0"
+        : `${page.offset + 1}-${page.offset + page.entries.length} / ${page.total}`;
+    document.getElementById("btn-leaderboard-prev").disabled =
+      page.offset === 0;
+    document.getElementById("btn-leaderboard-next").disabled =
+      page.offset + page.entries.length >= page.total;
+  }
+
+  /**
+   * Matchmaking screen; the wait timer runs locally between status polls
+   */
+  showQueueScreen(mode, teamSize) {
+    this.hideAll();
+    this.queueScreen.classList.remove("hidden");
+    this.queueScreen.classList.add("flex");
+
+    const modeLabel = mode === MATCHMAKING.MODES.RANKED ? "Ranked" : "Unranked";
+    document.getElementById("queue-title").textContent = "SEARCHING";
+    document.getElementById("queue-mode").textContent =
+      `${modeLabel} · ${teamSize} vs ${teamSize}`;
+    document.getElementById("queue-searching").textContent =
+      `1/${teamSize * 2}`;
+    document.getElementById("queue-elo-window").textContent = "—";
+    document.getElementById("btn-queue-cancel").classList.remove("hidden");
+
+    const startedAt = Date.now();
+    const timer = document.getElementById("queue-timer");
+    const render = () => {
+      const seconds = Math.floor((Date.now() - startedAt) / 1000);
+      timer.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+    };
+
+    this.stopQueueTimer();
+    render();
+    this.queueTimerInterval = setInterval(render, 1000);
+  }
+
+  /**
+   * @param {Object} status - From GET /api/matchmaking/status
+   */
+  updateQueueStatus(status) {
+    document.getElementById("queue-searching").textContent =
+      `${Math.min(status.searching, status.needed)}/${status.needed}`;
+    document.getElementById("queue-elo-window").textContent =
+      status.eloWindow !== null ? `±${Math.round(status.eloWindow)}` : "ANY";
+  }
+
+  showMatchFound(startsIn) {
+    this.stopQueueTimer();
+    document.getElementById("queue-title").textContent = "MATCH FOUND";
+    document.getElementById("queue-timer").textContent =
+      `${Math.ceil(startsIn / 1000)}s`;
+    document.getElementById("btn-queue-cancel").classList.add("hidden");
+  }
+
+  hideQueueScreen() {
+    this.stopQueueTimer();
+    this.queueScreen.classList.remove("flex");
+    this.queueScreen.classList.add("hidden");
+  }
+
+  stopQueueTimer() {
+    if (this.queueTimerInterval) {
+      clearInterval(this.queueTimerInterval);
+      this.queueTimerInterval = null;
+    }
+  }
+
   showLobby(roomCode, isHost) {
     console.log("showLobby called with:", { roomCode, isHost });
     this.hideAll();
@@ -848,7 +1841,13 @@ export class UIManager {
     if (codeEl) codeEl.textContent = roomCode || "ERR";
     else console.error("lobby-room-code element not found!");
 
-    // Toggle Start button based on role
+    this.setLobbyHost(isHost);
+  }
+
+  /**
+   * Toggle host-only lobby controls (also used when the host role moves)
+   */
+  setLobbyHost(isHost) {
     const startBtn = document.getElementById("btn-lobby-start");
     const waitMsg = document.getElementById("lobby-waiting-msg");
 
@@ -865,6 +1864,56 @@ export class UIManager {
       waitMsg.classList.remove("hidden");
       waitMsg.classList.add("block");
     }
+
+    const sizeSelect = document.getElementById("lobby-setting-teamsize");
+    const mapSelect = document.getElementById("lobby-setting-map");
+    if (sizeSelect) sizeSelect.disabled = !isHost;
+    if (mapSelect) mapSelect.disabled = !isHost;
+  }
+
+  /**
+   * @param {Array} spectators - [{ id, name }]
+   */
+  setLobbySpectators(spectators) {
+    const line = document.getElementById("lobby-spectators");
+    if (spectators.length === 0) {
+      line.textContent = "No spectators";
+      return;
+    }
+    const names = spectators.map(
+      (s) => s.name || "Player " + s.id.substr(0, 4),
+    );
+    line.textContent = `Spectating (${names.length}): ${names.join(", ")}`;
+  }
+
+  /**
+   * Switch the HUD and lobby between playing and watching
+   */
+  setSpectating(spectating) {
+    this.spectating = spectating;
+    const bar = document.getElementById("spectator-bar");
+    bar.classList.toggle("hidden", !spectating);
+    bar.classList.toggle("flex", spectating);
+    document
+      .getElementById("hud-health")
+      .classList.toggle("hidden", spectating);
+    document.getElementById("hud-blue-label").textContent = spectating
+      ? "BLUE"
+      : "YOU";
+    document.getElementById("hud-red-label").textContent = spectating
+      ? "RED"
+      : "BOT";
+    ["btn-join-blue", "btn-join-red", "btn-lobby-ready"].forEach((id) =>
+      document.getElementById(id).classList.toggle("hidden", spectating),
+    );
+  }
+
+  /**
+   * @param {string|null} name - Followed player, or null in free-fly
+   */
+  setSpectatorTarget(name) {
+    document.getElementById("spectator-target").textContent =
+      name || "Free camera";
   }
 
   updateLobby(players, roomSettings) {
@@ -889,12 +1938,15 @@ export class UIManager {
         "flex items-center justify-between p-2 rounded bg-slate-900/50 border border-white/5";
       li.innerHTML = `
             <div class="flex items-center gap-2">
-                <span class="w-2 h-2 rounded-full ${p.id === NetworkManager.socket.id ? "bg-green-400" : "bg-slate-500"}"></span>
-                <span class="text-sm font-bold text-white">${p.name || "Player " + p.id.substr(0, 4)}</span>
+                <span class="w-2 h-2 rounded-full ${p.id === NetworkManager.playerId ? "bg-green-400" : "bg-slate-500"}"></span>
+                <span class="text-sm font-bold text-white" data-name></span>
                 ${p.isHost ? '<span class="text-[10px] bg-yellow-500/20 text-yellow-500 px-1 rounded border border-yellow-500/30">HOST</span>' : ""}
-                ${p.id === NetworkManager.socket.id ? '<span class="text-[10px] bg-green-500/20 text-green-500 px-1 rounded border border-green-500/30">YOU</span>' : ""}
+                ${p.id === NetworkManager.playerId ? '<span class="text-[10px] bg-green-500/20 text-green-500 px-1 rounded border border-green-500/30">YOU</span>' : ""}
             </div>
+            ${p.ready ? '<span class="text-[10px] font-black text-emerald-400 tracking-widest">READY</span>' : '<span class="text-[10px] text-slate-600 tracking-widest">NOT READY</span>'}
         `;
+      li.querySelector("[data-name]").textContent =
+        p.name || "Player " + p.id.substr(0, 4);
 
       if (p.team === "BLUE") blueList.appendChild(li);
       else if (p.team === "RED") redList.appendChild(li);
@@ -928,6 +1980,14 @@ export class UIManager {
     const hostEl = document.getElementById("lobby-host-name");
     if (hostEl) hostEl.textContent = hostName;
 
+    // Ready state: our button and what the lobby is still waiting for
+    const me = players[NetworkManager.playerId];
+    document.getElementById("btn-lobby-ready").textContent =
+      me && me.ready ? "NOT READY" : "READY";
+    this.lobbyStatus =
+      lobbyStartError(Object.values(players), teamSize) || "Starting soon";
+    if (!this.lobbyCountdownInterval) this.renderLobbyStatus();
+
     // Update settings UI if not host (sync)
     if (!NetworkManager.isHost && roomSettings) {
       const sizeSelect = document.getElementById("lobby-setting-teamsize");
@@ -940,10 +2000,52 @@ export class UIManager {
       if (sizeSelect) sizeSelect.disabled = true;
       if (mapSelect) mapSelect.disabled = true;
     }
+
+    // Rules as the server kept them (clamped), for the host too
+    if (roomSettings && roomSettings.rules) {
+      this.lobbyScreen.querySelectorAll("[data-rule]").forEach((input) => {
+        input.disabled = !NetworkManager.isHost;
+        if (input !== document.activeElement) {
+          input.value = roomSettings.rules[input.dataset.rule];
+        }
+      });
+    }
+  }
+
+  renderLobbyStatus() {
+    document.getElementById("lobby-status").textContent = this.lobbyStatus;
+  }
+
+  /**
+   * Count down to the match start, or (startsIn null) stop and go back to
+   * showing what the lobby is waiting for
+   */
+  setLobbyCountdown(startsIn) {
+    this.stopLobbyCountdown();
+    if (startsIn === null) {
+      this.renderLobbyStatus();
+      return;
+    }
+
+    const startsAt = Date.now() + startsIn;
+    const render = () => {
+      const seconds = Math.max(0, Math.ceil((startsAt - Date.now()) / 1000));
+      document.getElementById("lobby-status").textContent =
+        `Match starts in ${seconds}s`;
+    };
+    render();
+    this.lobbyCountdownInterval = setInterval(render, 250);
+  }
+
+  stopLobbyCountdown() {
+    if (this.lobbyCountdownInterval) {
+      clearInterval(this.lobbyCountdownInterval);
+      this.lobbyCountdownInterval = null;
+    }
   }
 
   onPlayerDamage(data) {
-    this.updateHealth(data.health, PLAYER.MAX_HEALTH);
+    this.updateHealth(data.health, this.matchRules.playerHealth);
 
     // Flash Red Overlay
     const flash = document.createElement("div");
@@ -953,7 +2055,9 @@ export class UIManager {
   }
 
   onDeflection(data) {
-    const speedMultiplier = (data.speed / 5).toFixed(2);
+    const speedMultiplier = (
+      data.speed / this.matchRules.missileBaseSpeed
+    ).toFixed(2);
     document.getElementById("missile-speed").textContent =
       `SPEED: ${speedMultiplier}x`;
 
@@ -972,7 +2076,7 @@ export class UIManager {
     const percentage = (clampedHealth / maxHealth) * 100;
 
     fill.style.width = `${percentage}%`;
-    text.textContent = `${Math.round(clampedHealth)}%`;
+    text.textContent = `${Math.round(percentage)}%`;
 
     // Dynamic Color
     fill.className = `absolute top-0 left-0 h-full w-full transition-all duration-300 ease-out ${
@@ -990,8 +2094,34 @@ export class UIManager {
   }
 
   resetHUD() {
-    this.updateHealth(PLAYER.MAX_HEALTH, PLAYER.MAX_HEALTH);
+    this.updateHealth(
+      this.matchRules.playerHealth,
+      this.matchRules.playerHealth,
+    );
     this.resetMissileStats();
+    this.updateRoundTimer(this.matchRules.roundTimeLimit || null, false);
+  }
+
+  /**
+   * Round clock under the round counter
+   * @param {number|null} timeLeft - Seconds, or null to hide it (no limit)
+   * @param {boolean} overtime
+   */
+  updateRoundTimer(timeLeft, overtime) {
+    const timer = document.getElementById("round-timer");
+    let text = "";
+    if (overtime) {
+      text = "OVERTIME";
+    } else if (timeLeft !== null) {
+      const seconds = Math.ceil(timeLeft);
+      text = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+    }
+    if (timer.textContent === text) return;
+
+    timer.textContent = text;
+    timer.classList.toggle("hidden", !text);
+    timer.classList.toggle("text-amber-400", overtime);
+    timer.classList.toggle("text-slate-400", !overtime);
   }
 
   resetMissileStats() {
@@ -1014,11 +2144,105 @@ export class UIManager {
     }, 1500);
   }
 
+  /**
+   * Banner shown while the server waits for dropped players to reconnect
+   * @param {string[]} names - Players being waited for
+   * @param {number} timeLeft - ms until their slots are given up
+   */
+  showMatchPaused(names, timeLeft) {
+    const banner = document.getElementById("match-paused");
+    const text = document.getElementById("match-paused-text");
+    const deadline = Date.now() + timeLeft;
+
+    const render = () => {
+      const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      text.textContent = `Waiting for ${names.join(", ")} to reconnect (${seconds}s)`;
+    };
+
+    this.hideMatchPaused();
+    render();
+    this.matchPausedInterval = setInterval(render, 1000);
+    banner.classList.remove("hidden");
+    banner.classList.add("flex");
+  }
+
+  hideMatchPaused() {
+    if (this.matchPausedInterval) {
+      clearInterval(this.matchPausedInterval);
+      this.matchPausedInterval = null;
+    }
+    const banner = document.getElementById("match-paused");
+    banner.classList.remove("flex");
+    banner.classList.add("hidden");
+  }
+
   getDeflectionCount() {
     const text = document.getElementById("deflection-count").textContent;
     return parseInt(text.split(": ")[1]) || 0;
   }
 
+  isMainMenuOpen() {
+    return !this.mainMenu.classList.contains("hidden");
+  }
+
+  /**
+   * Options for a room we host, from the room browser panel
+   * @returns {Object} { name, password, visibility }
+   */
+  getRoomOptions() {
+    return {
+      name: document.getElementById("input-room-name").value.trim(),
+      password: document.getElementById("input-room-password").value || null,
+      visibility: document.getElementById("checkbox-room-private").checked
+        ? ROOMS.VISIBILITY.PRIVATE
+        : ROOMS.VISIBILITY.PUBLIC,
+    };
+  }
+
+  /**
+   * Refill the room browser
+   * @param {Array} rooms - From list_rooms
+   * @param {Function} onJoin - Called with the room to join
+   * @param {Function} onWatch - Called with the room to spectate
+   */
+  setRoomList(rooms, onJoin, onWatch) {
+    const list = document.getElementById("room-list");
+    list.innerHTML = "";
+    rooms.forEach((room) => {
+      const open = room.state === "LOBBY" && room.players < room.maxPlayers;
+      const row = document.createElement("li");
+      row.className =
+        "flex items-center gap-3 px-3 py-2 rounded-lg border border-white/5 bg-slate-800/40";
+      row.innerHTML = `
+        <div class="flex-1 min-w-0">
+          <div class="text-sm font-bold text-white truncate"><span data-name></span>${room.locked ? " 🔒" : ""}</div>
+          <div class="text-xs text-slate-500 font-mono truncate">
+            ${room.teamSize}v${room.teamSize} · ${MAPS[room.map] ? MAPS[room.map].name : "Unknown map"} · ${room.state === "LOBBY" ? "Lobby" : "In game"}
+          </div>
+        </div>
+        <span class="text-xs font-mono text-slate-300" title="${room.spectators} watching">${room.players}/${room.maxPlayers}</span>
+        <button class="btn-secondary cursor-pointer px-3 py-1 text-xs" data-join ${open ? "" : "disabled"}>Join</button>
+        <button class="btn-secondary cursor-pointer px-3 py-1 text-xs" data-watch>Watch</button>
+      `;
+      const name = row.querySelector("[data-name]");
+      name.textContent = room.name;
+      if (room.hostName) row.title = `Host: ${room.hostName}`;
+      row
+        .querySelector("[data-join]")
+        .addEventListener("click", () => onJoin(room));
+      row
+        .querySelector("[data-watch]")
+        .addEventListener("click", () => onWatch(room));
+      list.appendChild(row);
+    });
+
+    document
+      .getElementById("room-list-empty")
+      .classList.toggle("hidden", rooms.length > 0);
+    document.getElementById("room-list-count").textContent =
+      `${rooms.length} listed`;
+  }
+
   isSettingsOpen() {
     return !this.settingsMenu.classList.contains("hidden");
   }
@@ -1094,16 +2318,90 @@ export class UIManager {
       this.settingsMenu,
       this.confirmationModal,
       this.lobbyScreen,
+      this.queueScreen,
+      this.historyScreen,
+      this.profileScreen,
+      this.leaderboardScreen,
+      this.scoreboard,
     ].forEach((el) => {
       if (el) {
         el.classList.add("hidden");
         el.classList.remove("flex");
       }
     });
+    this.stopQueueTimer();
+    this.stopLobbyCountdown();
+    this.hideScoreboard();
   }
 
   // --- Bindings ---
 
+  /**
+   * @param {Object} handlers - { onOpen, onMore, onBack }
+   */
+  bindHistoryButtons({ onOpen, onMore, onBack }) {
+    document.getElementById("btn-history").addEventListener("click", onOpen);
+    document
+      .getElementById("btn-history-more")
+      .addEventListener("click", onMore);
+    document
+      .getElementById("btn-history-back")
+      .addEventListener("click", onBack);
+  }
+
+  /**
+   * @param {Object} handlers - { onOpen, onBack }
+   */
+  bindProfileButtons({ onOpen, onBack }) {
+    document.getElementById("btn-profile").addEventListener("click", onOpen);
+    document
+      .getElementById("btn-profile-back")
+      .addEventListener("click", onBack);
+  }
+
+  /**
+   * @param {Object} handlers - { onOpen, onSearch, onAroundMe, onPrev,
+   *   onNext, onBack }
+   */
+  bindLeaderboardButtons({
+    onOpen,
+    onSearch,
+    onAroundMe,
+    onPrev,
+    onNext,
+    onBack,
+  }) {
+    document
+      .getElementById("btn-leaderboard")
+      .addEventListener("click", onOpen);
+    document
+      .getElementById("btn-leaderboard-search")
+      .addEventListener("click", onSearch);
+    document
+      .getElementById("input-leaderboard-search")
+      .addEventListener("keydown", (e) => {
+        if (e.key === "Enter") onSearch();
+      });
+    document
+      .getElementById("btn-leaderboard-me")
+      .addEventListener("click", onAroundMe);
+    document
+      .getElementById("btn-leaderboard-prev")
+      .addEventListener("click", onPrev);
+    document
+      .getElementById("btn-leaderboard-next")
+      .addEventListener("click", onNext);
+    document
+      .getElementById("btn-leaderboard-back")
+      .addEventListener("click", onBack);
+  }
+
+  bindQueueCancel(callback) {
+    document
+      .getElementById("btn-queue-cancel")
+      .addEventListener("click", callback);
+  }
+
   bindStartButton(callback) {
     document.getElementById("btn-start").addEventListener("click", callback);
   }
@@ -1136,6 +2434,7 @@ export class UIManager {
       onResetCamera,
       onResetControls,
       onResetAudio,
+      onTickRateChange,
       getValues,
     } = callbacks;
 
@@ -1220,6 +2519,15 @@ export class UIManager {
       onAudioChange(val / 100);
     });
 
+    // Network
+    document.querySelectorAll(".tick-rate-btn").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const hz = parseInt(btn.dataset.rate);
+        this.updateTickRateUI(hz);
+        onTickRateChange(hz);
+      });
+    });
+
     // Controls
     const bindButtons = document.querySelectorAll(".key-bind-btn");
     bindButtons.forEach((btn) => {
@@ -1333,6 +2641,20 @@ export class UIManager {
         }
       });
     }
+
+    // Network
+    if (values.tickRate !== undefined) {
+      this.updateTickRateUI(values.tickRate);
+    }
+  }
+
+  updateTickRateUI(hz) {
+    document.querySelectorAll(".tick-rate-btn").forEach((btn) => {
+      btn.className =
+        parseInt(btn.dataset.rate) === hz
+          ? "tick-rate-btn px-4 py-1 text-xs font-bold rounded transition-colors bg-cyan-600 text-white"
+          : "tick-rate-btn px-4 py-1 text-xs font-bold rounded transition-colors text-slate-400 hover:text-white";
+    });
   }
 
   dispose() {
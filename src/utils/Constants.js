@@ -1,22 +1,25 @@
 /**
  * Game Constants
- * Central configuration for all game parameters
+ * Central configuration for all game parameters.
+ * Gameplay rules live in shared/ so the server simulation uses the same values.
  */
 
-export const GAME = {
-  ROUNDS_TO_WIN: 10,
-  ROUND_START_DELAY: 3000, // ms before round starts
-  ROUND_END_DELAY: 2000, // ms after round ends
-};
-
-export const PLAYER = {
-  MAX_HEALTH: 100,
-  MOVE_SPEED: 10,
-  RADIUS: 0.3,
-  HEIGHT: 1.35,
-  JUMP_FORCE: 12,
-  GRAVITY: 30,
-};
+export {
+  GAME,
+  PLAYER,
+  MISSILE,
+  DEFLECTION,
+  ARENA,
+  TEAMS,
+  NETWORK,
+  MATCHMAKING,
+  LEADERBOARD,
+  ROOMS,
+  CHAT,
+  MATCH_RULES,
+  OVERTIME,
+  DRAW,
+} from "../../shared/constants.js";
 
 export const BOT = {
   DEFLECT_RANGE: 6,
@@ -54,37 +57,6 @@ export const BOT_DIFFICULTY = {
   },
 };
 
-export const MISSILE = {
-  BASE_SPEED: 5,
-  SPEED_INCREMENT: 5,
-  MAX_SPEED: 0,
-
-  TURN_RATE: 0.1,
-
-  BASE_DAMAGE: 50,
-  DAMAGE_INCREMENT: 50,
-
-  RADIUS: 0.3,
-  SPAWN_HEIGHT: 5,
-};
-
-export const DEFLECTION = {
-  RANGE: 8,
-  CONE_ANGLE: Math.PI / 4, // 45 degrees cone
-  COOLDOWN: 750, // ms
-
-  // Drag mechanic - control missile direction after deflect
-  DRAG_DURATION: 50, // ms - window to influence direction
-  DRAG_STRENGTH: 2.5, // How much mouse movement affects direction
-  DRAG_MAX_FORCE: 6, // Max force per frame (limits fast mouse movements)
-};
-
-export const ARENA = {
-  RADIUS: 45, // Circular arena radius (larger)
-  WALL_HEIGHT: 4,
-  WATER_SIZE: 150, // Size of water plane
-};
-
 export const MAPS = {
   orbital: {
     id: "orbital",
@@ -106,6 +78,7 @@ export const CAMERA = {
   FAR: 1000,
   INITIAL_POSITION: { x: 0, y: 10, z: 20 },
   LOOK_AT: { x: 0, y: 0, z: 0 },
+  SPECTATOR_FLY_SPEED: 15, // Free-fly spectator camera (units/s)
 };
 
 export const COLORS = {
@@ -126,13 +99,6 @@ export const COLORS = {
   DEFLECT_ZONE: 0x00ff00,
 };
 
-export const TEAMS = {
-  PLAYER: "BLUE", // Alias
-  BOT: "RED", // Alias
-  BLUE: "BLUE",
-  RED: "RED",
-};
-
 export const GAME_STATES = {
   MENU: "menu",
   COUNTDOWN: "countdown",
@@ -152,6 +118,7 @@ export const EVENTS = {
   ROUND_START: "round:start",
   ROUND_END: "round:end",
   ROUND_COUNTDOWN: "round:countdown",
+  ROUND_OVERTIME: "round:overtime",
 
   // Match events
   MATCH_END: "match:end",
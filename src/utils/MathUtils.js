@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { isInCone, distanceToSegment } from '../../shared/vector.js';
 
 /**
  * Math Utilities
@@ -72,17 +73,7 @@ export const MathUtils = {
    * @param {number} range - Maximum range
    */
   isInCone(origin, direction, point, angle, range) {
-    const toPoint = new THREE.Vector3().subVectors(point, origin);
-    const distance = toPoint.length();
-
-    if (distance > range) return false;
-    if (distance === 0) return true;
-
-    toPoint.normalize();
-    const dot = direction.dot(toPoint);
-    const coneAngle = Math.acos(MathUtils.clamp(dot, -1, 1));
-
-    return coneAngle <= angle;
+    return isInCone(origin, direction, point, angle, range);
   },
 
   /**
@@ -163,18 +154,6 @@ export const MathUtils = {
    * @param {THREE.Vector3} end - Segment end point
    */
   distanceToSegment(point, start, end) {
-    const ab = new THREE.Vector3().subVectors(end, start);
-    const ap = new THREE.Vector3().subVectors(point, start);
-
-    const lenSq = ab.lengthSq();
-    if (lenSq === 0) return ap.length(); // start and end are the same
-
-    // Project point onto line, clamped between 0 and 1
-    const t = Math.max(0, Math.min(1, ap.dot(ab) / lenSq));
-
-    // Closest point on segment
-    const closest = new THREE.Vector3().copy(start).addScaledVector(ab, t);
-
-    return point.distanceTo(closest);
+    return distanceToSegment(point, start, end);
   },
 };
@@ -0,0 +1,119 @@
+/**
+ * SnapshotBuffer
+ * Timestamped server states for one networked object, sampled in the past.
+ *
+ * Rendering INTERPOLATION_DELAY behind the server clock means there are
+ * almost always two snapshots around the render time to blend between, so
+ * jitter and the odd lost packet don't show. When the buffer runs dry the
+ * last known motion is extrapolated for at most MAX_EXTRAPOLATION, then held.
+ */
+
+export const INTERPOLATION_DELAY = 100; // ms behind the server clock
+export const MAX_EXTRAPOLATION = 200; // ms past the newest snapshot
+
+export class SnapshotBuffer {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.angleKeys - Fields blended along the shortest arc (radians)
+   * @param {number} options.maxSize - Snapshots kept (oldest dropped first)
+   */
+  constructor({ angleKeys = [], maxSize = 32 } = {}) {
+    this.angleKeys = new Set(angleKeys);
+    this.maxSize = maxSize;
+    this.snapshots = []; // [{ time, state }] sorted by time
+  }
+
+  /**
+   * Add a snapshot (out-of-order arrivals are sorted in, duplicates ignored)
+   * @param {number} time - Server timestamp (ms)
+   * @param {Object} state - Numeric fields are interpolated, others copied
+   */
+  push(time, state) {
+    if (!Number.isFinite(time) || !state) return;
+
+    let index = this.snapshots.length;
+    while (index > 0 && this.snapshots[index - 1].time > time) index--;
+    if (index > 0 && this.snapshots[index - 1].time === time) return;
+
+    this.snapshots.splice(index, 0, { time, state });
+    if (this.snapshots.length > this.maxSize) this.snapshots.shift();
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+
+  isEmpty() {
+    return this.snapshots.length === 0;
+  }
+
+  /**
+   * State at renderTime
+   * @param {number} renderTime - Server time to render (ms)
+   * @returns {Object|null} Blended state, or null if nothing was received
+   */
+  sample(renderTime) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    const first = snapshots[0];
+    if (renderTime <= first.time || snapshots.length === 1) {
+      return renderTime <= first.time
+        ? { ...first.state }
+        : this.extrapolate(null, first, renderTime);
+    }
+
+    const last = snapshots[snapshots.length - 1];
+    if (renderTime >= last.time) {
+      return this.extrapolate(
+        snapshots[snapshots.length - 2],
+        last,
+        renderTime,
+      );
+    }
+
+    // Drop snapshots we've rendered past, keeping one before renderTime
+    let index = 0;
+    while (snapshots[index + 1].time <= renderTime) index++;
+    if (index > 0) snapshots.splice(0, index);
+
+    const from = snapshots[0];
+    const to = snapshots[1];
+    const t = (renderTime - from.time) / (to.time - from.time);
+    return this.blend(from.state, to.state, t);
+  }
+
+  /**
+   * Continue the motion between the two newest snapshots
+   */
+  extrapolate(previous, last, renderTime) {
+    if (!previous) return { ...last.state };
+
+    const ahead = Math.min(renderTime - last.time, MAX_EXTRAPOLATION);
+    const t = 1 + ahead / (last.time - previous.time);
+    return this.blend(previous.state, last.state, t, true);
+  }
+
+  blend(from, to, t, isExtrapolating = false) {
+    const result = { ...to };
+
+    Object.keys(to).forEach((key) => {
+      const a = from[key];
+      const b = to[key];
+      if (typeof a !== "number" || typeof b !== "number") return;
+
+      if (this.angleKeys.has(key)) {
+        // Don't spin angles past the newest value
+        if (isExtrapolating) return;
+        let diff = b - a;
+        while (diff > Math.PI) diff -= Math.PI * 2;
+        while (diff < -Math.PI) diff += Math.PI * 2;
+        result[key] = a + diff * t;
+      } else {
+        result[key] = a + (b - a) * t;
+      }
+    });
+
+    return result;
+  }
+}